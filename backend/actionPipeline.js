@@ -0,0 +1,128 @@
+/**
+ * Hooks around action handlers, run alike for REST and room submits.
+ *
+ * Stages, global hooks first and then the action's own, each in order:
+ *   beforeValidate(data, ctx) -> data     normalise submitted data (trim, coerce)
+ *   beforeHandle(data, ctx)   -> data     enrich validated data, e.g. with ctx.user
+ *   afterHandle(result, ctx)  -> result   transform the handler's result
+ *   onError(err, ctx)                     a hook or the handler failed
+ * A hook that returns undefined leaves the value as it is; one that throws
+ * fails the submit like the handler would (a FieldErrors rejects fields).
+ * onError hooks only observe: what they throw is logged and ignored.
+ *
+ * ctx is { action, user, roles, requestId, source: 'rest' | 'room', submissionId, idempotencyKey, signal }.
+ * `idempotencyKey` is the same for every attempt of one submit (null without
+ * one): a handler that commits work can use it to spot an attempt it already ran.
+ * `signal` aborts when the caller cancels the submit (the request is closed or
+ * the room sends CANCEL); handlers that honour it can roll back and throw.
+ * Actions add their hooks as `hooks: { beforeValidate: fn | [fn, ...], ... }`;
+ * global ones are added with pipeline.use({ ... }).
+ *
+ * Every submit emits lifecycle events on pipeline.events:
+ *   'submit:received'  { ctx, data }
+ *   'submit:validated' { ctx, data }
+ *   'submit:rejected'  { ctx, statusCode, errors }
+ *   'submit:succeeded' { ctx, result }
+ *   'submit:failed'    { ctx, error }
+ *   'submit:cancelled' { ctx }
+ * Listeners run synchronously after the fact and cannot change the outcome.
+ */
+
+const { EventEmitter } = require('events')
+
+const HOOK_STAGES = ['beforeValidate', 'beforeHandle', 'afterHandle', 'onError']
+
+const hookList = (hooks) => (hooks === undefined ? [] : [].concat(hooks))
+
+function createActionPipeline({ logger = console } = {}) {
+  const globalHooks = Object.fromEntries(HOOK_STAGES.map(stage => [stage, []]))
+  const events = new EventEmitter()
+
+  // Add global hooks, { [stage]: fn | [fn, ...] }
+  function use(hooks) {
+    for (const [stage, fns] of Object.entries(hooks)) {
+      if (!HOOK_STAGES.includes(stage)) throw new Error(`Unknown hook stage "${stage}"`)
+      globalHooks[stage].push(...hookList(fns))
+    }
+  }
+
+  const stageHooks = (stage, action) => [...globalHooks[stage], ...hookList(action.hooks?.[stage])]
+
+  // `value` passed through the stage's hooks
+  async function run(stage, value, ctx) {
+    let current = value
+    for (const hook of stageHooks(stage, ctx.action)) {
+      const next = await hook(current, ctx)
+      if (next !== undefined) current = next
+    }
+    return current
+  }
+
+  async function onError(err, ctx) {
+    for (const hook of stageHooks('onError', ctx.action)) {
+      try {
+        await hook(err, ctx)
+      } catch (hookErr) {
+        logger.error(hookErr, `onError hook of ${ctx.action.id} failed`)
+      }
+    }
+  }
+
+  // A throwing listener must not turn a finished submit into a failed one
+  function emit(event, payload) {
+    try {
+      events.emit(event, payload)
+    } catch (err) {
+      logger.error(err, `${event} listener failed`)
+    }
+  }
+
+  return { use, run, onError, emit, events }
+}
+
+// ---------- Built-in Hooks ----------
+const TRIMMED_TYPES = ['string', 'email']
+
+// beforeValidate: surrounding whitespace off single-line text fields,
+// also inside groups and lists (passwords and textareas are left as typed)
+function trimTextFields(data, { action }) {
+  return trimIn(action.formJson, data)
+}
+
+function trimIn(fields, data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) return data
+  const next = { ...data }
+  for (const field of fields) {
+    if (field.name in next) next[field.name] = trimValue(field, next[field.name])
+  }
+  return next
+}
+
+function trimValue(field, value) {
+  if (TRIMMED_TYPES.includes(field.type) && typeof value === 'string') return value.trim()
+  if (field.type === 'object') return trimIn(field.fields, value)
+  if (field.type === 'array' && Array.isArray(value)) return value.map(item => trimValue(field.items, item))
+  return value
+}
+
+// ---------- Definition checks ----------
+function hookProblems(hooks) {
+  if (hooks === undefined) return []
+  if (!hooks || typeof hooks !== 'object' || Array.isArray(hooks)) return ['`hooks` must be an object']
+  const problems = []
+  for (const [stage, fns] of Object.entries(hooks)) {
+    if (!HOOK_STAGES.includes(stage)) {
+      problems.push(`\`hooks.${stage}\` is not one of ${HOOK_STAGES.join(', ')}`)
+    } else if (!hookList(fns).every(fn => typeof fn === 'function')) {
+      problems.push(`\`hooks.${stage}\` must be a function or an array of functions`)
+    }
+  }
+  return problems
+}
+
+module.exports = {
+  HOOK_STAGES,
+  createActionPipeline,
+  trimTextFields,
+  hookProblems
+}
@@ -0,0 +1,197 @@
+/**
+ * Action registry backed by a directory of action modules.
+ *
+ * Every `*.js` file in the directory exports one action:
+ *   module.exports = {
+ *     id, label, formJson, handler,
+ *     allowedRoles?, rateLimits?, retry?, hooks?, asyncValidators?, optionSources?, rules?, ruleValidators?
+ *   }
+ *
+ * Files are validated (formJson and rules against the shared meta-schemas) and
+ * their AJV validator compiled on load; it also checks the cross-field `rules`
+ * (see packages/shared/rules). When `watch` is enabled, adding, changing or
+ * removing a file updates the registry in place and emits `added` / `updated` /
+ * `removed` with the action id.
+ */
+
+const fs = require('fs')
+const path = require('path')
+const { EventEmitter } = require('events')
+const {
+  formJsonMetaSchema,
+  formJsonProblems,
+  formJsonToJsonSchema
+} = require('../packages/shared/formJson')
+const { rulesMetaSchema, rulesProblems, withRules } = require('../packages/shared/rules')
+const { rateLimitProblems } = require('./rateLimiter')
+const { hookProblems } = require('./actionPipeline')
+const { retryProblems } = require('../packages/shared/retry')
+
+// ---------- Definition checks ----------
+// `validateFormJson` / `validateRules` are the meta-schemas compiled with the registry's AJV
+function validateActionDefinition(action, file, validateFormJson, validateRules) {
+  const problems = []
+  if (!action || typeof action !== 'object') {
+    problems.push('module must export an action object')
+  } else {
+    if (typeof action.id !== 'string' || !action.id) problems.push('`id` must be a non-empty string')
+    if (typeof action.handler !== 'function') problems.push('`handler` must be a function')
+    const { allowedRoles } = action
+    if (allowedRoles !== undefined && !(Array.isArray(allowedRoles) && allowedRoles.length > 0 &&
+        allowedRoles.every(role => typeof role === 'string' && role))) {
+      problems.push('`allowedRoles` must be a non-empty array of role names')
+    }
+    problems.push(...rateLimitProblems(action.rateLimits))
+    problems.push(...retryProblems(action.retry))
+    problems.push(...hookProblems(action.hooks))
+    if (!validateFormJson(action.formJson)) {
+      for (const err of validateFormJson.errors) {
+        // `if` only reports that a `then`/`else` branch failed; the branch has its own error
+        if (err.keyword === 'if') continue
+        problems.push(`formJson${err.instancePath} ${err.message}`)
+      }
+    } else {
+      problems.push(...formJsonProblems(action.formJson))
+      for (const field of action.formJson.filter(f => f.asyncValidate)) {
+        if (typeof action.asyncValidators?.[field.name] !== 'function') {
+          problems.push(`\`asyncValidators.${field.name}\` must be a function`)
+        }
+      }
+      for (const field of action.formJson.filter(f => f.optionsSource)) {
+        if (typeof action.optionSources?.[field.name] !== 'function') {
+          problems.push(`\`optionSources.${field.name}\` must be a function`)
+        }
+      }
+      if (action.rules !== undefined) {
+        if (!validateRules(action.rules)) {
+          for (const err of validateRules.errors) problems.push(`rules${err.instancePath} ${err.message}`)
+        } else {
+          problems.push(...rulesProblems(action.rules, action.formJson, action.ruleValidators))
+        }
+      }
+    }
+  }
+
+  if (problems.length) {
+    throw new Error(`Invalid action definition in ${path.basename(file)}: ${problems.join('; ')}`)
+  }
+}
+
+// ---------- Registry ----------
+function createActionRegistry({ dir, ajv, logger = console, watch = false, debounceMs = 50 }) {
+  const emitter = new EventEmitter()
+  const entries = new Map() // actionId -> { action, schema, validate, file }
+  const fileToId = new Map() // absolute file path -> actionId
+  const pending = new Map() // absolute file path -> debounce timer
+  const validateFormJson = ajv.getSchema(formJsonMetaSchema.$id) || ajv.compile(formJsonMetaSchema)
+  const validateRules = ajv.getSchema(rulesMetaSchema.$id) || ajv.compile(rulesMetaSchema)
+  let watcher = null
+
+  function isActionFile(file) {
+    return file.endsWith('.js') && !path.basename(file).startsWith('.')
+  }
+
+  function requireFresh(file) {
+    delete require.cache[require.resolve(file)]
+    return require(file)
+  }
+
+  function compile(action, file) {
+    validateActionDefinition(action, file, validateFormJson, validateRules)
+    const schema = formJsonToJsonSchema(action.formJson, action.label)
+    const validate = withRules(ajv.compile(schema), action.rules, action.ruleValidators)
+    return { action, schema, validate, file }
+  }
+
+  function drop(id) {
+    const entry = entries.get(id)
+    if (!entry) return
+    ajv.removeSchema(entry.schema)
+    entries.delete(id)
+    fileToId.delete(entry.file)
+    emitter.emit('removed', id)
+  }
+
+  function loadFile(file) {
+    let entry
+    try {
+      const mod = requireFresh(file)
+      entry = compile(mod, file)
+    } catch (err) {
+      // Keep the last good version of the action registered
+      logger.error(err, `Failed to load action from ${file}`)
+      return
+    }
+
+    const { id } = entry.action
+    const owner = entries.get(id)
+    if (owner && owner.file !== file) {
+      logger.error(`Action "${id}" in ${file} is already defined by ${owner.file}`)
+      return
+    }
+
+    // The file may have been renamed to a different action id
+    const previousId = fileToId.get(file)
+    if (previousId && previousId !== id) drop(previousId)
+
+    if (owner) ajv.removeSchema(owner.schema)
+    entries.set(id, entry)
+    fileToId.set(file, id)
+    emitter.emit(owner ? 'updated' : 'added', id)
+  }
+
+  function unloadFile(file) {
+    delete require.cache[file]
+    const id = fileToId.get(file)
+    if (id) drop(id)
+  }
+
+  function handleFsEvent(file) {
+    clearTimeout(pending.get(file))
+    pending.set(file, setTimeout(() => {
+      pending.delete(file)
+      if (fs.existsSync(file)) loadFile(file)
+      else unloadFile(file)
+    }, debounceMs))
+  }
+
+  function load() {
+    for (const name of fs.readdirSync(dir).sort()) {
+      const file = path.join(dir, name)
+      if (isActionFile(file)) loadFile(file)
+    }
+
+    if (watch && !watcher) {
+      watcher = fs.watch(dir, (eventType, name) => {
+        if (!name) return
+        const file = path.join(dir, name.toString())
+        if (isActionFile(file)) handleFsEvent(file)
+      })
+    }
+    return registry
+  }
+
+  function close() {
+    if (watcher) watcher.close()
+    watcher = null
+    for (const timer of pending.values()) clearTimeout(timer)
+    pending.clear()
+  }
+
+  const registry = {
+    load,
+    close,
+    get: (id) => entries.get(id)?.action,
+    getValidator: (id) => entries.get(id)?.validate,
+    list: () => Array.from(entries.values(), (e) => e.action),
+    on: (...args) => emitter.on(...args),
+    off: (...args) => emitter.off(...args)
+  }
+
+  return registry
+}
+
+module.exports = {
+  createActionRegistry,
+  validateActionDefinition
+}
@@ -0,0 +1,69 @@
+const { setTimeout: sleep } = require('timers/promises')
+const { optionsPage } = require('../../packages/shared/optionsSources')
+
+// Delivery destinations, as an options endpoint would page through them
+const COUNTRIES = [
+  { value: 'AT', label: { en: 'Austria', de: 'Österreich' } },
+  { value: 'CH', label: { en: 'Switzerland', de: 'Schweiz' } },
+  { value: 'DE', label: { en: 'Germany', de: 'Deutschland' } },
+  { value: 'US', label: { en: 'United States', de: 'Vereinigte Staaten' } }
+]
+const REGIONS = {
+  AT: ['Burgenland', 'Carinthia', 'Lower Austria', 'Salzburg', 'Styria', 'Tyrol', 'Upper Austria', 'Vienna', 'Vorarlberg'],
+  CH: ['Basel', 'Bern', 'Geneva', 'Lucerne', 'Ticino', 'Vaud', 'Zurich'],
+  DE: ['Baden-Württemberg', 'Bavaria', 'Berlin', 'Hamburg', 'Hesse', 'Lower Saxony', 'North Rhine-Westphalia', 'Saxony'],
+  US: ['California', 'Florida', 'Illinois', 'New York', 'Texas', 'Washington']
+}
+
+module.exports = {
+  id: 'createOrder',
+  label: 'Create Order',
+  formJson: [
+    { name: 'productId', type: 'string', label: 'Product ID', required: true, asyncValidate: true },
+    { name: 'quantity', type: 'integer', label: 'Quantity', required: true, minimum: 1 },
+    { name: 'unitPrice', type: 'number', label: 'Unit Price', required: true, minimum: 0 },
+    { name: 'total', type: 'number', label: 'Total', compute: 'round(quantity * unitPrice, 2)' },
+    { name: 'priority', type: 'select', label: 'Priority', options: [
+      { value: 'low', label: 'Low' },
+      { value: 'normal', label: 'Normal' },
+      { value: 'high', label: 'High' }
+    ], default: 'normal' },
+    { name: 'country', type: 'select', label: 'Country', required: true, optionsSource: true },
+    { name: 'region', type: 'select', label: 'Region', required: true,
+      optionsSource: { dependsOn: ['country'], pageSize: 5 } },
+    { name: 'expressShipping', type: 'boolean', label: 'Express Shipping', default: false,
+      visibleWhen: { field: 'priority', equals: 'high' } },
+    { name: 'extraItems', type: 'array', label: 'Additional Items', maxItems: 5, items: {
+      type: 'object', label: 'Item', fields: [
+        { name: 'productId', type: 'string', label: 'Product ID', required: true, pattern: '^P-\\d{3}$' },
+        { name: 'quantity', type: 'integer', label: 'Quantity', required: true, minimum: 1 },
+        { name: 'giftWrap', type: 'boolean', label: 'Gift Wrap', default: false }
+      ]
+    } },
+    { name: 'attachments', type: 'file', label: 'Purchase Order / Invoices', accept: '.pdf,image/*',
+      maxSize: 5 * 1024 * 1024, multiple: true }
+  ],
+  asyncValidators: {
+    productId: async (value) => {
+      // Simulate a catalogue lookup
+      await new Promise(r => setTimeout(r, 100))
+      return /^P-\d{3}$/.test(value) ? null : 'Unknown product'
+    }
+  },
+  optionSources: {
+    country: async (query) => optionsPage(COUNTRIES, query),
+    region: async ({ values, ...query }) =>
+      optionsPage((REGIONS[values.country] || []).map(name => ({ value: name, label: name })), query)
+  },
+  rateLimits: {
+    submit: { limit: 5, intervalMs: 60 * 1000 }
+  },
+  // Transient submit failures are tried up to 4 times in all
+  retry: { maxAttempts: 4 },
+  // Honours ctx.signal: a cancelled submit stops before the order is placed
+  handler: async (data, { signal }) => {
+    // Simulate reserving stock, which a cancel releases (sleep rejects on abort)
+    await sleep(300, undefined, { signal })
+    return { orderId: `order_${Date.now()}`, ...data }
+  }
+}
@@ -0,0 +1,71 @@
+const { FieldErrors } = require('../errors')
+
+module.exports = {
+  id: 'createUser',
+  label: 'Create User',
+  // Managers may create users, but only admins create admins or read internal notes
+  allowedRoles: ['admin', 'manager'],
+  formJson: [
+    { name: 'username', type: 'string', label: { en: 'Username', de: 'Benutzername' }, required: true, minLength: 3,
+      step: 'Account', asyncValidate: { debounceMs: 400 } },
+    { name: 'profileSlug', type: 'string', label: { en: 'Profile URL', de: 'Profil-URL' },
+      pattern: '^[a-z0-9-]*$', computeDefault: 'slug(username)' },
+    { name: 'email', type: 'email', label: { en: 'Email', de: 'E-Mail' }, required: true },
+    { name: 'password', type: 'password', label: { en: 'Password', de: 'Passwort' }, required: true, minLength: 8 },
+    { name: 'confirmPassword', type: 'password', label: { en: 'Confirm Password', de: 'Passwort bestätigen' },
+      required: true },
+    { name: 'role', type: 'select', label: { en: 'Role', de: 'Rolle' }, required: true, options: [
+      { value: 'user', label: { en: 'User', de: 'Benutzer' } },
+      { value: 'admin', label: { en: 'Admin', de: 'Administrator' }, allowedRoles: ['admin'] }
+    ], default: 'user' },
+    { name: 'companyName', type: 'string', label: { en: 'Company Name', de: 'Firmenname' }, required: true,
+      visibleWhen: { field: 'role', equals: 'admin' } },
+    { name: 'age', type: 'integer', label: { en: 'Age', de: 'Alter' }, minimum: 18, maximum: 120, step: 'Profile' },
+    { name: 'bio', type: 'textarea', label: { en: 'Bio', de: 'Über mich' }, maxLength: 500 },
+    { name: 'internalNotes', type: 'textarea', label: { en: 'Internal Notes', de: 'Interne Notizen' },
+      maxLength: 1000, hiddenFor: ['manager'] },
+    { name: 'avatar', type: 'file', label: { en: 'Avatar', de: 'Profilbild' }, accept: 'image/*', maxSize: 2 * 1024 * 1024 },
+    { name: 'address', type: 'object', label: { en: 'Address', de: 'Adresse' }, fields: [
+      { name: 'street', type: 'string', label: { en: 'Street', de: 'Straße' }, required: true },
+      { name: 'city', type: 'string', label: { en: 'City', de: 'Ort' }, required: true },
+      { name: 'postalCode', type: 'string', label: { en: 'Postal Code', de: 'Postleitzahl' },
+        pattern: '^[A-Za-z0-9 -]{3,10}$' }
+    ] }
+  ],
+  // Cross-field checks, run by the client and the server
+  rules: [
+    { field: 'confirmPassword', equals: 'password' },
+    { validator: 'passwordNotUsername', fields: ['password'],
+      message: { en: 'Password must not contain the username', de: 'Das Passwort darf den Benutzernamen nicht enthalten' } }
+  ],
+  ruleValidators: {
+    passwordNotUsername: ({ username, password }) =>
+      username && password && password.toLowerCase().includes(username.toLowerCase()) ? 'contains the username' : null
+  },
+  // Server-side field checks (asyncValidate)
+  asyncValidators: {
+    username: async (value) => {
+      // Simulate a uniqueness lookup
+      await new Promise(r => setTimeout(r, 200))
+      return ['admin', 'root', 'taken'].includes(String(value).toLowerCase())
+        ? 'Username is already taken'
+        : null
+    }
+  },
+  // Submit pipeline hooks (see ../actionPipeline)
+  hooks: {
+    beforeValidate: (data) =>
+      typeof data?.email === 'string' ? { ...data, email: data.email.toLowerCase() } : data,
+    beforeHandle: (data, { user, requestId }) => ({ ...data, createdBy: user?.sub ?? null, requestId })
+  },
+  // Server-side handler
+  handler: async (data) => {
+    // Simulate DB insert
+    await new Promise(r => setTimeout(r, 500))
+    if (data.email.toLowerCase().endsWith('@taken.example')) {
+      throw new FieldErrors({ email: 'Email is already registered' })
+    }
+    const { password, confirmPassword, ...user } = data
+    return { id: `user_${Date.now()}`, ...user, createdAt: new Date().toISOString() }
+  }
+}
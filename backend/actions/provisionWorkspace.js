@@ -0,0 +1,26 @@
+const { backgroundJob } = require('../jobs')
+
+const STEPS = ['Creating workspace', 'Creating storage', 'Inviting members', 'Applying settings']
+
+module.exports = {
+  id: 'provisionWorkspace',
+  label: 'Provision Workspace',
+  formJson: [
+    { name: 'workspaceName', type: 'string', label: 'Workspace Name', required: true, minLength: 3,
+      pattern: '^[a-z0-9-]+$' },
+    { name: 'seats', type: 'integer', label: 'Seats', required: true, minimum: 1, maximum: 500, default: 10 },
+    { name: 'region', type: 'select', label: 'Region', required: true, options: [
+      { value: 'eu', label: 'Europe' },
+      { value: 'us', label: 'United States' }
+    ], default: 'eu' }
+  ],
+  // Provisioning takes a while, so the submit is answered with a job
+  handler: async (data) => backgroundJob(async ({ progress }) => {
+    for (const [i, step] of STEPS.entries()) {
+      progress(Math.round((i / STEPS.length) * 100), step)
+      // Simulate the provisioning work
+      await new Promise(r => setTimeout(r, 1500))
+    }
+    return { workspaceId: `ws_${Date.now()}`, ...data, url: `https://${data.workspaceName}.example.com` }
+  })
+}
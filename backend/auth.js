@@ -0,0 +1,117 @@
+/**
+ * Authentication with JSON Web Tokens (HS256) signed by a local secret.
+ *
+ * Callers send `Authorization: Bearer <token>`. Browsers cannot add headers to
+ * a WebSocket upgrade, so it may pass `?access_token=<token>` instead.
+ * A token's claims:
+ *   { sub, name?, roles: ['admin', ...], exp? }
+ * Requests without a token are anonymous; invalid or expired tokens are an AuthError.
+ *
+ * The secret is AUTH_SECRET, or one generated into `data/auth-secret` on first
+ * use. Sign a token for local testing with
+ *   node auth.js <sub> [role,role,...]
+ *
+ * Another scheme plugs in as an authenticator, (req) => user or null, that
+ * throws AuthError for credentials it rejects; the server only reads
+ * `user.sub` and `user.roles`.
+ */
+
+const crypto = require('crypto')
+const fs = require('fs')
+const path = require('path')
+const { ANONYMOUS_ROLE } = require('../packages/shared/permissions')
+
+const DEFAULT_SECRET_FILE = path.join(__dirname, 'data', 'auth-secret')
+const DEFAULT_TOKEN_TTL_S = 8 * 60 * 60
+
+class AuthError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'AuthError'
+  }
+}
+
+// Roles a caller acts with; anonymous callers have ANONYMOUS_ROLE only
+const rolesOf = (user) => (user ? user.roles : [ANONYMOUS_ROLE])
+
+// ---------- Secret ----------
+function loadSecret(file = DEFAULT_SECRET_FILE) {
+  if (process.env.AUTH_SECRET) return process.env.AUTH_SECRET
+  try {
+    return fs.readFileSync(file, 'utf8').trim()
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err
+  }
+  const secret = crypto.randomBytes(32).toString('base64url')
+  fs.mkdirSync(path.dirname(file), { recursive: true })
+  fs.writeFileSync(file, secret, { mode: 0o600 })
+  return secret
+}
+
+// ---------- Tokens ----------
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url')
+const signature = (input, secret) => crypto.createHmac('sha256', secret).update(input).digest('base64url')
+
+function signToken(claims, secret, { ttlSeconds = DEFAULT_TOKEN_TTL_S } = {}) {
+  const now = Math.floor(Date.now() / 1000)
+  const input = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode({ iat: now, exp: now + ttlSeconds, ...claims })}`
+  return `${input}.${signature(input, secret)}`
+}
+
+// The token's user, { sub, name, roles }; throws AuthError
+function verifyToken(token, secret) {
+  const [header, payload, sig] = token.split('.')
+  if (!header || !payload || !sig) throw new AuthError('Malformed token')
+
+  const expected = Buffer.from(signature(`${header}.${payload}`, secret))
+  const actual = Buffer.from(sig)
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    throw new AuthError('Invalid token signature')
+  }
+
+  let claims
+  try {
+    if (JSON.parse(Buffer.from(header, 'base64url')).alg !== 'HS256') throw new AuthError('Unsupported token algorithm')
+    claims = JSON.parse(Buffer.from(payload, 'base64url'))
+  } catch (err) {
+    if (err instanceof AuthError) throw err
+    throw new AuthError('Malformed token')
+  }
+  if (typeof claims.exp === 'number' && claims.exp * 1000 <= Date.now()) throw new AuthError('Token has expired')
+  if (typeof claims.sub !== 'string' || !claims.sub) throw new AuthError('Token has no subject')
+
+  const roles = Array.isArray(claims.roles) ? claims.roles.filter(role => typeof role === 'string') : []
+  return { sub: claims.sub, name: typeof claims.name === 'string' ? claims.name : claims.sub, roles }
+}
+
+// ---------- Authenticator ----------
+function createJwtAuthenticator({ secret }) {
+  return (req) => {
+    const header = req.headers.authorization
+    if (header !== undefined) {
+      const [scheme, token] = header.split(' ')
+      if (scheme !== 'Bearer' || !token) throw new AuthError('Expected an `Authorization: Bearer <token>` header')
+      return verifyToken(token, secret)
+    }
+    const token = req.query?.access_token
+    return typeof token === 'string' && token ? verifyToken(token, secret) : null
+  }
+}
+
+if (require.main === module) {
+  const [sub, roles = ''] = process.argv.slice(2)
+  if (!sub) {
+    console.error('Usage: node auth.js <sub> [role,role,...]')
+    process.exit(1)
+  }
+  console.log(signToken({ sub, roles: roles.split(',').filter(Boolean) }, loadSecret()))
+}
+
+module.exports = {
+  AuthError,
+  rolesOf,
+  loadSecret,
+  signToken,
+  verifyToken,
+  createJwtAuthenticator
+}
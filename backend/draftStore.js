@@ -0,0 +1,118 @@
+/**
+ * File-backed store for in-progress form drafts.
+ *
+ * Drafts live in `<dir>/<actionId>/<draftId>.json` as
+ *   { id, actionId, owner, data, createdAt, updatedAt }
+ * where `owner` is the identity of whoever saved it (see identityOf in ./server).
+ * Ids are restricted to letters, digits, "-" and "_" so they are safe file names.
+ */
+
+const fs = require('fs/promises')
+const path = require('path')
+
+const ID_PATTERN = /^[\w-]{1,100}$/
+
+function isValidId(id) {
+  return typeof id === 'string' && ID_PATTERN.test(id)
+}
+
+function createFileDraftStore({ dir }) {
+  function fileFor(actionId, draftId) {
+    if (!isValidId(actionId) || !isValidId(draftId)) {
+      throw new Error('Invalid draft id')
+    }
+    return path.join(dir, actionId, `${draftId}.json`)
+  }
+
+  async function readJson(file) {
+    try {
+      return JSON.parse(await fs.readFile(file, 'utf8'))
+    } catch (err) {
+      if (err.code === 'ENOENT') return null
+      throw err
+    }
+  }
+
+  async function get(actionId, draftId) {
+    return readJson(fileFor(actionId, draftId))
+  }
+
+  // file -> the last save queued for that draft
+  const saving = new Map()
+
+  // Saves of one draft run one after another (autosaves may arrive together),
+  // so they neither share the temp file nor finish out of order
+  async function put(actionId, draftId, data, owner) {
+    const file = fileFor(actionId, draftId)
+    const done = (saving.get(file) || Promise.resolve()).then(async () => {
+      const existing = await readJson(file)
+      const now = new Date().toISOString()
+      const draft = {
+        id: draftId,
+        actionId,
+        owner,
+        data,
+        createdAt: existing?.createdAt || now,
+        updatedAt: now
+      }
+
+      // Write to a temp file first so readers never see a half-written draft
+      await fs.mkdir(path.dirname(file), { recursive: true })
+      const tmp = `${file}.${process.pid}.tmp`
+      await fs.writeFile(tmp, JSON.stringify(draft))
+      await fs.rename(tmp, file)
+      return draft
+    })
+    // A failed save is reported to its caller and doesn't stop the next ones
+    const queued = done.catch(() => {})
+    saving.set(file, queued)
+    queued.then(() => {
+      if (saving.get(file) === queued) saving.delete(file)
+    })
+    return done
+  }
+
+  async function remove(actionId, draftId) {
+    try {
+      await fs.unlink(fileFor(actionId, draftId))
+      return true
+    } catch (err) {
+      if (err.code === 'ENOENT') return false
+      throw err
+    }
+  }
+
+  // Every draft saved for an action, whoever saved it
+  async function all(actionId) {
+    if (!isValidId(actionId)) return []
+    let names
+    try {
+      names = await fs.readdir(path.join(dir, actionId))
+    } catch (err) {
+      if (err.code === 'ENOENT') return []
+      throw err
+    }
+
+    const drafts = await Promise.all(
+      names
+        .filter(name => name.endsWith('.json'))
+        .map(name => readJson(path.join(dir, actionId, name)))
+    )
+    return drafts.filter(Boolean)
+  }
+
+  // Summaries of the drafts `owner` saved for an action, most recently updated first
+  async function list(actionId, owner) {
+    return (await all(actionId))
+      .filter(draft => draft.owner === owner)
+      .map(({ id, createdAt, updatedAt }) => ({ id, createdAt, updatedAt }))
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+  }
+
+  return { get, put, remove, list, all }
+}
+
+module.exports = {
+  createFileDraftStore,
+  isValidDraftId: isValidId
+}
@@ -0,0 +1,32 @@
+/**
+ * Errors action handlers can throw.
+ *
+ *   const { FieldErrors } = require('../errors')
+ *   throw new FieldErrors({ email: 'Email is already registered' })
+ *
+ * /submit answers a FieldErrors with a 422 validation problem whose `errors`
+ * point at each rejected field, so the client can show them under their inputs.
+ */
+
+class FieldErrors extends Error {
+  constructor(errors, message = 'Some fields were rejected') {
+    super(message)
+    this.name = 'FieldErrors'
+    this.errors = errors
+  }
+}
+
+// The field-keyed messages of a thrown FieldErrors, or null for any other error
+function fieldErrorsOf(err) {
+  if (!(err instanceof FieldErrors) || !err.errors || typeof err.errors !== 'object') return null
+  const errors = {}
+  for (const [field, message] of Object.entries(err.errors)) {
+    errors[field] = String(message)
+  }
+  return Object.keys(errors).length > 0 ? errors : null
+}
+
+module.exports = {
+  FieldErrors,
+  fieldErrorsOf
+}
@@ -0,0 +1,419 @@
+/**
+ * Resumable, shareable WebSocket form sessions (protocol version 1).
+ *
+ * Every session belongs to a room. A room holds one interpreted form machine;
+ * sockets connecting with `?room=<id>` share it, others get a private room.
+ *
+ * Server -> client
+ *   HELLO    { protocol, sessionId, room, resumeGraceMs }  sent on connect
+ *   RESUMED  { sessionId, seq }                        reply to RESUME
+ *   SNAPSHOT { seq, state, context }                   full machine snapshot
+ *   PATCH    { seq, state, patch, author? }            JSON Patch (RFC 6902) against the previous context;
+ *                                                      `author` is the session whose event caused it
+ *   PRESENCE { members, locks }                        room members and soft field locks
+ *   ACK      { seq }                                   client EVENT `seq` was received
+ *   ERROR    { code, message, ref?, current?, retryAfter? }  typed error, see ERROR_CODES;
+ *                                                      RATE_LIMITED says in how many seconds to retry
+ * SNAPSHOT and PATCH carry a per-session `seq` that increases by one per message.
+ *
+ * Client -> server
+ *   EVENT    { seq, event }          machine event; `seq` increases per client message,
+ *                                    re-sent events (seq already seen) are acked and ignored
+ *   ACK      { seq }                 every server message up to `seq` was applied
+ *   RESUME   { sessionId, lastSeq }  reattach to a session detached less than
+ *                                    `resumeGraceMs` ago; unacked messages after
+ *                                    `lastSeq` are replayed, or a SNAPSHOT is sent
+ *                                    when they are no longer buffered
+ *   FOCUS    { field }               the member is editing `field` (null when none)
+ *
+ * Concurrent edits: context.fieldEdits[field].version counts the CHANGEs (and
+ * ADD_ITEM / REMOVE_ITEM / MOVE_ITEM events) applied to a field. A CHANGE may carry the `baseVersion` it was made against; if the
+ * field changed since, it is rejected with a CONFLICT error holding the current
+ * edit, so the first CHANGE to reach the server wins. A field last changed by the
+ * sending member is no conflict: its later CHANGEs build on its own. Field locks are soft: they
+ * are shown to other members but not enforced.
+ *
+ * Members may act as different users (see ./auth). `authorize(session, event, seq)`
+ * may refuse a member's event by throwing a ProtocolError, and each member
+ * receives the room's context as `viewContext(session, context)` returns it.
+ * A session only resumes for the user it was opened by.
+ */
+
+const crypto = require('crypto')
+const { compare } = require('fast-json-patch')
+
+const PROTOCOL_VERSION = 1
+
+const ERROR_CODES = {
+  MALFORMED_MESSAGE: 'MALFORMED_MESSAGE',
+  UNKNOWN_MESSAGE_TYPE: 'UNKNOWN_MESSAGE_TYPE',
+  INVALID_MESSAGE: 'INVALID_MESSAGE',
+  INVALID_EVENT: 'INVALID_EVENT',
+  INVALID_ROOM: 'INVALID_ROOM',
+  CONFLICT: 'CONFLICT',
+  SESSION_NOT_FOUND: 'SESSION_NOT_FOUND',
+  UNSUPPORTED_PROTOCOL: 'UNSUPPORTED_PROTOCOL',
+  ACTION_NOT_FOUND: 'ACTION_NOT_FOUND',
+  ACTION_REMOVED: 'ACTION_REMOVED',
+  FORBIDDEN: 'FORBIDDEN',
+  RATE_LIMITED: 'RATE_LIMITED',
+  PAYLOAD_TOO_LARGE: 'PAYLOAD_TOO_LARGE',
+  INTERNAL_ERROR: 'INTERNAL_ERROR'
+}
+
+// Events a client may send; everything else (done.invoke.*, FIELD_CHECKED, ...) is internal
+const CLIENT_EVENTS = new Set([
+  'INIT',
+  'CHANGE',
+  'SUBMIT',
+  'CANCEL',
+  'RETRY',
+  'RESET',
+  'NEXT',
+  'BACK',
+  'GOTO_STEP',
+  'ADD_ITEM',
+  'REMOVE_ITEM',
+  'MOVE_ITEM'
+])
+
+const ROOM_PATTERN = /^[\w-]{1,100}$/
+
+const MEMBER_COLORS = ['#4f46e5', '#db2777', '#059669', '#d97706', '#0891b2', '#7c3aed', '#dc2626', '#65a30d']
+
+// A typed protocol error, sent to the client as an ERROR message
+class ProtocolError extends Error {
+  constructor(code, message, ref, details) {
+    super(message)
+    this.name = 'ProtocolError'
+    this.code = code
+    this.ref = ref
+    this.details = details
+  }
+}
+
+function errorMessage(code, message, ref, details) {
+  return { type: 'ERROR', code, message, ...(ref !== undefined && { ref }), ...details }
+}
+
+function isValidRoomId(id) {
+  return typeof id === 'string' && ROOM_PATTERN.test(id)
+}
+
+const isSeq = (n) => Number.isSafeInteger(n) && n >= 0
+
+// Parse and check one client message; throws ProtocolError
+function parseClientMessage(raw) {
+  let msg
+  try {
+    msg = JSON.parse(raw.toString())
+  } catch (e) {
+    throw new ProtocolError(ERROR_CODES.MALFORMED_MESSAGE, 'Message is not valid JSON')
+  }
+  if (!msg || typeof msg !== 'object' || Array.isArray(msg) || typeof msg.type !== 'string') {
+    throw new ProtocolError(ERROR_CODES.MALFORMED_MESSAGE, 'Message must be an object with a string `type`')
+  }
+
+  switch (msg.type) {
+    case 'EVENT':
+      if (!isSeq(msg.seq)) {
+        throw new ProtocolError(ERROR_CODES.INVALID_MESSAGE, 'EVENT needs a non-negative integer `seq`')
+      }
+      if (!msg.event || typeof msg.event !== 'object' || !CLIENT_EVENTS.has(msg.event.type)) {
+        throw new ProtocolError(ERROR_CODES.INVALID_EVENT, `Unsupported event ${JSON.stringify(msg.event?.type)}`, msg.seq)
+      }
+      if (msg.event.baseVersion !== undefined && !isSeq(msg.event.baseVersion)) {
+        throw new ProtocolError(ERROR_CODES.INVALID_EVENT, '`baseVersion` must be a non-negative integer', msg.seq)
+      }
+      return msg
+    case 'ACK':
+      if (!isSeq(msg.seq)) {
+        throw new ProtocolError(ERROR_CODES.INVALID_MESSAGE, 'ACK needs a non-negative integer `seq`')
+      }
+      return msg
+    case 'RESUME':
+      if (typeof msg.sessionId !== 'string' || !isSeq(msg.lastSeq)) {
+        throw new ProtocolError(ERROR_CODES.INVALID_MESSAGE, 'RESUME needs `sessionId` and a non-negative integer `lastSeq`')
+      }
+      return msg
+    case 'FOCUS':
+      if (msg.field !== null && typeof msg.field !== 'string') {
+        throw new ProtocolError(ERROR_CODES.INVALID_MESSAGE, 'FOCUS needs a `field` name or null')
+      }
+      return msg
+    default:
+      throw new ProtocolError(ERROR_CODES.UNKNOWN_MESSAGE_TYPE, `Unknown message type "${msg.type}"`)
+  }
+}
+
+// ---------- Session Manager ----------
+// `createService(actionId)` returns a not yet started interpreter for a new room
+function createSessionManager({
+  createService,
+  authorize = () => {},
+  viewContext = (session, context) => context,
+  resumeGraceMs = 30000,
+  outboxLimit = 200,
+  logger = console
+}) {
+  const sessions = new Map() // sessionId -> session
+  const rooms = new Map() // `${actionId}/${roomId}` -> room
+
+  function transmit(session, message) {
+    if (session.socket && session.socket.readyState === session.socket.OPEN) {
+      session.socket.send(JSON.stringify(message))
+    }
+  }
+
+  function broadcast(room, message) {
+    room.members.forEach((member) => transmit(member, message))
+  }
+
+  // Send a sequenced message and keep it until the client acks it
+  function sendSequenced(session, message) {
+    const sequenced = { ...message, seq: ++session.seq }
+    session.outbox.push(sequenced)
+    if (session.outbox.length > outboxLimit) session.outbox.shift()
+    transmit(session, sequenced)
+  }
+
+  function snapshot(session) {
+    const { state } = session.room.service
+    session.lastContext = JSON.parse(JSON.stringify(viewContext(session, state.context)))
+    return { type: 'SNAPSHOT', state: state.value, context: session.lastContext }
+  }
+
+  // Diff the new state against what this member has seen
+  function publishState(session, state) {
+    if (!session.lastContext) {
+      sendSequenced(session, snapshot(session))
+      return
+    }
+    const context = JSON.parse(JSON.stringify(viewContext(session, state.context)))
+    const patch = compare(session.lastContext, context)
+    if (patch.length === 0 && !state.changed) return
+    session.lastContext = context
+    const { author } = state.event
+    sendSequenced(session, { type: 'PATCH', state: state.value, patch, ...(author && { author }) })
+  }
+
+  // ---------- Rooms & Presence ----------
+  function joinRoom(actionId, roomId, session) {
+    const key = `${actionId}/${roomId}`
+    let room = rooms.get(key)
+    if (!room) {
+      room = {
+        key,
+        actionId,
+        service: createService(actionId),
+        members: new Set(),
+        locks: new Map(), // field -> session
+        joined: 0
+      }
+      rooms.set(key, room)
+      room.service.onTransition((state) => room.members.forEach((member) => publishState(member, state)))
+      room.service.start()
+    }
+    session.color = MEMBER_COLORS[room.joined++ % MEMBER_COLORS.length]
+    session.room = room
+    room.members.add(session)
+    publishState(session, room.service.state)
+    return room
+  }
+
+  function leaveRoom(session) {
+    const { room } = session
+    room.members.delete(session)
+    releaseLocks(session)
+    if (room.members.size === 0) {
+      rooms.delete(room.key)
+      room.service.stop()
+    } else {
+      broadcastPresence(room)
+    }
+  }
+
+  function releaseLocks(session) {
+    for (const [field, holder] of session.room.locks) {
+      if (holder === session) session.room.locks.delete(field)
+    }
+  }
+
+  function broadcastPresence(room) {
+    const members = Array.from(room.members, (m) => ({
+      id: m.id,
+      name: m.name,
+      color: m.color,
+      focus: m.focus,
+      connected: !!m.socket
+    }))
+    const locks = {}
+    room.locks.forEach((holder, field) => { locks[field] = holder.id })
+    broadcast(room, { type: 'PRESENCE', members, locks })
+  }
+
+  // The first member to focus a field holds its lock until blur or disconnect
+  function setFocus(session, field) {
+    session.focus = field
+    releaseLocks(session)
+    if (field && !session.room.locks.has(field)) session.room.locks.set(field, session)
+    broadcastPresence(session.room)
+  }
+
+  // ---------- Sessions ----------
+  // Open a session in `roomId`, or in a private room when none is given
+  function open(actionId, socket, { roomId, name, user = null } = {}) {
+    const session = {
+      id: crypto.randomUUID(),
+      socket,
+      user,
+      name: name || 'Guest',
+      color: null,
+      focus: null,
+      room: null,
+      seq: 0,
+      outbox: [],
+      lastContext: null,
+      lastClientSeq: -1,
+      graceTimer: null
+    }
+    sessions.set(session.id, session)
+
+    transmit(session, {
+      type: 'HELLO',
+      protocol: PROTOCOL_VERSION,
+      sessionId: session.id,
+      room: roomId || null,
+      resumeGraceMs
+    })
+    broadcastPresence(joinRoom(actionId, roomId || session.id, session))
+
+    return session
+  }
+
+  function destroy(session) {
+    clearTimeout(session.graceTimer)
+    sessions.delete(session.id)
+    leaveRoom(session)
+  }
+
+  // Socket went away: keep the session in its room for `resumeGraceMs`
+  function detach(session, socket) {
+    if (session.socket !== socket) return
+    session.socket = null
+    session.focus = null
+    releaseLocks(session)
+    broadcastPresence(session.room)
+    session.graceTimer = setTimeout(() => {
+      logger.info(`Form session ${session.id} expired`)
+      destroy(session)
+    }, resumeGraceMs)
+  }
+
+  // Move `socket` from its fresh session onto the detached session it asks for
+  function resume(fresh, { sessionId, lastSeq }) {
+    const session = sessions.get(sessionId)
+    const sameUser = (session?.user?.sub ?? null) === (fresh.user?.sub ?? null)
+    if (!session || session === fresh || session.room.actionId !== fresh.room.actionId || !sameUser) {
+      throw new ProtocolError(ERROR_CODES.SESSION_NOT_FOUND, 'Session not found or expired')
+    }
+
+    // A still-attached socket is replaced by the reconnecting one
+    if (session.socket) {
+      transmit(session, errorMessage(ERROR_CODES.SESSION_NOT_FOUND, 'Session resumed elsewhere'))
+      session.socket.close()
+    }
+    clearTimeout(session.graceTimer)
+    session.socket = fresh.socket
+    fresh.socket = null
+    destroy(fresh)
+
+    transmit(session, { type: 'RESUMED', sessionId: session.id, seq: session.seq })
+    const missed = session.outbox.filter((m) => m.seq > lastSeq)
+    const complete = lastSeq >= session.seq || (missed.length > 0 && missed[0].seq === lastSeq + 1)
+    if (complete) {
+      missed.forEach((m) => transmit(session, m))
+    } else {
+      session.outbox = []
+      sendSequenced(session, snapshot(session))
+    }
+    broadcastPresence(session.room)
+    return session
+  }
+
+  // Reject a CHANGE made against an outdated version of its field. A member's
+  // own newer edit is no conflict: it is typing faster than the round trip
+  function checkConflict(session, seq, event) {
+    if (event.type !== 'CHANGE' || event.baseVersion === undefined) return
+    const { context } = session.room.service.state
+    const edit = context.fieldEdits?.[event.field]
+    if (edit && edit.version > event.baseVersion && edit.author !== session.id) {
+      throw new ProtocolError(ERROR_CODES.CONFLICT, `"${event.field}" was changed by someone else`, seq, {
+        current: { field: event.field, value: context.formData[event.field], ...edit }
+      })
+    }
+  }
+
+  function handleMessage(session, raw) {
+    const msg = parseClientMessage(raw)
+    switch (msg.type) {
+      case 'EVENT':
+        transmit(session, { type: 'ACK', seq: msg.seq })
+        if (msg.seq <= session.lastClientSeq) return session
+        session.lastClientSeq = msg.seq
+        checkConflict(session, msg.seq, msg.event)
+        authorize(session, msg.event, msg.seq)
+        session.room.service.send({ ...msg.event, author: session.id })
+        return session
+      case 'ACK':
+        session.outbox = session.outbox.filter((m) => m.seq > msg.seq)
+        return session
+      case 'RESUME':
+        return resume(session, msg)
+      case 'FOCUS':
+        setFocus(session, msg.field)
+        return session
+    }
+  }
+
+  // Answer a message the server refused before handling it (e.g. rate limited);
+  // a refused EVENT is acked like a rejected one, so the client doesn't re-send it
+  function refuse(session, msg, error) {
+    if (msg?.type === 'EVENT' && isSeq(msg.seq)) {
+      transmit(session, { type: 'ACK', seq: msg.seq })
+      session.lastClientSeq = Math.max(session.lastClientSeq, msg.seq)
+    }
+    transmit(session, error)
+  }
+
+  // End every session of an action, e.g. when the action is removed
+  function closeAction(actionId, code, message) {
+    for (const session of Array.from(sessions.values())) {
+      if (session.room.actionId !== actionId) continue
+      transmit(session, errorMessage(code, message))
+      if (session.socket) session.socket.close()
+      destroy(session)
+    }
+  }
+
+  return {
+    open,
+    detach,
+    handleMessage,
+    refuse,
+    closeAction,
+    send: transmit,
+    get: (id) => sessions.get(id)
+  }
+}
+
+module.exports = {
+  PROTOCOL_VERSION,
+  ERROR_CODES,
+  CLIENT_EVENTS,
+  ProtocolError,
+  errorMessage,
+  isValidRoomId,
+  parseClientMessage,
+  createSessionManager
+}
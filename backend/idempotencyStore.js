@@ -0,0 +1,119 @@
+/**
+ * In-memory store for Idempotency-Key handling.
+ *
+ * run(scope, key, fingerprint, execute) executes `execute()` once per
+ * (scope, key) and resolves to its `{ statusCode, body }` response:
+ *   - duplicates arriving while it runs wait for the same response
+ *   - later duplicates get the stored response, marked `replayed: true`
+ *   - a key reused with a different fingerprint throws IdempotencyKeyMismatch
+ * Server errors (5xx), cancelled requests (499) and exceptions are not kept,
+ * so a retry executes again.
+ * Keys are only unique to whoever sent them, so `scope` should name the caller
+ * as well as the action: callers never share each other's responses.
+ * Stored responses expire `ttlMs` after they complete.
+ *
+ * Callers may pass the `signal` of their request: `execute(signal)` gets a
+ * signal that aborts only once every caller waiting for it has gone. A caller
+ * still waiting when a cancelled execution (499) ends gets a fresh execution
+ * instead of the cancellation.
+ */
+
+const crypto = require('crypto')
+
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/
+const CLIENT_CLOSED_REQUEST = 499
+
+class IdempotencyKeyMismatch extends Error {
+  constructor() {
+    super('Idempotency-Key was already used with a different request')
+    this.name = 'IdempotencyKeyMismatch'
+  }
+}
+
+function isValidIdempotencyKey(key) {
+  return typeof key === 'string' && KEY_PATTERN.test(key)
+}
+
+// Same hash for the same JSON value, whatever its key order
+function fingerprint(value) {
+  const canonical = (v) => {
+    if (Array.isArray(v)) return v.map(canonical)
+    if (v && typeof v === 'object') {
+      return Object.keys(v).sort().reduce((out, k) => ({ ...out, [k]: canonical(v[k]) }), {})
+    }
+    return v
+  }
+  return crypto.createHash('sha256').update(JSON.stringify(canonical(value ?? null))).digest('hex')
+}
+
+function createIdempotencyStore({ ttlMs = 24 * 60 * 60 * 1000 } = {}) {
+  const entries = new Map() // `${scope}\n${key}` -> { fingerprint, promise, controller, waiting, pending, expiresAt }
+
+  function purgeExpired(now) {
+    for (const [id, entry] of entries) {
+      if (entry.expiresAt <= now) entries.delete(id)
+    }
+  }
+
+  // Count a caller as waiting for the entry's execution until its signal aborts;
+  // the execution is aborted when nobody waits for it any more
+  function attach(entry, signal) {
+    entry.waiting += 1
+    if (!signal) return
+    const leave = () => {
+      entry.waiting -= 1
+      if (entry.waiting === 0 && entry.pending) entry.controller.abort()
+    }
+    if (signal.aborted) {
+      leave()
+    } else {
+      signal.addEventListener('abort', leave, { once: true })
+    }
+  }
+
+  async function run(scope, key, requestFingerprint, execute, { signal } = {}) {
+    purgeExpired(Date.now())
+    const id = `${scope}\n${key}`
+
+    const existing = entries.get(id)
+    if (existing) {
+      if (existing.fingerprint !== requestFingerprint) throw new IdempotencyKeyMismatch()
+      attach(existing, signal)
+      const response = await existing.promise
+      // Cancelled as everyone else had gone: this caller is still here, so run it again
+      if (response.statusCode === CLIENT_CLOSED_REQUEST && !signal?.aborted) {
+        return run(scope, key, requestFingerprint, execute, { signal })
+      }
+      return { ...response, replayed: true }
+    }
+
+    const controller = new AbortController()
+    const entry = { fingerprint: requestFingerprint, controller, waiting: 0, pending: true, expiresAt: Infinity }
+    entry.promise = Promise.resolve().then(() => execute(controller.signal))
+    entries.set(id, entry)
+    attach(entry, signal)
+    try {
+      const response = await entry.promise
+      if (response.statusCode >= 500 || response.statusCode === CLIENT_CLOSED_REQUEST) {
+        entries.delete(id)
+      } else {
+        entry.expiresAt = Date.now() + ttlMs
+      }
+      return response
+    } catch (err) {
+      entries.delete(id)
+      throw err
+    } finally {
+      entry.pending = false
+    }
+  }
+
+  return { run, size: () => entries.size }
+}
+
+module.exports = {
+  createIdempotencyStore,
+  fingerprint,
+  isValidIdempotencyKey,
+  IdempotencyKeyMismatch
+}
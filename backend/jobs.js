@@ -0,0 +1,116 @@
+/**
+ * Background jobs for handlers that take too long to answer a request.
+ *
+ * A handler opts in by returning a job instead of its result:
+ *   const { backgroundJob } = require('../jobs')
+ *   handler: async (data) => backgroundJob(async ({ progress }) => {
+ *     progress(10, 'Creating workspace')
+ *     ...
+ *     return result
+ *   })
+ * The submit is then answered right away (202) with the job, and `run` goes on
+ * in the background. A job is
+ *   { id, actionId, submissionId, status, progress, result, error, createdAt, updatedAt, completedAt }
+ * status:   'running' -> 'succeeded' | 'failed'
+ * progress: { percent: 0-100, message } once `run` reports any, else null
+ * error:    a problem object (see packages/shared/problems) once it failed; the
+ *           JobFailed problem of the submit, or a generic one for any other error
+ *
+ * The runner emits `updated` with the job on every change. Jobs live in memory
+ * and are forgotten `ttlMs` after they finish, or when the server restarts.
+ */
+
+const crypto = require('crypto')
+const { EventEmitter } = require('events')
+const { problem } = require('../packages/shared/problems')
+
+// ---------- Handler Results ----------
+class BackgroundJob {
+  constructor(run) {
+    if (typeof run !== 'function') throw new TypeError('backgroundJob needs a function')
+    this.run = run
+  }
+}
+
+const backgroundJob = (run) => new BackgroundJob(run)
+const isBackgroundJob = (value) => value instanceof BackgroundJob
+
+// A job that failed with a response of its own, e.g. a validation problem
+class JobFailed extends Error {
+  constructor(problemBody) {
+    super(problemBody.detail || problemBody.title)
+    this.name = 'JobFailed'
+    this.problem = problemBody
+  }
+}
+
+// ---------- Runner ----------
+function createJobRunner({ ttlMs = 60 * 60 * 1000, logger = console } = {}) {
+  const jobs = new Map()
+  const events = new EventEmitter()
+
+  function update(job, changes) {
+    Object.assign(job, changes, { updatedAt: new Date().toISOString() })
+    events.emit('updated', { ...job })
+  }
+
+  function finish(job, changes) {
+    update(job, { ...changes, completedAt: new Date().toISOString() })
+    setTimeout(() => jobs.delete(job.id), ttlMs).unref()
+  }
+
+  // Start `run({ progress })` for a submission; returns the job as it starts.
+  // Callers that must record the job before it runs pass its `id`
+  function start({ id = crypto.randomUUID(), actionId, submissionId }, run) {
+    const now = new Date().toISOString()
+    const job = {
+      id,
+      actionId,
+      submissionId,
+      status: 'running',
+      progress: null,
+      result: null,
+      error: null,
+      createdAt: now,
+      updatedAt: now,
+      completedAt: null
+    }
+    jobs.set(job.id, job)
+
+    const progress = (percent, message = null) => {
+      if (job.status !== 'running') return
+      const clamped = Math.min(100, Math.max(0, Number(percent) || 0))
+      update(job, { progress: { percent: clamped, message: message === null ? null : String(message) } })
+    }
+
+    Promise.resolve()
+      .then(() => run({ progress }))
+      .then(
+        (result) => finish(job, { status: 'succeeded', progress: { percent: 100, message: null }, result }),
+        (err) => {
+          // What went wrong unexpectedly is logged, and not shown to whoever follows the job
+          if (!(err instanceof JobFailed)) logger.error(err, `Job ${job.id} failed`)
+          finish(job, {
+            status: 'failed',
+            error: err instanceof JobFailed
+              ? err.problem
+              : problem('job-failed', 500, 'Job failed', 'The job stopped with an unexpected error')
+          })
+        }
+      )
+    return { ...job }
+  }
+
+  return {
+    start,
+    get: (id) => (jobs.has(id) ? { ...jobs.get(id) } : null),
+    events
+  }
+}
+
+module.exports = {
+  backgroundJob,
+  isBackgroundJob,
+  JobFailed,
+  createJobRunner
+}
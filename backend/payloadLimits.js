@@ -0,0 +1,89 @@
+/**
+ * Payload limits of an action, derived from its formJson.
+ *
+ *   maxValues        values (fields, array items, objects) a payload may hold
+ *   maxStringLength  longest text any of its fields accepts
+ * Arrays count with their `maxItems`, texts with their `maxLength`, and the
+ * DEFAULT_ limits below where a field sets none. Payloads over a limit are
+ * refused before validation, so oversized data never reaches AJV or a handler.
+ */
+
+const DEFAULT_MAX_ITEMS = 100
+const DEFAULT_MAX_STRING_LENGTH = 10000
+const MAX_DATE_LENGTH = 64
+const MAX_FILE_NAME_LENGTH = 1024
+// An upload reference is an object of { id, name, size, type }
+const UPLOAD_REF_VALUES = 5
+
+const STRING_TYPES = ['string', 'text', 'textarea', 'email', 'password']
+
+function valueCount(field, maxFiles) {
+  switch (field.type) {
+    case 'object':
+      return 1 + field.fields.reduce((count, sub) => count + valueCount(sub, maxFiles), 0)
+    case 'array':
+      return 1 + (field.maxItems ?? DEFAULT_MAX_ITEMS) * valueCount(field.items, maxFiles)
+    case 'file':
+      return field.multiple ? 1 + maxFiles * UPLOAD_REF_VALUES : UPLOAD_REF_VALUES
+    default:
+      return 1
+  }
+}
+
+function stringLength(field) {
+  if (STRING_TYPES.includes(field.type)) return field.maxLength ?? DEFAULT_MAX_STRING_LENGTH
+  switch (field.type) {
+    case 'select':
+    case 'radio':
+      return field.options ? Math.max(...field.options.map(o => String(o.value).length)) : DEFAULT_MAX_STRING_LENGTH
+    case 'date':
+      return MAX_DATE_LENGTH
+    case 'file':
+      return MAX_FILE_NAME_LENGTH
+    case 'object':
+      return Math.max(0, ...field.fields.map(stringLength))
+    case 'array':
+      return stringLength(field.items)
+    default:
+      return 0
+  }
+}
+
+const cache = new WeakMap()
+
+// { maxValues, maxStringLength } of a form; `maxFiles` is the most files a `multiple` field holds
+function payloadLimits(formJson, { maxFiles }) {
+  if (!cache.has(formJson)) {
+    cache.set(formJson, {
+      maxValues: 1 + formJson.reduce((count, field) => count + valueCount(field, maxFiles), 0),
+      maxStringLength: Math.max(0, ...formJson.map(stringLength))
+    })
+  }
+  return cache.get(formJson)
+}
+
+// Why `data` is over the limits, or null when it isn't; stops at the first excess
+function payloadExcess(limits, data) {
+  let values = 0
+  const visit = (value) => {
+    if (++values > limits.maxValues) return `Payload has more than ${limits.maxValues} values`
+    if (typeof value === 'string' && value.length > limits.maxStringLength) {
+      return `Payload has text longer than ${limits.maxStringLength} characters`
+    }
+    if (value && typeof value === 'object') {
+      for (const child of Object.values(value)) {
+        const excess = visit(child)
+        if (excess) return excess
+      }
+    }
+    return null
+  }
+  return visit(data)
+}
+
+module.exports = {
+  DEFAULT_MAX_ITEMS,
+  DEFAULT_MAX_STRING_LENGTH,
+  payloadLimits,
+  payloadExcess
+}
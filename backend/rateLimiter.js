@@ -0,0 +1,94 @@
+/**
+ * Rate limits: a token bucket per kind of request, action and caller.
+ *
+ * Kinds are `submit`, `validate` (also single-field checks) and `message`
+ * (WebSocket messages). Each has a default bucket an action may override:
+ *   module.exports = { ..., rateLimits: { submit: { limit: 3, intervalMs: 60000 } } }
+ * A caller may make `limit` requests at once; the bucket refills by `limit`
+ * every `intervalMs`. Callers are their user (`user:<sub>`), or their address
+ * when anonymous.
+ *
+ * Buckets live in a store:
+ *   { take(key, { limit, intervalMs }) -> Promise<{ allowed, retryAfterMs }> }
+ * createMemoryRateLimitStore keeps them in process memory; server processes
+ * that share limits need a shared store in its place.
+ */
+
+const DEFAULT_RATE_LIMITS = {
+  submit: { limit: 10, intervalMs: 60 * 1000 },
+  validate: { limit: 60, intervalMs: 60 * 1000 },
+  message: { limit: 100, intervalMs: 10 * 1000 }
+}
+const RATE_LIMIT_KINDS = Object.keys(DEFAULT_RATE_LIMITS)
+
+// ---------- Memory Store ----------
+function createMemoryRateLimitStore({ sweepIntervalMs = 60 * 1000 } = {}) {
+  const buckets = new Map() // key -> { tokens, updatedAt, intervalMs }
+
+  async function take(key, { limit, intervalMs }) {
+    const now = Date.now()
+    const perMs = limit / intervalMs
+    const bucket = buckets.get(key) || { tokens: limit, updatedAt: now }
+    bucket.tokens = Math.min(limit, bucket.tokens + (now - bucket.updatedAt) * perMs)
+    bucket.updatedAt = now
+    bucket.intervalMs = intervalMs
+    buckets.set(key, bucket)
+
+    if (bucket.tokens >= 1) {
+      bucket.tokens -= 1
+      return { allowed: true, retryAfterMs: 0 }
+    }
+    return { allowed: false, retryAfterMs: Math.ceil((1 - bucket.tokens) / perMs) }
+  }
+
+  // Buckets idle for a whole interval are full again, the same as no bucket
+  const sweeper = setInterval(() => {
+    const now = Date.now()
+    for (const [key, bucket] of buckets) {
+      if (now - bucket.updatedAt >= bucket.intervalMs) buckets.delete(key)
+    }
+  }, sweepIntervalMs)
+  sweeper.unref()
+
+  return {
+    take,
+    close: () => clearInterval(sweeper)
+  }
+}
+
+// ---------- Limiter ----------
+function createRateLimiter({ store = createMemoryRateLimitStore(), defaults = DEFAULT_RATE_LIMITS } = {}) {
+  // { allowed, retryAfterMs } for one more `kind` request of `identity` to `action`
+  function take(kind, action, identity) {
+    const bucket = { ...defaults[kind], ...action.rateLimits?.[kind] }
+    return store.take(`${kind}:${action.id}:${identity}`, bucket)
+  }
+
+  return { take }
+}
+
+// ---------- Definition checks ----------
+function rateLimitProblems(rateLimits) {
+  if (rateLimits === undefined) return []
+  if (!rateLimits || typeof rateLimits !== 'object' || Array.isArray(rateLimits)) {
+    return ['`rateLimits` must be an object']
+  }
+  const problems = []
+  for (const [kind, bucket] of Object.entries(rateLimits)) {
+    if (!RATE_LIMIT_KINDS.includes(kind)) {
+      problems.push(`\`rateLimits.${kind}\` is not one of ${RATE_LIMIT_KINDS.join(', ')}`)
+    } else if (!bucket || !Number.isInteger(bucket.limit) || bucket.limit < 1 ||
+        !Number.isInteger(bucket.intervalMs) || bucket.intervalMs < 1) {
+      problems.push(`\`rateLimits.${kind}\` must have a positive integer \`limit\` and \`intervalMs\``)
+    }
+  }
+  return problems
+}
+
+module.exports = {
+  DEFAULT_RATE_LIMITS,
+  RATE_LIMIT_KINDS,
+  createMemoryRateLimitStore,
+  createRateLimiter,
+  rateLimitProblems
+}
@@ -1,247 +1,1429 @@
 const Fastify = require('fastify')
 const cors = require('@fastify/cors')
 const websocket = require('@fastify/websocket')
+const multipart = require('@fastify/multipart')
 const Ajv = require('ajv')
 const addFormats = require('ajv-formats')
+const path = require('path')
+const crypto = require('crypto')
 const { createMachine, interpret, assign } = require('xstate')
 const {
-  formMachineDefinition,
-  formJsonToJsonSchema,
-  formJsonToUiSchema
+  createFormMachineDefinition,
+  formJsonToUiSchema,
+  getAsyncFields
 } = require('../packages/shared/formMachine')
+const { pruneHiddenFields } = require('../packages/shared/conditions')
+const { applyComputedFields } = require('../packages/shared/computed')
+const {
+  MAX_OPTIONS_PAGE_SIZE,
+  optionsSourceOf,
+  sourcedFields,
+  dependencyValues,
+  clearDependentFields
+} = require('../packages/shared/optionsSources')
+const { formJsonMetaSchema, formJsonToJsonSchema } = require('../packages/shared/formJson')
+const { rulesMetaSchema } = require('../packages/shared/rules')
+const {
+  canUseAction,
+  isHiddenFor,
+  isReadOnlyFor,
+  formJsonForRoles,
+  dataForRoles,
+  restrictedFieldErrors,
+  withRestrictedDefaults
+} = require('../packages/shared/permissions')
+const {
+  DEFAULT_LOCALE,
+  CATALOGS,
+  negotiateLocale,
+  localize,
+  localizeFormJson,
+  formJsonLocales,
+  formatFieldError
+} = require('../packages/shared/i18n')
+const { matchesAccept, fileProblem, collectUploads } = require('../packages/shared/uploads')
+const { withoutWriteOnly } = require('../packages/shared/writeOnly')
+const {
+  toSegments,
+  fieldAtPath,
+  canAddItem,
+  canRemoveItem,
+  canMoveItem,
+  addItem,
+  removeItem,
+  moveItem
+} = require('../packages/shared/formPaths')
+const {
+  PROBLEM_CONTENT_TYPE,
+  FIELD_ERROR_CODES,
+  CHECK_FAILED,
+  REJECTED,
+  UNKNOWN_UPLOAD,
+  FILE_TOO_LARGE,
+  FILE_TYPE_NOT_ACCEPTED,
+  fieldError,
+  ajvToFieldErrors,
+  messagesToFieldErrors,
+  groupErrorsByField,
+  problem,
+  validationProblem
+} = require('../packages/shared/problems')
+const { createActionRegistry } = require('./actionRegistry')
+const { createFileDraftStore, isValidDraftId } = require('./draftStore')
+const { fieldErrorsOf } = require('./errors')
+const { createSubmissionStore, newSubmission, parseSubmissionQuery } = require('./submissionStore')
+const { createFileUploadStore, toUploadRef, FileTooLarge } = require('./uploadStore')
+const {
+  createIdempotencyStore,
+  fingerprint,
+  isValidIdempotencyKey,
+  IdempotencyKeyMismatch
+} = require('./idempotencyStore')
+const {
+  PROTOCOL_VERSION,
+  ERROR_CODES,
+  ProtocolError,
+  errorMessage,
+  isValidRoomId,
+  createSessionManager
+} = require('./formSessions')
+const { AuthError, rolesOf, loadSecret, createJwtAuthenticator } = require('./auth')
+const { createMemoryRateLimitStore, createRateLimiter } = require('./rateLimiter')
+const { payloadLimits, payloadExcess } = require('./payloadLimits')
+const { retryOptions, isTransientFailure, retryDelay } = require('../packages/shared/retry')
+const { createActionPipeline, trimTextFields } = require('./actionPipeline')
+const { isBackgroundJob, JobFailed, createJobRunner } = require('./jobs')
+const {
+  newSubscription,
+  subscriptionProblem,
+  publicSubscription,
+  createFileWebhookStore,
+  createWebhookDispatcher
+} = require('./webhooks')
+
+// Largest JSON body, and WebSocket message, in bytes
+const BODY_LIMIT = Number(process.env.BODY_LIMIT) || 1024 * 1024
 
-const fastify = Fastify({ logger: true })
+const fastify = Fastify({ logger: true, bodyLimit: BODY_LIMIT })
 const ajv = new Ajv({ allErrors: true, verbose: true })
 addFormats(ajv)
 
 // ---------- Action Registry (your dynamic forms) ----------
-const actions = {
-  createUser: {
-    id: 'createUser',
-    label: 'Create User',
-    formJson: [
-      { name: 'username', type: 'string', label: 'Username', required: true, minLength: 3 },
-      { name: 'email', type: 'email', label: 'Email', required:  true },
-      { name: 'role', type: 'select', label: 'Role', required:  true, options: [
-        { value:  'user', label: 'User' },
-        { value: 'admin', label: 'Admin' }
-      ], default: 'user' },
-      { name: 'age', type: 'integer', label: 'Age', minimum: 18, maximum: 120 },
-      { name:  'bio', type: 'textarea', label: 'Bio', maxLength: 500 }
-    ],
-    // Server-side handler
-    handler:  async (data) => {
-      // Simulate DB insert
-      await new Promise(r => setTimeout(r, 500))
-      return { id: `user_${Date. now()}`, ...data, createdAt: new Date().toISOString() }
-    }
-  },
-  createOrder: {
-    id: 'createOrder',
-    label:  'Create Order',
-    formJson:  [
-      { name: 'productId', type: 'string', label:  'Product ID', required: true },
-      { name: 'quantity', type:  'integer', label: 'Quantity', required: true, minimum:  1 },
-      { name: 'priority', type: 'select', label: 'Priority', options: [
-        { value: 'low', label: 'Low' },
-        { value: 'normal', label: 'Normal' },
-        { value: 'high', label: 'High' }
-      ], default:  'normal' },
-      { name: 'expressShipping', type: 'boolean', label:  'Express Shipping', default: false }
-    ],
-    handler: async (data) => {
-      await new Promise(r => setTimeout(r, 300))
-      return { orderId: `order_${Date.now()}`, ...data }
+// Each file in ./actions exports { id, label, formJson, handler }.
+// Validators are compiled on load and recompiled whenever a file changes.
+const registry = createActionRegistry({
+  dir: process.env.ACTIONS_DIR || path.join(__dirname, 'actions'),
+  ajv,
+  logger: fastify.log,
+  watch: process.env.ACTIONS_WATCH !== 'false'
+})
+
+registry.on('added', (id) => fastify.log.info(`Action "${id}" registered`))
+registry.on('updated', (id) => fastify.log.info(`Action "${id}" reloaded`))
+registry.on('removed', (id) => fastify.log.info(`Action "${id}" removed`))
+
+registry.load()
+
+// ---------- Authentication ----------
+// Callers are the users of their bearer tokens, or anonymous (see ./auth)
+const authenticate = createJwtAuthenticator({ secret: loadSecret() })
+
+// ---------- Handler Pipeline ----------
+// Hooks and lifecycle events around every submit (see ./actionPipeline);
+// plugins reach it as fastify.actionPipeline
+const pipeline = createActionPipeline({ logger: fastify.log })
+pipeline.use({ beforeValidate: trimTextFields })
+
+// ---------- Rate Limits ----------
+// Submits, validations and WebSocket messages per action and caller (see ./rateLimiter)
+const rateLimits = createRateLimiter({ store: createMemoryRateLimitStore() })
+
+const identityOf = (req) => (req.user ? `user:${req.user.sub}` : `ip:${req.ip}`)
+
+// ---------- Drafts (in-progress forms) ----------
+const drafts = createFileDraftStore({
+  dir: process.env.DRAFTS_DIR || path.join(__dirname, 'data', 'drafts')
+})
+
+// ---------- Submissions ----------
+// SUBMISSIONS_STORE=memory keeps them in process memory only
+const submissions = createSubmissionStore({
+  type: process.env.SUBMISSIONS_STORE || 'file',
+  dir: process.env.SUBMISSIONS_DIR || path.join(__dirname, 'data', 'submissions')
+})
+
+// ---------- Uploads (file fields) ----------
+// Fields without `maxSize` are limited to UPLOAD_MAX_SIZE bytes
+const uploads = createFileUploadStore({
+  dir: process.env.UPLOADS_DIR || path.join(__dirname, 'data', 'uploads')
+})
+const UPLOAD_MAX_SIZE = Number(process.env.UPLOAD_MAX_SIZE) || 10 * 1024 * 1024
+const UPLOAD_MAX_FILES = 10
+
+// Uploads that no successful submit claimed are removed once they are
+// UPLOAD_TTL_MS old, unless a draft still refers to them
+const UPLOAD_TTL_MS = Number(process.env.UPLOAD_TTL_MS) || 24 * 60 * 60 * 1000
+const UPLOAD_SWEEP_INTERVAL_MS = 60 * 60 * 1000
+
+async function sweepUploads() {
+  const keep = new Set()
+  for (const action of registry.list()) {
+    for (const draft of await drafts.all(action.id)) {
+      for (const { refs } of collectUploads(action.formJson, draft.data)) {
+        for (const ref of refs) if (ref?.id) keep.add(ref.id)
+      }
     }
   }
+  const removed = await uploads.sweep({ before: new Date(Date.now() - UPLOAD_TTL_MS), keep })
+  if (removed > 0) fastify.log.info({ removed }, 'Removed unclaimed uploads')
+}
+
+// ---------- Idempotent Submissions ----------
+// Submissions with the same Idempotency-Key run the handler once
+const idempotency = createIdempotencyStore({
+  ttlMs: Number(process.env.IDEMPOTENCY_TTL_MS) || 24 * 60 * 60 * 1000
+})
+
+// Keys are the caller's own: another caller sending the same key gets a submit
+// of its own, never the first caller's response
+const idempotencyScope = (actionId, caller) => `${actionId}\n${caller}`
+
+// ---------- Background Jobs ----------
+// Handlers that return a backgroundJob run on after their submit is answered
+const jobs = createJobRunner({
+  ttlMs: Number(process.env.JOB_TTL_MS) || 60 * 60 * 1000,
+  logger: fastify.log
+})
+
+// ---------- Webhooks ----------
+// Signed deliveries of submission and draft events to subscribers (see ./webhooks),
+// managed by callers with WEBHOOKS_ROLE
+const WEBHOOKS_ROLE = 'admin'
+const webhookStore = createFileWebhookStore({
+  file: process.env.WEBHOOKS_FILE || path.join(__dirname, 'data', 'webhooks.json')
+})
+const webhooks = createWebhookDispatcher({
+  store: webhookStore,
+  maxAttempts: Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 5,
+  retryBaseMs: Number(process.env.WEBHOOK_RETRY_BASE_MS) || 1000,
+  logger: fastify.log
+})
+
+const submissionEvent = ({ ctx }) => ({ submissionId: ctx.submissionId, requestId: ctx.requestId, source: ctx.source })
+pipeline.events.on('submit:succeeded', (event) =>
+  webhooks.dispatch('submission.succeeded', event.ctx.action.id, { ...submissionEvent(event), result: event.result }))
+pipeline.events.on('submit:failed', (event) =>
+  webhooks.dispatch('submission.failed', event.ctx.action.id, { ...submissionEvent(event), error: event.error.message }))
+
+// Keep only the action's fields in a draft
+function pickFormFields(action, data = {}) {
+  const picked = {}
+  for (const field of action.formJson) {
+    if (field.name in data) picked[field.name] = data[field.name]
+  }
+  return picked
 }
 
-// Precompile validators
-const validators = {}
-for (const [key, action] of Object.entries(actions)) {
-  const schema = formJsonToJsonSchema(action.formJson, action.label)
-  validators[key] = ajv.compile(schema)
+// Send an RFC 7807 problem (see packages/shared/problems)
+function sendProblem(reply, details) {
+  return reply.status(details.status).type(PROBLEM_CONTENT_TYPE).send(details)
+}
+
+// A signal that aborts when the client closes the request before it is answered,
+// so cooperative validators and handlers can stop their work
+function closedSignal(reply) {
+  const controller = new AbortController()
+  reply.raw.on('close', () => {
+    if (!reply.raw.writableFinished) controller.abort()
+  })
+  return controller.signal
+}
+
+// Locale of the response for the request's Accept-Language (see packages/shared/i18n)
+const requestLocale = (req, available = Object.keys(CATALOGS)) =>
+  negotiateLocale(req.headers['accept-language'], available)
+
+// ... also choosing from the locales the action's texts are translated to
+const actionLocale = (req, action) =>
+  requestLocale(req, [...new Set([...Object.keys(CATALOGS), ...formJsonLocales(action.formJson)])])
+
+// AJV errors as field errors, with the messages of the shared catalogs
+const schemaFieldErrors = (action, ajvErrors, locale = DEFAULT_LOCALE) =>
+  ajvToFieldErrors(ajvErrors).map(err => ({ ...err, message: formatFieldError(err, action.formJson, locale) }))
+
+const notFound = (what) => problem('not-found', 404, `${what} not found`)
+const badRequest = (detail) => problem('invalid-request', 400, 'Invalid request', detail)
+const tooManyRequests = (retryAfter) =>
+  problem('rate-limited', 429, 'Too many requests', `Try again in ${retryAfter} s`, { retryAfter })
+const payloadTooLarge = (detail) => problem('payload-too-large', 413, 'Payload too large', detail)
+const accessDenied = (user) => user
+  ? problem('forbidden', 403, 'Forbidden', 'Your roles do not allow this')
+  : problem('unauthorized', 401, 'Unauthorized', 'Sign in to do this')
+
+// The action's fields as the caller sees them (see packages/shared/permissions)
+const callerFormJson = (req, action) => formJsonForRoles(action.formJson, rolesOf(req.user))
+
+// Data as `roles` may see it: fields hidden from them left out, keys that are no
+// field (like the ids a handler adds to its result) kept
+function visibleData(formJson, data, roles) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) return data
+  const names = new Set(formJson.map(f => f.name))
+  const extras = Object.fromEntries(Object.entries(data).filter(([name]) => !names.has(name)))
+  return { ...extras, ...dataForRoles(formJson, data, roles) }
+}
+
+// A submission as the caller may see it
+function callerSubmission(req, action, submission) {
+  if (!action) return submission
+  const roles = rolesOf(req.user)
+  const hidden = new Set(action.formJson.filter(f => isHiddenFor(f, roles)).map(f => f.name))
+  const { validation } = submission
+  return {
+    ...submission,
+    payload: visibleData(action.formJson, withoutWriteOnly(action.formJson, submission.payload), roles),
+    result: visibleData(action.formJson, withoutWriteOnly(action.formJson, submission.result), roles),
+    validation: validation?.errors
+      ? { ...validation, errors: validation.errors.filter(err => !hidden.has(err.field)) }
+      : validation
+  }
+}
+
+// Drafts belong to whoever saved them; `owner` stays on the server
+const publicDraft = ({ owner, ...draft }) => draft
+
+// Submitted data as the server sees it: fields the caller may not set back at
+// their defaults, computed fields recomputed whatever the client sent, and
+// hidden fields (visibleWhen / hiddenWhen) left out
+function submittedData(action, body, roles) {
+  const data = roles ? withRestrictedDefaults(action.formJson, body, roles) : body
+  return pruneHiddenFields(action.formJson, applyComputedFields(action.formJson, data))
+}
+
+// Answers 429 with Retry-After once the caller is over the action's `kind` limit; true if it did
+async function rejectRateLimited(req, reply, kind, action) {
+  const { allowed, retryAfterMs } = await rateLimits.take(kind, action, identityOf(req))
+  if (allowed) return false
+  const retryAfter = Math.ceil(retryAfterMs / 1000)
+  sendProblem(reply.header('Retry-After', String(retryAfter)), tooManyRequests(retryAfter))
+  return true
+}
+
+// Answers 413 when a payload is over the limits derived from the action's formJson; true if it did
+function rejectOversized(reply, action, data) {
+  const excess = payloadExcess(payloadLimits(action.formJson, { maxFiles: UPLOAD_MAX_FILES }), data)
+  if (!excess) return false
+  sendProblem(reply, payloadTooLarge(excess))
+  return true
+}
+
+// Values of `body` the caller may not set, as field errors
+const permissionFieldErrors = (action, body, roles, locale) =>
+  restrictedFieldErrors(action.formJson, body, roles)
+    .map(err => ({ ...err, message: formatFieldError(err, action.formJson, locale) }))
+
+// Run the action's asyncValidators for the submitted fields with `asyncValidate`.
+// A validator resolves to an error message, or nothing when the value is fine.
+// Resolves to field errors (code "check_failed").
+async function asyncFieldErrors(action, data, signal) {
+  const messages = {}
+  await Promise.all(getAsyncFields(action.formJson).map(async (field) => {
+    if (!(field.name in data)) return
+    const error = await action.asyncValidators[field.name](data[field.name], { data, signal })
+    if (error) messages[field.name] = error
+  }))
+  return messagesToFieldErrors(messages, CHECK_FAILED)
+}
+
+// A file field error with the message of the shared catalogs
+function fileFieldError(action, pointer, code, { maxSize, accept }, locale) {
+  const params = code === FILE_TOO_LARGE ? { maxSize } : code === FILE_TYPE_NOT_ACCEPTED ? { accept } : null
+  const err = fieldError(pointer, code, '', null, params)
+  return { ...err, message: formatFieldError(err, action.formJson, locale) }
+}
+
+// Every upload reference must name a file uploaded for this action, with the
+// metadata it was stored with, that still fits its field
+async function uploadFieldErrors(action, data, locale) {
+  const errors = []
+  for (const { pointer, field, refs } of collectUploads(action.formJson, data)) {
+    for (const ref of refs) {
+      const upload = await uploads.get(ref.id)
+      const matches = upload && upload.actionId === action.id &&
+        upload.name === ref.name && upload.size === ref.size && upload.type === ref.type
+      const code = matches ? fileProblem(field, upload) : UNKNOWN_UPLOAD
+      if (code) errors.push(fileFieldError(action, pointer, code, field, locale))
+    }
+  }
+  return errors
+}
+
+// A submitted value of a select with `optionsSource` must be one its source
+// offers for the submitted values it depends on (a lookup by `value`)
+async function optionsFieldErrors(action, data, locale) {
+  const errors = []
+  await Promise.all(sourcedFields(action.formJson).map(async (field) => {
+    const value = data[field.name]
+    if (value === undefined || value === null || value === '') return
+    const { options } = await action.optionSources[field.name]({
+      q: '',
+      page: 1,
+      pageSize: 1,
+      values: dependencyValues(field, data),
+      value
+    })
+    if (!options.some(o => o.value === value)) {
+      const err = fieldError(`/${field.name}`, FIELD_ERROR_CODES.enum, '')
+      errors.push({ ...err, message: formatFieldError(err, action.formJson, locale) })
+    }
+  }))
+  return errors
+}
+
+// Validate + execute a submission through the handler pipeline and record it,
+// as { statusCode, body }. `roles` are the caller's; room submits leave them
+// out, as every edit of a room was authorized when it was made. Once `signal`
+// aborts, the submit is cancelled: it stops before the handler, or, when the
+// handler honours ctx.signal and throws, ends cancelled rather than failed.
+async function executeSubmit(action, validator, body, {
+  idempotencyKey,
+  locale,
+  roles,
+  user = null,
+  requestId = crypto.randomUUID(),
+  source = 'rest',
+  signal = null
+} = {}) {
+  const ctx = {
+    action, user, roles: roles || null, requestId, source, submissionId: null,
+    idempotencyKey: idempotencyKey ?? null, signal
+  }
+  pipeline.emit('submit:received', { ctx, data: body })
+
+  // A failing beforeValidate hook is recorded like a failing handler, below
+  let input = body
+  let hookError = null
+  try {
+    input = await pipeline.run('beforeValidate', body, ctx)
+  } catch (err) {
+    hookError = err
+  }
+
+  const data = submittedData(action, input, roles)
+  // Passwords and other write-only values only ever reach the handler
+  const submission = await submissions.insert(newSubmission({
+    actionId: action.id,
+    payload: withoutWriteOnly(action.formJson, data),
+    idempotencyKey
+  }))
+  ctx.submissionId = submission.id
+  const complete = (status, changes) =>
+    submissions.update(submission.id, { status, ...changes, completedAt: new Date().toISOString() })
+
+  const reject = async (statusCode, errors) => {
+    await complete('rejected', { validation: { valid: false, errors } })
+    pipeline.emit('submit:rejected', { ctx, statusCode, errors })
+    return { statusCode, body: validationProblem(errors, { status: statusCode, submissionId: submission.id }) }
+  }
+
+  // 499 (client closed request), which the idempotency store does not keep
+  const cancel = async () => {
+    await complete('cancelled', {})
+    pipeline.emit('submit:cancelled', { ctx })
+    return {
+      statusCode: 499,
+      body: problem('cancelled', 499, 'Submission cancelled', 'The submission was cancelled before it finished',
+        { submissionId: submission.id })
+    }
+  }
+
+  const fail = async (err) => {
+    if (signal?.aborted) {
+      return cancel()
+    }
+    await pipeline.onError(err, ctx)
+    // A hook or the handler rejected specific fields (throw new FieldErrors({ ... }))
+    const rejected = fieldErrorsOf(err)
+    if (rejected) {
+      return reject(422, messagesToFieldErrors(rejected, REJECTED))
+    }
+    fastify.log.error(err)
+    await complete('failed', { error: err.message })
+    pipeline.emit('submit:failed', { ctx, error: err })
+    return {
+      statusCode: 500,
+      body: problem('handler-failed', 500, 'Action failed', err.message, { submissionId: submission.id })
+    }
+  }
+
+  if (hookError) {
+    return fail(hookError)
+  }
+
+  // Values the caller may not set are refused before anything else
+  const forbidden = roles ? permissionFieldErrors(action, input, roles, locale) : []
+  if (forbidden.length > 0) {
+    return reject(403, forbidden)
+  }
+
+  // Validate
+  if (!validator(data)) {
+    return reject(400, schemaFieldErrors(action, validator.errors, locale))
+  }
+
+  // Server-side field checks are authoritative, whatever the client saw
+  let asyncErrors
+  try {
+    asyncErrors = await asyncFieldErrors(action, data, signal)
+  } catch (err) {
+    if (signal?.aborted) return cancel()
+    throw err
+  }
+  if (asyncErrors.length > 0) {
+    return reject(400, asyncErrors)
+  }
+  const uploadErrors = await uploadFieldErrors(action, data, locale)
+  if (uploadErrors.length > 0) {
+    return reject(400, uploadErrors)
+  }
+  const optionErrors = await optionsFieldErrors(action, data, locale)
+  if (optionErrors.length > 0) {
+    return reject(400, optionErrors)
+  }
+  await submissions.update(submission.id, { validation: { valid: true, errors: null } })
+  pipeline.emit('submit:validated', { ctx, data })
+  if (signal?.aborted) {
+    return cancel()
+  }
+
+  // The response for what the handler (or its background job) ends with
+  const settle = async (outcome) => {
+    let result
+    try {
+      result = withoutWriteOnly(action.formJson, await pipeline.run('afterHandle', await outcome(), ctx))
+    } catch (err) {
+      return fail(err)
+    }
+    // The submission's files are kept from the upload sweep from now on
+    await Promise.all(collectUploads(action.formJson, data)
+      .flatMap(({ refs }) => refs)
+      .map(ref => uploads.claim(ref.id, submission.id)))
+    await complete('succeeded', { result })
+    pipeline.emit('submit:succeeded', { ctx, result })
+    return { statusCode: 200, body: { success: true, data: result, submissionId: submission.id } }
+  }
+
+  // Execute handler
+  let handled
+  try {
+    handled = await action.handler(await pipeline.run('beforeHandle', data, ctx), ctx)
+  } catch (err) {
+    return fail(err)
+  }
+  if (!isBackgroundJob(handled)) {
+    return settle(() => handled)
+  }
+
+  // Handlers that return a backgroundJob are answered now and finish in the job (see ./jobs).
+  // The submission names its job before the job runs, so the job's own writes come after
+  const jobId = crypto.randomUUID()
+  await submissions.update(submission.id, { jobId })
+  const job = jobs.start({ id: jobId, actionId: action.id, submissionId: submission.id }, async ({ progress }) => {
+    const { statusCode, body: response } = await settle(() => handled.run({ progress }))
+    if (statusCode !== 200) throw new JobFailed(response)
+    return response.data
+  })
+  return { statusCode: 202, body: { success: true, job, submissionId: submission.id } }
 }
 
 // ---------- Register Plugins ----------
 async function start() {
-  await fastify.register(cors, { origin: true })
-  await fastify.register(websocket)
+  await submissions.load()
+  await webhookStore.load()
+  await fastify.register(cors, { origin: true, exposedHeaders: ['Idempotent-Replayed', 'Retry-After'] })
+  await fastify.register(websocket, { options: { maxPayload: BODY_LIMIT } })
+  await fastify.register(multipart)
+  fastify.decorate('actionPipeline', pipeline)
+
+  // Every error response is application/problem+json
+  fastify.setErrorHandler((err, req, reply) => {
+    if (err.code === 'FST_ERR_CTP_BODY_TOO_LARGE') {
+      return sendProblem(reply, payloadTooLarge(`Body is larger than ${BODY_LIMIT} bytes`))
+    }
+    if (err.statusCode && err.statusCode < 500) {
+      return sendProblem(reply, problem('invalid-request', err.statusCode, 'Invalid request', err.message))
+    }
+    req.log.error(err)
+    return sendProblem(reply, problem('internal-error', 500, 'Internal server error'))
+  })
+  fastify.setNotFoundHandler((req, reply) => sendProblem(reply, notFound('Route')))
+
+  // Every request, WebSocket upgrades included, runs as its token's user or anonymously
+  fastify.decorateRequest('user', null)
+  fastify.addHook('onRequest', async (req, reply) => {
+    try {
+      req.user = await authenticate(req)
+    } catch (err) {
+      if (!(err instanceof AuthError)) throw err
+      reply.header('WWW-Authenticate', 'Bearer error="invalid_token"')
+      return sendProblem(reply, problem('unauthorized', 401, 'Unauthorized', err.message))
+    }
+  })
+
+  // Routes of an action with `allowedRoles` need one of its roles
+  fastify.addHook('preHandler', async (req, reply) => {
+    const action = registry.get(req.params?.id ?? req.params?.actionId)
+    if (action && !canUseAction(action, rolesOf(req.user))) {
+      return sendProblem(reply, accessDenied(req.user))
+    }
+  })
 
   // ---------- REST Endpoints ----------
 
-  // GET /api/actions - List available actions
-  fastify.get('/api/actions', async () => {
-    return Object.values(actions).map(a => ({
+  // GET /api/actions - List the actions the caller may use
+  fastify.get('/api/actions', async (req) => {
+    return registry.list().filter(a => canUseAction(a, rolesOf(req.user))).map(a => ({
       id: a.id,
       label: a.label
     }))
   })
 
+  // GET /api/schemas/formJson - Meta-schema every action's formJson must match
+  fastify.get('/api/schemas/formJson', async () => formJsonMetaSchema)
+
+  // GET /api/schemas/rules - Meta-schema of an action's cross-field rules
+  fastify.get('/api/schemas/rules', async () => rulesMetaSchema)
+
   // GET /api/actions/: id/schema - Get JSON Schema + UI Schema for an action
   fastify.get('/api/actions/:id/schema', async (req, reply) => {
-    const action = actions[req.params.id]
+    const action = registry.get(req.params.id)
     if (! action) {
-      return reply. status(404).send({ error: 'Action not found' })
+      return sendProblem(reply, notFound('Action'))
     }
 
+    // Texts in the best locale for Accept-Language, falling back through the
+    // language and the default locale (see packages/shared/i18n)
+    const locale = actionLocale(req, action)
+    reply.header('Content-Language', locale).header('Vary', 'Accept-Language, Authorization')
+
+    // Only the fields and options the caller's roles allow
+    const formJson = callerFormJson(req, action)
     return {
-      jsonSchema: formJsonToJsonSchema(action. formJson, action. label),
-      uiSchema: formJsonToUiSchema(action.formJson),
-      formJson: action.formJson // raw definition if needed
+      locale,
+      jsonSchema: formJsonToJsonSchema(formJson, action. label, locale),
+      uiSchema: formJsonToUiSchema(formJson, locale),
+      formJson: localizeFormJson(formJson, locale), // definition if needed
+      // How clients retry transient submit failures (see packages/shared/retry)
+      retry: retryOptions(action.retry)
     }
   })
 
   // POST /api/actions/: id/validate - Validate form data
   fastify.post('/api/actions/:id/validate', async (req, reply) => {
-    const validator = validators[req. params.id]
-    if (!validator) {
-      return reply.status(404).send({ error: 'Action not found' })
+    const action = registry.get(req.params.id)
+    const validator = registry.getValidator(req.params.id)
+    if (!action || !validator) {
+      return sendProblem(reply, notFound('Action'))
+    }
+    if (await rejectRateLimited(req, reply, 'validate', action) || rejectOversized(reply, action, req.body)) {
+      return reply
     }
 
-    const valid = validator(req. body)
-    if (valid) {
+    // Checked like a submit: normalised by the beforeValidate hooks first (see executeSubmit)
+    const roles = rolesOf(req.user)
+    const locale = requestLocale(req)
+    const ctx = {
+      action, user: req.user, roles, requestId: req.id, source: 'rest', submissionId: null,
+      idempotencyKey: null, signal: null
+    }
+    let input
+    try {
+      input = await pipeline.run('beforeValidate', req.body, ctx)
+    } catch (err) {
+      const rejected = fieldErrorsOf(err)
+      if (!rejected) throw err
+      return { valid: false, errors: messagesToFieldErrors(rejected, REJECTED) }
+    }
+    const errors = [
+      ...permissionFieldErrors(action, input, roles, locale),
+      ...(validator(submittedData(action, input, roles)) ? [] : schemaFieldErrors(action, validator.errors, locale))
+    ]
+    if (errors.length === 0) {
       return { valid: true, errors: null }
     }
 
-    // Transform AJV errors to field-keyed map
-    const errors = {}
-    for (const err of validator.errors) {
-      const field = err.instancePath.replace('/', '') || err.params.missingProperty
-      errors[field] = err.message
-    }
     return { valid:  false, errors }
   })
 
+  // POST /api/actions/:id/fields/:field/validate - Server-side check of one field (asyncValidate)
+  fastify.post('/api/actions/:id/fields/:field/validate', async (req, reply) => {
+    const action = registry.get(req.params.id)
+    const field = action && callerFormJson(req, action).find(f => f.name === req.params.field && f.asyncValidate)
+    if (!field) {
+      return sendProblem(reply, notFound('Field'))
+    }
+    const { value, data = {} } = req.body || {}
+    if (await rejectRateLimited(req, reply, 'validate', action) ||
+        rejectOversized(reply, action, data) || rejectOversized(reply, action, { [field.name]: value })) {
+      return reply
+    }
+
+    const error = await action.asyncValidators[field.name](value, { data, signal: closedSignal(reply) })
+    return { valid: !error, error: error || null }
+  })
+
+  // GET /api/actions/:id/fields/:field/options - Options of a select with `optionsSource`
+  // ?q=<search>&page=<1..>&pageSize=<n>, and `values`: a JSON object with the
+  // values of the fields it depends on. `value` looks up a single option.
+  fastify.get('/api/actions/:id/fields/:field/options', async (req, reply) => {
+    const action = registry.get(req.params.id)
+    const field = action && callerFormJson(req, action).find(f => f.name === req.params.field && f.optionsSource)
+    if (!field) {
+      return sendProblem(reply, notFound('Field'))
+    }
+
+    const { q = '', value, values = '{}' } = req.query
+    const page = Number(req.query.page ?? 1)
+    const pageSize = Number(req.query.pageSize ?? optionsSourceOf(field).pageSize)
+    if (!Number.isInteger(page) || page < 1) {
+      return sendProblem(reply, badRequest('`page` must be a positive integer'))
+    }
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_OPTIONS_PAGE_SIZE) {
+      return sendProblem(reply, badRequest(`\`pageSize\` must be an integer from 1 to ${MAX_OPTIONS_PAGE_SIZE}`))
+    }
+    let data
+    try {
+      data = JSON.parse(values)
+    } catch {
+      data = null
+    }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      return sendProblem(reply, badRequest('`values` must be a JSON object'))
+    }
+
+    const result = await action.optionSources[field.name]({
+      q: String(q),
+      page,
+      pageSize,
+      values: dependencyValues(field, data),
+      value
+    })
+    const locale = actionLocale(req, action)
+    reply.header('Content-Language', locale).header('Vary', 'Accept-Language')
+    return {
+      options: result.options.map(o => ({ value: o.value, label: localize(o.label, locale) ?? String(o.value) })),
+      page,
+      pageSize,
+      total: result.total ?? null,
+      // Sources without a total have more while they fill whole pages
+      hasMore: result.total !== undefined ? page * pageSize < result.total : result.options.length === pageSize
+    }
+  })
+
+  function sendSubmitResponse(reply, { statusCode, body }) {
+    return statusCode >= 400 ? sendProblem(reply, body) : reply.status(statusCode).send(body)
+  }
+
   // POST /api/actions/:id/submit - Validate + Execute action
+  // With an Idempotency-Key header, repeats of the request replay the first response
   fastify. post('/api/actions/:id/submit', async (req, reply) => {
-    const action = actions[req.params.id]
-    const validator = validators[req. params.id]
+    const action = registry.get(req.params.id)
+    const validator = registry.getValidator(req.params.id)
     if (!action || !validator) {
-      return reply. status(404).send({ error: 'Action not found' })
+      return sendProblem(reply, notFound('Action'))
+    }
+    if (await rejectRateLimited(req, reply, 'submit', action) || rejectOversized(reply, action, req.body)) {
+      return reply
+    }
+
+    // The handler sees the submit cancelled when the client gives up on the request;
+    // with an Idempotency-Key, once every request waiting for it has
+    const signal = closedSignal(reply)
+    const key = req.headers['idempotency-key']
+    if (key === undefined) {
+      return sendSubmitResponse(reply, await executeSubmit(action, validator, req.body, {
+        locale: requestLocale(req),
+        roles: rolesOf(req.user),
+        user: req.user,
+        requestId: req.id,
+        signal
+      }))
+    }
+    if (!isValidIdempotencyKey(key)) {
+      return sendProblem(reply, badRequest('Invalid Idempotency-Key header'))
+    }
+
+    try {
+      const response = await idempotency.run(
+        idempotencyScope(req.params.id, identityOf(req)),
+        key,
+        fingerprint(req.body),
+        (executionSignal) => executeSubmit(action, validator, req.body, {
+          idempotencyKey: key,
+          locale: requestLocale(req),
+          roles: rolesOf(req.user),
+          user: req.user,
+          requestId: req.id,
+          signal: executionSignal
+        }),
+        { signal }
+      )
+      if (response.replayed) reply.header('Idempotent-Replayed', 'true')
+      return sendSubmitResponse(reply, response)
+    } catch (err) {
+      if (err instanceof IdempotencyKeyMismatch) {
+        return sendProblem(reply, problem('idempotency-key-reused', 422, 'Idempotency-Key reused', err.message))
+      }
+      throw err
+    }
+  })
+
+  // ---------- Submissions ----------
+
+  // POST /api/actions/:id/uploads?field=<pointer> - Store files for a file field
+  // (multipart/form-data, one file part, or several with `multiple`). Answers
+  // 201 { uploads: [{ id, name, size, type }] }, the references to submit.
+  fastify.post('/api/actions/:id/uploads', async (req, reply) => {
+    const action = registry.get(req.params.id)
+    if (!action) {
+      return sendProblem(reply, notFound('Action'))
+    }
+    const pointer = req.query.field
+    const field = typeof pointer === 'string' ? fieldAtPath(callerFormJson(req, action), pointer) : null
+    if (field?.type !== 'file') {
+      return sendProblem(reply, badRequest('`field` must be the JSON Pointer of a file field'))
+    }
+    if (field.readOnly) {
+      return sendProblem(reply, accessDenied(req.user))
+    }
+    if (!req.isMultipart()) {
+      return sendProblem(reply, badRequest('Expected a multipart/form-data body'))
     }
 
-    // Validate
-    const valid = validator(req.body)
-    if (!valid) {
-      const errors = {}
-      for (const err of validator.errors) {
-        const field = err.instancePath. replace('/', '') || err.params.missingProperty
-        errors[field] = err.message
+    const maxSize = Math.min(field.maxSize ?? UPLOAD_MAX_SIZE, UPLOAD_MAX_SIZE)
+    const saved = []
+    let rejection = null
+    try {
+      const parts = req.files({
+        limits: { fileSize: maxSize, files: field.multiple ? UPLOAD_MAX_FILES : 1 },
+        throwFileSizeLimit: false
+      })
+      for await (const part of parts) {
+        if (!matchesAccept(field.accept, { name: part.filename, type: part.mimetype })) {
+          part.file.resume()
+          rejection = { status: 415, code: FILE_TYPE_NOT_ACCEPTED }
+          break
+        }
+        saved.push(await uploads.save({
+          actionId: action.id,
+          field: pointer,
+          name: part.filename,
+          type: part.mimetype,
+          file: part.file,
+          maxSize
+        }))
       }
-      return reply. status(400).send({ success: false, errors })
+    } catch (err) {
+      // All files of a request are stored, or none
+      await Promise.all(saved.map((upload) => uploads.remove(upload.id)))
+      if (!(err instanceof FileTooLarge)) throw err
+      rejection = { status: 413, code: FILE_TOO_LARGE }
+    }
+
+    if (rejection) {
+      await Promise.all(saved.map((upload) => uploads.remove(upload.id)))
+      const error = fileFieldError(action, pointer, rejection.code, { maxSize, accept: field.accept }, requestLocale(req))
+      return sendProblem(reply, validationProblem([error], { status: rejection.status }))
     }
+    if (saved.length === 0) {
+      return sendProblem(reply, badRequest('No file was uploaded'))
+    }
+    return reply.status(201).send({ uploads: saved.map(toUploadRef) })
+  })
 
-    // Execute handler
+  // GET /api/actions/:id/submissions - Paginated submissions of an action
+  // ?limit=&offset=&sort=createdAt|updatedAt|completedAt|status&order=asc|desc
+  // &status=&from=&to=&payload.<field>=<value>
+  fastify.get('/api/actions/:id/submissions', async (req, reply) => {
+    const action = registry.get(req.params.id)
+    if (!action) {
+      return sendProblem(reply, notFound('Action'))
+    }
+
+    let options
     try {
-      const result = await action.handler(req.body)
-      return { success: true, data: result }
+      options = parseSubmissionQuery(req.query)
     } catch (err) {
-      fastify.log.error(err)
-      return reply.status(500).send({ success: false, error:  err.message })
+      return sendProblem(reply, badRequest(err.message))
+    }
+    // Filtering by a hidden field would tell its values apart
+    const hidden = Object.keys(options.fields).find(name => !callerFormJson(req, action).some(f => f.name === name))
+    if (hidden) {
+      return sendProblem(reply, badRequest(`Unknown field "${hidden}"`))
+    }
+    const page = await submissions.query(req.params.id, options)
+    return { ...page, items: page.items.map(submission => callerSubmission(req, action, submission)) }
+  })
+
+  // GET /api/submissions/:submissionId - One submission
+  fastify.get('/api/submissions/:submissionId', async (req, reply) => {
+    const submission = await submissions.get(req.params.submissionId)
+    if (!submission) {
+      return sendProblem(reply, notFound('Submission'))
+    }
+    const action = registry.get(submission.actionId)
+    if (action && !canUseAction(action, rolesOf(req.user))) {
+      return sendProblem(reply, accessDenied(req.user))
     }
+    return callerSubmission(req, action, submission)
+  })
+
+  // ---------- Background Jobs ----------
+
+  // GET /api/jobs/:jobId - Status, progress and result of a background job
+  fastify.get('/api/jobs/:jobId', async (req, reply) => {
+    const job = jobs.get(req.params.jobId)
+    if (!job) {
+      return sendProblem(reply, notFound('Job'))
+    }
+    const action = registry.get(job.actionId)
+    if (action && !canUseAction(action, rolesOf(req.user))) {
+      return sendProblem(reply, accessDenied(req.user))
+    }
+    return job
+  })
+
+  // ---------- Drafts ----------
+
+  // Drafts are the caller's own: others' drafts are not found
+  // GET /api/actions/:id/drafts - Draft summaries, most recent first
+  fastify.get('/api/actions/:id/drafts', async (req, reply) => {
+    if (!registry.get(req.params.id)) {
+      return sendProblem(reply, notFound('Action'))
+    }
+    return drafts.list(req.params.id, identityOf(req))
+  })
+
+  // GET /api/actions/:id/drafts/:draftId - Load a draft
+  fastify.get('/api/actions/:id/drafts/:draftId', async (req, reply) => {
+    const { id, draftId } = req.params
+    const action = registry.get(id)
+    if (!action || !isValidDraftId(draftId)) {
+      return sendProblem(reply, notFound('Draft'))
+    }
+    const draft = await drafts.get(id, draftId)
+    if (!draft || draft.owner !== identityOf(req)) {
+      return sendProblem(reply, notFound('Draft'))
+    }
+    const data = dataForRoles(action.formJson, withoutWriteOnly(action.formJson, draft.data), rolesOf(req.user))
+    return publicDraft({ ...draft, data })
+  })
+
+  // PUT /api/actions/:id/drafts/:draftId - Create or replace a draft ({ data })
+  fastify.put('/api/actions/:id/drafts/:draftId', async (req, reply) => {
+    const { id, draftId } = req.params
+    const action = registry.get(id)
+    if (!action) {
+      return sendProblem(reply, notFound('Action'))
+    }
+    if (!isValidDraftId(draftId)) {
+      return sendProblem(reply, badRequest('Invalid draft id'))
+    }
+    const existing = await drafts.get(id, draftId)
+    if (existing && existing.owner !== identityOf(req)) {
+      return sendProblem(reply, notFound('Draft'))
+    }
+    // Drafts are partial, so they are not validated; fields the caller can't see,
+    // and write-only ones like passwords, are left out
+    const data = withoutWriteOnly(action.formJson,
+      dataForRoles(action.formJson, pickFormFields(action, req.body?.data), rolesOf(req.user)))
+    const draft = await drafts.put(id, draftId, data, identityOf(req))
+    webhooks.dispatch('draft.saved', id, { draftId, data: draft.data, updatedAt: draft.updatedAt })
+    return publicDraft(draft)
+  })
+
+  // DELETE /api/actions/:id/drafts/:draftId - Discard a draft
+  fastify.delete('/api/actions/:id/drafts/:draftId', async (req, reply) => {
+    const { id, draftId } = req.params
+    const draft = registry.get(id) && isValidDraftId(draftId) ? await drafts.get(id, draftId) : null
+    if (!draft || draft.owner !== identityOf(req) || !(await drafts.remove(id, draftId))) {
+      return sendProblem(reply, notFound('Draft'))
+    }
+    return reply.status(204).send()
+  })
+
+  // ---------- Webhooks ----------
+  const requireWebhooksRole = async (req, reply) => {
+    if (!rolesOf(req.user).includes(WEBHOOKS_ROLE)) {
+      return sendProblem(reply, accessDenied(req.user))
+    }
+  }
+
+  // GET /api/webhooks?actionId= - Subscriptions, without their secrets
+  fastify.get('/api/webhooks', { preHandler: requireWebhooksRole }, async (req) => {
+    const { actionId } = req.query
+    return (await webhookStore.listSubscriptions(typeof actionId === 'string' ? actionId : undefined))
+      .map(publicSubscription)
+  })
+
+  // POST /api/webhooks - Subscribe { actionId, url, events, secret? } to an action's events.
+  // Answers 201 with the subscription, its secret included (generated unless given)
+  fastify.post('/api/webhooks', { preHandler: requireWebhooksRole }, async (req, reply) => {
+    const { actionId, url, events, secret } = req.body || {}
+    if (!registry.get(actionId)) {
+      return sendProblem(reply, badRequest('`actionId` must name an action'))
+    }
+    const invalid = subscriptionProblem({ url, events, secret })
+    if (invalid) {
+      return sendProblem(reply, badRequest(invalid))
+    }
+    const subscription = await webhookStore.addSubscription(newSubscription({ actionId, url, events, secret }))
+    return reply.status(201).send(subscription)
+  })
+
+  // DELETE /api/webhooks/:webhookId - Unsubscribe
+  fastify.delete('/api/webhooks/:webhookId', { preHandler: requireWebhooksRole }, async (req, reply) => {
+    if (!(await webhookStore.removeSubscription(req.params.webhookId))) {
+      return sendProblem(reply, notFound('Webhook'))
+    }
+    return reply.status(204).send()
+  })
+
+  // GET /api/webhooks/dead-letters - Deliveries that ran out of attempts
+  fastify.get('/api/webhooks/dead-letters', { preHandler: requireWebhooksRole }, async () =>
+    webhookStore.listDeadLetters())
+
+  // POST /api/webhooks/dead-letters/:deadLetterId/retry - Deliver again, with fresh attempts
+  fastify.post('/api/webhooks/dead-letters/:deadLetterId/retry', { preHandler: requireWebhooksRole }, async (req, reply) => {
+    if (!(await webhooks.redeliver(req.params.deadLetterId))) {
+      return sendProblem(reply, notFound('Dead letter or its webhook'))
+    }
+    return reply.status(202).send({ redelivering: true })
   })
 
   // ---------- WebSocket:  Real-time state sync (optional) ----------
-  fastify.register(async function (fastify) {
-    fastify.get('/ws/form/:actionId', { websocket: true }, (socket, req) => {
-      const action = actions[req. params.actionId]
-      if (!action) {
-        socket.send(JSON.stringify({ type: 'ERROR', message: 'Action not found' }))
-        socket.close()
-        return
+  // Interpreted form machine for one WebSocket session
+  function createFormService(actionId) {
+    const definition = createFormMachineDefinition(registry.get(actionId).formJson)
+
+    // Form data without hidden fields (visibleWhen / hiddenWhen)
+    const visibleFormData = (ctx) => pruneHiddenFields(registry.get(ctx.formId).formJson, ctx.formData)
+
+    // Edited form data: dependent selects of changed fields cleared, computed fields re-applied
+    const applyEdit = (ctx, formData) => {
+      const { formJson } = registry.get(ctx.formId)
+      return applyComputedFields(formJson, clearDependentFields(formJson, formData, ctx.formData), ctx.formData)
+    }
+
+    // Context errors are grouped by field: { [field]: [fieldError, ...] }
+
+    // Field errors reported by finished asyncValidate checks of visible fields
+    const asyncErrors = (ctx) => {
+      const data = visibleFormData(ctx)
+      const messages = {}
+      for (const [field, check] of Object.entries(ctx.fieldChecks || {})) {
+        if (check.error && field in data) messages[field] = check.error
+      }
+      return messagesToFieldErrors(messages, CHECK_FAILED)
+    }
+    // Top-level field an edit changes: CHANGE names it, item events give a path into it
+    const editedField = (ev) => ev.field ?? toSegments(ev.path)[0]
+    const bumpEdit = (ctx, ev) => {
+      const field = editedField(ev)
+      return {
+        ...ctx.fieldEdits,
+        [field]: { version: (ctx.fieldEdits[field]?.version || 0) + 1, author: ev.author || null }
       }
+    }
+
+    const areFieldChecksSettled = (ctx) =>
+      !Object.values(ctx.fieldChecks || {}).some(check => check.status === 'pending')
+
+    // Errors for the fields of one wizard step
+    const stepErrors = (ctx, stepName) => {
+      const step = ctx.steps.find(s => s.name === stepName)
+      const validator = registry.getValidator(ctx.formId)
+      const errors = validator(visibleFormData(ctx)) ? [] : schemaFieldErrors(registry.get(ctx.formId), validator.errors)
+      return groupErrorsByField([...errors, ...asyncErrors(ctx)].filter(err => step.fields.includes(err.field)))
+    }
+
+    // Retry settings of the action (see packages/shared/retry)
+    const retryOf = (ctx) => retryOptions(registry.get(ctx.formId).retry)
+
+    // Aborts the room's latest submit on CANCEL, or when the room closes
+    let submitController = null
+    // Idempotency-Key of the room's latest submit and the fingerprint of its data:
+    // retries and resubmits of the same data reuse it, so an attempt whose handler
+    // finished replays instead of running again. Other data, or a submit after a
+    // final answer, takes a new key, which the store would refuse as reused
+    let submitKey = null
+    let submitPayload = null
 
-      // Create an XState interpreter for this session
-      const machine = createMachine(
-        {
-          ... formMachineDefinition,
-          context: {
-            ... formMachineDefinition.context,
-            formId: action.id
+    const machine = createMachine(
+      {
+        ...definition,
+        context: {
+          ...definition.context,
+          formId: actionId,
+          // Per-field edit counter and last author, for collaborative rooms
+          fieldEdits: {}
+        }
+      },
+      {
+        actions: {
+          initForm: assign((ctx, ev) => ({
+            formData: applyComputedFields(registry.get(ctx.formId).formJson, ev.initialData || {})
+          })),
+          updateField: assign((ctx, ev) => ({
+            formData: applyEdit(ctx, { ...ctx.formData, [ev.field]: ev.value }),
+            fieldEdits: bumpEdit(ctx, ev)
+          })),
+          addItem: assign((ctx, ev) => ({
+            formData: applyEdit(ctx, addItem(registry.get(ctx.formId).formJson, ctx.formData, ev.path, ev.value, ev.index)),
+            fieldEdits: bumpEdit(ctx, ev)
+          })),
+          removeItem: assign((ctx, ev) => ({
+            formData: applyEdit(ctx, removeItem(ctx.formData, ev.path, ev.index)),
+            fieldEdits: bumpEdit(ctx, ev)
+          })),
+          moveItem: assign((ctx, ev) => ({
+            formData: applyEdit(ctx, moveItem(ctx.formData, ev.path, ev.from, ev.to)),
+            fieldEdits: bumpEdit(ctx, ev)
+          })),
+          clearFieldError:  assign((ctx, ev) => {
+            const next = { ...ctx.errors }
+            const nextServer = { ...ctx.serverErrors }
+            delete next[editedField(ev)]
+            delete nextServer[editedField(ev)]
+            return { errors: next, serverErrors: nextServer }
+          }),
+          setSubmitting: assign({ isSubmitting: true }),
+          clearSubmitting: assign({ isSubmitting: false }),
+          cancelSubmit: () => submitController?.abort(),
+          setCancelled: assign({ cancelled: true }),
+          clearCancelled: assign({ cancelled: false }),
+          resetRetries: assign({ retryCount: 0 }),
+          scheduleRetry: assign((ctx, ev) => ({
+            retryCount: ctx.retryCount + 1,
+            nextRetryAt: Date.now() + retryDelay(ctx.retryCount + 1, retryOf(ctx), ev.data)
+          })),
+          clearRetry: assign({ nextRetryAt: null }),
+          setResult: assign((ctx, ev) => ({ result: ev.data.result })),
+          setJob: assign((ctx, ev) => ({ job: ev.data.job })),
+          updateJob: assign((ctx, ev) => ({ job: ev.job })),
+          setServerErrors: assign((ctx, ev) => ({
+            serverErrors: groupErrorsByField(
+              ev.data?.errors || [fieldError('', 'submit_failed', ev.data?.message || 'Unknown error')]
+            )
+          })),
+          resetForm: assign({
+            formData:  {},
+            errors:  {},
+            serverErrors: {},
+            fieldChecks: {},
+            fieldEdits: {},
+            job: null,
+            result: null
+          }),
+          markFieldPending: assign((ctx, ev, { action }) => ({
+            fieldChecks: { ...ctx.fieldChecks, [action.field]: { status: 'pending', error: null } }
+          })),
+          setFieldCheck: assign((ctx, ev, { action }) => {
+            const status = ev.type === 'FIELD_CHECK_FAILED' ? 'failed' : ev.error ? 'invalid' : 'valid'
+            return {
+              fieldChecks: { ...ctx.fieldChecks, [action.field]: { status, error: ev.error || null } },
+              errors: ev.error
+                ? { ...ctx.errors, ...groupErrorsByField(messagesToFieldErrors({ [action.field]: ev.error }, CHECK_FAILED)) }
+                : ctx.errors
+            }
+          }),
+          setCurrentStep: assign((ctx, ev, { action }) => ({ currentStep: action.step })),
+          setStepErrors: assign((ctx, ev, { action }) => ({
+            errors: { ...ctx.errors, ...stepErrors(ctx, action.step) }
+          }))
+        },
+        guards: {
+          isValid: (ctx) => {
+            if (!areFieldChecksSettled(ctx)) return false
+            const validator = registry.getValidator(ctx.formId)
+            const valid = validator(visibleFormData(ctx))
+            const failedChecks = asyncErrors(ctx)
+            const hasFailedChecks = failedChecks.length > 0
+            if (!valid || hasFailedChecks) {
+              // side-effect: store errors (not ideal but works for demo)
+              const errors = valid ? [] : schemaFieldErrors(registry.get(ctx.formId), validator.errors)
+              ctx.errors = groupErrorsByField([...errors, ...failedChecks])
+            }
+            return valid && !hasFailedChecks
+          },
+          areFieldChecksSettled,
+          isJob: (ctx, ev) => !!ev.data.job,
+          canRetry: (ctx, ev) =>
+            isTransientFailure(ev.data) && ctx.retryCount + 1 < retryOf(ctx).maxAttempts,
+          canAddItem: (ctx, ev) => canAddItem(registry.get(ctx.formId).formJson, ctx.formData, ev.path),
+          canRemoveItem: (ctx, ev) =>
+            canRemoveItem(registry.get(ctx.formId).formJson, ctx.formData, ev.path, ev.index),
+          canMoveItem: (ctx, ev) =>
+            canMoveItem(registry.get(ctx.formId).formJson, ctx.formData, ev.path, ev.from, ev.to),
+          isChangeOf: (ctx, ev, { cond }) => ev.field === cond.field,
+          isCheckOf: (ctx, ev, { cond }) => ev.field === cond.field,
+          isStepValid: (ctx, ev, { cond }) => Object.keys(stepErrors(ctx, cond.step)).length === 0,
+          // Going back is always allowed, going forward only past valid steps
+          canGotoStep: (ctx, ev, { cond }) => {
+            if (ev.step !== cond.step) return false
+            const target = ctx.steps.findIndex(s => s.name === cond.step)
+            const current = ctx.steps.findIndex(s => s.name === ctx.currentStep)
+            return target <= current || ctx.steps
+              .slice(0, target)
+              .every(s => Object.keys(stepErrors(ctx, s.name)).length === 0)
           }
         },
-        {
-          actions: {
-            initForm: assign((ctx, ev) => ({
-              formData: ev.initialData || {}
-            })),
-            updateField: assign((ctx, ev) => ({
-              formData: { ...ctx.formData, [ev.field]: ev.value }
-            })),
-            clearFieldError:  assign((ctx, ev) => {
-              const next = { ...ctx.errors }
-              delete next[ev.field]
-              return { errors: next }
-            }),
-            setSubmitting: assign({ isSubmitting: true }),
-            clearSubmitting: assign({ isSubmitting: false }),
-            setResult: assign((ctx, ev) => ({ result: ev.data })),
-            setServerErrors: assign((ctx, ev) => ({
-              serverErrors:  ev.data?. errors || { _form: ev.data?. message || 'Unknown error' }
-            })),
-            resetForm: assign({
-              formData:  {},
-              errors:  {},
-              serverErrors: {},
-              result: null
-            })
+        delays: {
+          RETRY_DELAY: (ctx) => Math.max(0, ctx.nextRetryAt - Date.now())
+        },
+        services: {
+          submitForm: async (ctx, ev) => {
+            // Resolve on every submit so hot-reloaded handlers are picked up. Submitting
+            // re-runs every check: FIELD_CHECKED events can also come from the socket.
+            // Hooks see the member whose SUBMIT started it, when it was one
+            submitController = new AbortController()
+            const payload = fingerprint(ctx.formData)
+            if (!submitKey || payload !== submitPayload) {
+              submitKey = crypto.randomUUID()
+              submitPayload = payload
+            }
+            const key = submitKey
+            const { statusCode, body } = await idempotency.run(
+              idempotencyScope(ctx.formId, 'room'),
+              key,
+              payload,
+              (signal) => executeSubmit(registry.get(ctx.formId), registry.getValidator(ctx.formId), ctx.formData, {
+                idempotencyKey: key,
+                user: (ev.author && formSessions.get(ev.author)?.user) || null,
+                source: 'room',
+                signal
+              }),
+              { signal: submitController.signal }
+            )
+            // Cancelled and transient failures keep the key for the next attempt
+            const final = statusCode !== 499 && !isTransientFailure({ status: statusCode })
+            if (final && submitKey === key) submitKey = null
+            if (statusCode === 202) return { job: body.job }
+            if (statusCode !== 200) throw submitErrorOf(body)
+            return { result: body.data }
           },
-          guards: {
-            isValid: (ctx) => {
-              const validator = validators[ctx. formId]
-              const valid = validator(ctx. formData)
-              if (!valid) {
-                // side-effect: store errors (not ideal but works for demo)
-                ctx.errors = {}
-                for (const err of validator.errors) {
-                  const field = err. instancePath.replace('/', '') || err.params.missingProperty
-                  ctx. errors[field] = err.message
-                }
+          // Follows the job the submit started until it finishes
+          watchJob: (ctx) => (sendBack) => {
+            const report = (job) => {
+              if (job.id !== ctx.job.id) return
+              if (job.status === 'running') {
+                sendBack({ type: 'JOB_PROGRESS', job })
+              } else if (job.status === 'succeeded') {
+                sendBack({ type: 'JOB_SUCCEEDED', job, data: { result: job.result } })
+              } else {
+                sendBack({ type: 'JOB_FAILED', job, data: submitErrorOf(job.error) })
               }
-              return valid
             }
-          },
-          services: {
-            submitForm: async (ctx) => {
-              return action.handler(ctx. formData)
+            jobs.events.on('updated', report)
+            // The job may have moved on before the room started watching it
+            const current = jobs.get(ctx.job.id)
+            if (current) {
+              report(current)
+            } else {
+              sendBack({ type: 'JOB_FAILED', job: ctx.job, data: { message: 'Job not found' } })
             }
+            return () => jobs.events.off('updated', report)
+          },
+          // Callback service, so leaving `checking` aborts the stale check
+          asyncValidateField: (ctx, ev, { src }) => (sendBack) => {
+            const controller = new AbortController()
+            const data = visibleFormData(ctx)
+            Promise.resolve()
+              .then(() => registry.get(ctx.formId).asyncValidators[src.field](data[src.field], {
+                data,
+                signal: controller.signal
+              }))
+              .then(error => sendBack({ type: 'FIELD_CHECKED', field: src.field, error: error || null }))
+              .catch(() => sendBack({ type: 'FIELD_CHECK_FAILED', field: src.field }))
+            return () => controller.abort()
           }
         }
-      )
+      }
+    )
 
-      const service = interpret(machine)
+    return interpret(machine).onStop(() => submitController?.abort())
+  }
 
-      // Send state to client on every transition
-      service.onTransition((state) => {
-        socket.send(JSON.stringify({
-          type: 'STATE',
-          state: state. value,
-          context: state.context
-        }))
+  // The error event data of a failed room submit, from its problem; `status`
+  // and `retryAfter` tell whether, and when, to retry it (see packages/shared/retry)
+  const submitErrorOf = (body) => ({
+    ...(body.errors ? { errors: body.errors } : { message: body.detail || body.title }),
+    status: body.status,
+    ...(body.retryAfter !== undefined && { retryAfter: body.retryAfter })
+  })
+
+  // Sessions outlive their socket for WS_RESUME_GRACE_MS so clients can RESUME;
+  // sockets joining the same `?room=` share one interpreter
+  // Members only see, and edit, the fields their roles allow
+  const hiddenFieldNames = (formJson, roles) => formJson.filter(f => isHiddenFor(f, roles)).map(f => f.name)
+  const omit = (object, names) =>
+    Object.fromEntries(Object.entries(object || {}).filter(([name]) => !names.includes(name)))
+
+  function memberContext(session, context) {
+    const action = registry.get(session.room.actionId)
+    if (!action) return context
+    const roles = rolesOf(session.user)
+    const hidden = hiddenFieldNames(action.formJson, roles)
+    return {
+      ...context,
+      formData: dataForRoles(action.formJson, context.formData, roles),
+      errors: omit(context.errors, hidden),
+      serverErrors: omit(context.serverErrors, hidden),
+      fieldEdits: omit(context.fieldEdits, hidden),
+      ...(context.fieldChecks && { fieldChecks: omit(context.fieldChecks, hidden) })
+    }
+  }
+
+  function authorizeEvent(session, event, seq) {
+    const { formJson } = registry.get(session.room.actionId)
+    const roles = rolesOf(session.user)
+    let allowed = true
+    if (event.type === 'INIT') {
+      allowed = restrictedFieldErrors(formJson, event.initialData || {}, roles).length === 0
+    } else if (event.type === 'CHANGE') {
+      allowed = restrictedFieldErrors(formJson, { [event.field]: event.value }, roles).length === 0
+    } else if (['ADD_ITEM', 'REMOVE_ITEM', 'MOVE_ITEM'].includes(event.type)) {
+      const field = formJson.find(f => f.name === toSegments(event.path)[0])
+      allowed = !field || !(isHiddenFor(field, roles) || isReadOnlyFor(field, roles))
+    }
+    if (!allowed) {
+      throw new ProtocolError(ERROR_CODES.FORBIDDEN, 'Your roles do not allow this change', seq)
+    }
+  }
+
+  // Data an event brings into the room, checked against the action's payload limits
+  function checkEventPayload(session, event, seq) {
+    const data = event.type === 'INIT' ? event.initialData
+      : event.type === 'CHANGE' ? { [event.field]: event.value }
+        : event.type === 'ADD_ITEM' ? event.value
+          : undefined
+    if (data === undefined) return
+    const { formJson } = registry.get(session.room.actionId)
+    const excess = payloadExcess(payloadLimits(formJson, { maxFiles: UPLOAD_MAX_FILES }), data)
+    if (excess) {
+      throw new ProtocolError(ERROR_CODES.PAYLOAD_TOO_LARGE, excess, seq)
+    }
+  }
+
+  const formSessions = createSessionManager({
+    createService: createFormService,
+    authorize: (session, event, seq) => {
+      checkEventPayload(session, event, seq)
+      authorizeEvent(session, event, seq)
+    },
+    viewContext: memberContext,
+    resumeGraceMs: Number(process.env.WS_RESUME_GRACE_MS) || 30000,
+    logger: fastify.log
+  })
+
+  registry.on('removed', (actionId) => {
+    formSessions.closeAction(actionId, ERROR_CODES.ACTION_REMOVED, 'Action was removed')
+  })
+
+  fastify.register(async function (fastify) {
+    // Progress of a background job: { type: 'JOB', job } now and on every change,
+    // closed once the job has finished; { type: 'ERROR', code, message } when it can't be followed
+    fastify.get('/ws/jobs/:jobId', { websocket: true }, (socket, req) => {
+      const send = (message) => socket.send(JSON.stringify(message))
+      const job = jobs.get(req.params.jobId)
+      const action = job && registry.get(job.actionId)
+      if (!job || (action && !canUseAction(action, rolesOf(req.user)))) {
+        send({ type: 'ERROR', code: job ? 'FORBIDDEN' : 'JOB_NOT_FOUND', message: job ? 'Your roles do not allow this' : 'Job not found' })
+        return socket.close()
+      }
+
+      const report = (update) => {
+        if (update.id !== job.id) return
+        send({ type: 'JOB', job: update })
+        if (update.status !== 'running') socket.close()
+      }
+      jobs.events.on('updated', report)
+      socket.on('close', () => jobs.events.off('updated', report))
+      report(jobs.get(job.id))
+    })
+
+    fastify.get('/ws/form/:actionId', { websocket: true }, (socket, req) => {
+      const actionId = req.params.actionId
+      const reject = (code, message) => {
+        socket.send(JSON.stringify(errorMessage(code, message)))
+        socket.close()
+      }
+      if (req.query.protocol !== undefined && Number(req.query.protocol) !== PROTOCOL_VERSION) {
+        return reject(ERROR_CODES.UNSUPPORTED_PROTOCOL, `Protocol version ${PROTOCOL_VERSION} is required`)
+      }
+      if (!registry.get(actionId)) {
+        return reject(ERROR_CODES.ACTION_NOT_FOUND, 'Action not found')
+      }
+      const { room, name } = req.query
+      if (room !== undefined && !isValidRoomId(room)) {
+        return reject(ERROR_CODES.INVALID_ROOM, 'Room ids may only contain letters, digits, "-" and "_"')
+      }
+
+      // HELLO + SNAPSHOT go out right away; a RESUME swaps in the earlier session
+      let session = formSessions.open(actionId, socket, {
+        roomId: room,
+        name: typeof name === 'string' ? name.slice(0, 50) : req.user?.name,
+        user: req.user
       })
 
-      service.start()
+      // Messages other than ACKs count against the action's `message` limit and are
+      // handled in the order they arrive; those over the limit are refused
+      const handleMessage = async (raw) => {
+        let peek = null
+        try {
+          peek = JSON.parse(raw.toString())
+        } catch {
+          // reported by handleMessage
+        }
+        if (peek?.type !== 'ACK') {
+          const action = registry.get(actionId) || { id: actionId }
+          const { allowed, retryAfterMs } = await rateLimits.take('message', action, identityOf(req))
+          if (!allowed) {
+            const retryAfter = Math.ceil(retryAfterMs / 1000)
+            const ref = peek?.type === 'EVENT' ? peek.seq : undefined
+            formSessions.refuse(session, peek, errorMessage(ERROR_CODES.RATE_LIMITED, 'Too many messages', ref, { retryAfter }))
+            return
+          }
+        }
 
-      // Handle incoming events from client
-      socket. on('message', (msg) => {
         try {
-          const event = JSON.parse(msg. toString())
-          service.send(event)
-        } catch (e) {
-          fastify.log.error('Invalid WS message', e)
+          session = formSessions.handleMessage(session, raw)
+        } catch (err) {
+          if (err instanceof ProtocolError) {
+            formSessions.send(session, errorMessage(err.code, err.message, err.ref, err.details))
+          } else {
+            fastify.log.error(err, 'WS message failed')
+            formSessions.send(session, errorMessage(ERROR_CODES.INTERNAL_ERROR, 'Message could not be processed'))
+          }
         }
+      }
+      let handling = Promise.resolve()
+      socket.on('message', (raw) => {
+        handling = handling
+          .then(() => handleMessage(raw))
+          .catch((err) => fastify.log.error(err, 'WS message failed'))
       })
 
-      socket.on('close', () => {
-        service.stop()
-      })
+      socket.on('close', () => formSessions.detach(session, socket))
     })
   })
 
   // Start server
   await fastify.listen({ port: 3001, host: '0.0.0.0' })
   console.log('Fastify server running on http://localhost:3001')
+
+  const sweep = () => sweepUploads().catch(err => fastify.log.error(err))
+  sweep()
+  setInterval(sweep, UPLOAD_SWEEP_INTERVAL_MS).unref()
 }
 
 start().catch(console.error)
\ No newline at end of file
@@ -0,0 +1,234 @@
+/**
+ * Persisted action submissions.
+ *
+ * A submission is
+ *   { id, actionId, status, payload, result, error, validation, idempotencyKey, jobId,
+ *     createdAt, updatedAt, completedAt }
+ * status:     'pending' -> 'succeeded' | 'failed' (handler threw) | 'rejected' (invalid)
+ *             | 'cancelled' (the caller gave up before the handler finished)
+ * validation: { valid, errors } once the payload has been validated, else null
+ * jobId:      the background job the handler returned (see ./jobs), which
+ *             completes the submission; else null
+ *
+ * Stores share one async interface, so backends can be swapped:
+ *   insert(submission), update(id, changes), get(id), query(actionId, options)
+ * createMemorySubmissionStore keeps everything in process memory;
+ * createFileSubmissionStore also writes each submission to `<dir>/<id>.json`
+ * and reads them back on load().
+ */
+
+const crypto = require('crypto')
+const fs = require('fs/promises')
+const path = require('path')
+
+const SORT_FIELDS = ['createdAt', 'updatedAt', 'completedAt', 'status']
+const STATUSES = ['pending', 'succeeded', 'failed', 'rejected', 'cancelled']
+const MAX_LIMIT = 100
+
+function newSubmission({ actionId, payload, idempotencyKey = null }) {
+  const now = new Date().toISOString()
+  return {
+    id: crypto.randomUUID(),
+    actionId,
+    status: 'pending',
+    payload,
+    result: null,
+    error: null,
+    validation: null,
+    idempotencyKey,
+    jobId: null,
+    createdAt: now,
+    updatedAt: now,
+    completedAt: null
+  }
+}
+
+// ---------- Querying ----------
+// options: { limit, offset, sort, order, status, from, to, fields: { [name]: value } }
+// `fields` match payload values by their string form; from/to bound createdAt.
+function querySubmissions(submissions, options = {}) {
+  const {
+    limit = 20,
+    offset = 0,
+    sort = 'createdAt',
+    order = 'desc',
+    status,
+    from,
+    to,
+    fields = {}
+  } = options
+
+  const matches = submissions.filter((s) =>
+    (!status || s.status === status) &&
+    (!from || s.createdAt >= from) &&
+    (!to || s.createdAt <= to) &&
+    Object.entries(fields).every(([name, value]) =>
+      s.payload && name in s.payload && String(s.payload[name]) === value
+    )
+  )
+
+  // Missing values (e.g. completedAt of pending submissions) sort last
+  const direction = order === 'asc' ? 1 : -1
+  matches.sort((a, b) => {
+    if (a[sort] === b[sort]) return direction * a.id.localeCompare(b.id)
+    if (a[sort] == null) return 1
+    if (b[sort] == null) return -1
+    return direction * String(a[sort]).localeCompare(String(b[sort]))
+  })
+
+  return {
+    items: matches.slice(offset, offset + limit),
+    total: matches.length,
+    limit,
+    offset
+  }
+}
+
+// Turn a query string into query options; throws with a readable message
+function parseSubmissionQuery(query = {}) {
+  const options = { fields: {} }
+  const integer = (name, value, min, max) => {
+    const n = Number(value)
+    if (!Number.isInteger(n) || n < min || n > max) {
+      throw new Error(`${name} must be an integer between ${min} and ${max}`)
+    }
+    return n
+  }
+
+  for (const [name, value] of Object.entries(query)) {
+    if (typeof value !== 'string') throw new Error(`${name} may only be given once`)
+    switch (name) {
+      case 'limit':
+        options.limit = integer(name, value, 1, MAX_LIMIT)
+        break
+      case 'offset':
+        options.offset = integer(name, value, 0, Number.MAX_SAFE_INTEGER)
+        break
+      case 'sort':
+        if (!SORT_FIELDS.includes(value)) throw new Error(`sort must be one of ${SORT_FIELDS.join(', ')}`)
+        options.sort = value
+        break
+      case 'order':
+        if (value !== 'asc' && value !== 'desc') throw new Error('order must be asc or desc')
+        options.order = value
+        break
+      case 'status':
+        if (!STATUSES.includes(value)) throw new Error(`status must be one of ${STATUSES.join(', ')}`)
+        options.status = value
+        break
+      case 'from':
+      case 'to':
+        if (Number.isNaN(Date.parse(value))) throw new Error(`${name} must be a date`)
+        options[name] = new Date(value).toISOString()
+        break
+      default:
+        // payload.<field>=<value>
+        if (!name.startsWith('payload.')) throw new Error(`Unknown query parameter "${name}"`)
+        options.fields[name.slice('payload.'.length)] = value
+    }
+  }
+  return options
+}
+
+// ---------- Memory Store ----------
+function createMemorySubmissionStore() {
+  const submissions = new Map()
+
+  async function insert(submission) {
+    submissions.set(submission.id, submission)
+    return submission
+  }
+
+  async function update(id, changes) {
+    const existing = submissions.get(id)
+    if (!existing) return null
+    const updated = { ...existing, ...changes, updatedAt: new Date().toISOString() }
+    submissions.set(id, updated)
+    return updated
+  }
+
+  async function get(id) {
+    return submissions.get(id) || null
+  }
+
+  async function query(actionId, options) {
+    const forAction = Array.from(submissions.values()).filter((s) => s.actionId === actionId)
+    return querySubmissions(forAction, options)
+  }
+
+  return { load: async () => {}, insert, update, get, query }
+}
+
+// ---------- File Store ----------
+// Queries run against the submissions loaded into memory; every write goes to disk too
+function createFileSubmissionStore({ dir }) {
+  const memory = createMemorySubmissionStore()
+
+  // id -> the last write queued for that submission
+  const writing = new Map()
+
+  // Writes of one submission run one after another, each of the submission as it
+  // is in memory when its turn comes, so they neither share the temp file nor
+  // leave an older version on disk
+  function write(submission) {
+    const { id } = submission
+    const done = (writing.get(id) || Promise.resolve()).then(async () => {
+      // Write to a temp file first so a crash never leaves half a submission
+      const file = path.join(dir, `${id}.json`)
+      const tmp = `${file}.${process.pid}.tmp`
+      await fs.writeFile(tmp, JSON.stringify(await memory.get(id)))
+      await fs.rename(tmp, file)
+    })
+    // A failed write is reported to its caller and doesn't stop the next ones
+    const queued = done.catch(() => {})
+    writing.set(id, queued)
+    queued.then(() => {
+      if (writing.get(id) === queued) writing.delete(id)
+    })
+    return done.then(() => submission)
+  }
+
+  async function load() {
+    await fs.mkdir(dir, { recursive: true })
+    const names = (await fs.readdir(dir)).filter((name) => name.endsWith('.json'))
+    for (const name of names) {
+      try {
+        await memory.insert(JSON.parse(await fs.readFile(path.join(dir, name), 'utf8')))
+      } catch (err) {
+        throw new Error(`Could not read submission ${name}: ${err.message}`)
+      }
+    }
+  }
+
+  async function insert(submission) {
+    return write(await memory.insert(submission))
+  }
+
+  async function update(id, changes) {
+    const updated = await memory.update(id, changes)
+    return updated && write(updated)
+  }
+
+  return { load, insert, update, get: memory.get, query: memory.query }
+}
+
+// Pick a backend by name: 'memory' or 'file'
+function createSubmissionStore({ type = 'file', dir }) {
+  switch (type) {
+    case 'memory':
+      return createMemorySubmissionStore()
+    case 'file':
+      return createFileSubmissionStore({ dir })
+    default:
+      throw new Error(`Unknown submission store "${type}"`)
+  }
+}
+
+module.exports = {
+  createSubmissionStore,
+  createMemorySubmissionStore,
+  createFileSubmissionStore,
+  newSubmission,
+  querySubmissions,
+  parseSubmissionQuery
+}
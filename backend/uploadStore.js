@@ -0,0 +1,108 @@
+/**
+ * Local disk store for files uploaded to `type: 'file'` fields.
+ *
+ * Each upload is `<dir>/<id>` plus its metadata in `<dir>/<id>.json`:
+ *   { id, actionId, field, name, size, type, createdAt, submissionId }
+ * `field` is the JSON Pointer of the file field it was uploaded for.
+ * Submitted payloads only hold references to uploads (see packages/shared/uploads).
+ * `submissionId` is set once a successful submit refers to the upload (claim);
+ * sweep removes old uploads that no submit claimed.
+ */
+
+const crypto = require('crypto')
+const fs = require('fs')
+const fsp = require('fs/promises')
+const path = require('path')
+const { pipeline } = require('stream/promises')
+
+const ID_PATTERN = /^[0-9a-f-]{36}$/
+
+class FileTooLarge extends Error {
+  constructor(maxSize) {
+    super(`File is larger than ${maxSize} bytes`)
+    this.name = 'FileTooLarge'
+    this.maxSize = maxSize
+  }
+}
+
+// The reference a payload holds for an upload
+const toUploadRef = ({ id, name, size, type }) => ({ id, name, size, type })
+
+function createFileUploadStore({ dir }) {
+  const dataFile = (id) => path.join(dir, id)
+  const metaFile = (id) => path.join(dir, `${id}.json`)
+
+  // Streams `file` to disk. `file.truncated` is set by the multipart parser when
+  // the file went over `maxSize`, in which case nothing is kept.
+  async function save({ actionId, field, name, type, file, maxSize }) {
+    await fsp.mkdir(dir, { recursive: true })
+    const id = crypto.randomUUID()
+    const tmp = `${dataFile(id)}.${process.pid}.tmp`
+    try {
+      await pipeline(file, fs.createWriteStream(tmp))
+      if (file.truncated) throw new FileTooLarge(maxSize)
+    } catch (err) {
+      await fsp.rm(tmp, { force: true })
+      throw err
+    }
+
+    const { size } = await fsp.stat(tmp)
+    const upload = { id, actionId, field, name, size, type, createdAt: new Date().toISOString(), submissionId: null }
+    await fsp.rename(tmp, dataFile(id))
+    await fsp.writeFile(metaFile(id), JSON.stringify(upload))
+    return upload
+  }
+
+  async function get(id) {
+    if (typeof id !== 'string' || !ID_PATTERN.test(id)) return null
+    try {
+      return JSON.parse(await fsp.readFile(metaFile(id), 'utf8'))
+    } catch (err) {
+      if (err.code === 'ENOENT') return null
+      throw err
+    }
+  }
+
+  async function remove(id) {
+    if (!(await get(id))) return false
+    await fsp.rm(dataFile(id), { force: true })
+    await fsp.rm(metaFile(id), { force: true })
+    return true
+  }
+
+  // Keeps an upload for good, as the file of a submission
+  async function claim(id, submissionId) {
+    const upload = await get(id)
+    if (!upload || upload.submissionId) return false
+    await fsp.writeFile(metaFile(id), JSON.stringify({ ...upload, submissionId }))
+    return true
+  }
+
+  // Removes the uploads no submission claimed that were made before `before`,
+  // except the ids in `keep`; resolves to how many were removed
+  async function sweep({ before, keep = new Set() }) {
+    let names
+    try {
+      names = await fsp.readdir(dir)
+    } catch (err) {
+      if (err.code === 'ENOENT') return 0
+      throw err
+    }
+
+    let removed = 0
+    for (const name of names.filter(name => name.endsWith('.json'))) {
+      const upload = await get(name.slice(0, -'.json'.length))
+      if (!upload || upload.submissionId || keep.has(upload.id)) continue
+      if (new Date(upload.createdAt) < before && await remove(upload.id)) removed += 1
+    }
+    return removed
+  }
+
+  return { save, get, remove, claim, sweep }
+}
+
+module.exports = {
+  createFileUploadStore,
+  toUploadRef,
+  FileTooLarge
+}
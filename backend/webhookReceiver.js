@@ -0,0 +1,35 @@
+/**
+ * Local webhook receiver for trying out deliveries without network access.
+ *
+ *   node webhookReceiver.js <secret> [port] [failFirst]
+ *
+ * Prints every delivery and whether its signature checks out with <secret>
+ * (answering 401 when it doesn't). The first [failFirst] deliveries get a 500,
+ * to watch the retries. Subscribe it with
+ *   POST /api/webhooks { actionId, url: 'http://localhost:4001/', events: [...], secret }
+ */
+
+const http = require('http')
+const { verifySignature } = require('./webhooks')
+
+const [secret, port = '4001', failFirst = '0'] = process.argv.slice(2)
+if (!secret) {
+  console.error('Usage: node webhookReceiver.js <secret> [port] [failFirst]')
+  process.exit(1)
+}
+
+let received = 0
+http.createServer((req, res) => {
+  const chunks = []
+  req.on('data', chunk => chunks.push(chunk))
+  req.on('end', () => {
+    const body = Buffer.concat(chunks).toString('utf8')
+    const verified = verifySignature(secret, req.headers['webhook-signature'], body)
+    received += 1
+    const status = !verified ? 401 : received <= Number(failFirst) ? 500 : 204
+    console.log(`${new Date().toISOString()} ${req.headers['webhook-event']} ${req.headers['webhook-id']} ` +
+      `signature ${verified ? 'ok' : 'INVALID'} -> ${status}`)
+    console.log(`  ${body}`)
+    res.writeHead(status).end()
+  })
+}).listen(Number(port), () => console.log(`Webhook receiver listening on http://localhost:${port}/`))
@@ -0,0 +1,240 @@
+/**
+ * Outbound webhooks: signed POSTs to subscribers of an action's events.
+ *
+ * A subscription is
+ *   { id, actionId, url, events: ['submission.succeeded', ...], secret, createdAt }
+ * and every delivery POSTs the JSON body
+ *   { id, type, actionId, createdAt, data }
+ * with the headers
+ *   Webhook-Id         the event id, the same on every attempt (for deduplication)
+ *   Webhook-Event      the event type
+ *   Webhook-Signature  t=<unix seconds>,v1=<hex HMAC-SHA256 of `${t}.${body}` with the secret>
+ * Receivers check the signature with verifySignature (see ./webhookReceiver).
+ *
+ * Deliveries that fail (no 2xx answer within the timeout) are retried after
+ * retryBaseMs, twice that, four times that ... up to maxAttempts; then the
+ * delivery becomes a dead letter, which can be retried by hand. Deliveries
+ * waiting for a retry live in memory and are lost on restart.
+ *
+ * Subscriptions and dead letters are kept in a store:
+ *   load(), listSubscriptions(actionId?), getSubscription(id), addSubscription(s),
+ *   removeSubscription(id), listDeadLetters(), addDeadLetter(d), removeDeadLetter(id)
+ * createFileWebhookStore persists them to one JSON file.
+ */
+
+const crypto = require('crypto')
+const fs = require('fs/promises')
+const path = require('path')
+
+const WEBHOOK_EVENTS = ['submission.succeeded', 'submission.failed', 'draft.saved']
+const SIGNATURE_TOLERANCE_S = 5 * 60
+const MAX_URL_LENGTH = 2048
+
+// ---------- Signatures ----------
+function sign(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')
+  return `t=${timestamp},v1=${digest}`
+}
+
+// Whether `header` signs `body` with `secret`, no older than `toleranceS`
+function verifySignature(secret, header, body, { toleranceS = SIGNATURE_TOLERANCE_S } = {}) {
+  const parts = Object.fromEntries(String(header || '').split(',').map(part => part.split('=', 2)))
+  const timestamp = Number(parts.t)
+  if (!Number.isInteger(timestamp) || !parts.v1) return false
+  if (Math.abs(Date.now() / 1000 - timestamp) > toleranceS) return false
+  const expected = Buffer.from(sign(secret, body, timestamp).split('v1=')[1])
+  const actual = Buffer.from(parts.v1)
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual)
+}
+
+// ---------- Subscriptions ----------
+function newSubscription({ actionId, url, events, secret = crypto.randomBytes(24).toString('base64url') }) {
+  return { id: crypto.randomUUID(), actionId, url, events, secret, createdAt: new Date().toISOString() }
+}
+
+// What is wrong with a subscription request body, or null
+function subscriptionProblem({ url, events, secret } = {}) {
+  let parsed = null
+  try {
+    parsed = typeof url === 'string' && url.length <= MAX_URL_LENGTH ? new URL(url) : null
+  } catch {
+    // not a URL
+  }
+  if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) return '`url` must be an http(s) URL'
+  if (!Array.isArray(events) || events.length === 0 || !events.every(e => WEBHOOK_EVENTS.includes(e))) {
+    return `\`events\` must be a non-empty list of ${WEBHOOK_EVENTS.join(', ')}`
+  }
+  if (secret !== undefined && (typeof secret !== 'string' || secret.length < 16)) {
+    return '`secret` must be a string of at least 16 characters'
+  }
+  return null
+}
+
+// A subscription as listed: the secret is only shown when it is created
+const publicSubscription = ({ secret, ...subscription }) => subscription
+
+// ---------- File Store ----------
+function createFileWebhookStore({ file }) {
+  let state = { subscriptions: [], deadLetters: [] }
+
+  async function load() {
+    try {
+      state = JSON.parse(await fs.readFile(file, 'utf8'))
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw new Error(`Could not read webhooks: ${err.message}`)
+    }
+  }
+
+  // Saves are written one after another, each with the state as it is when its
+  // turn comes, so concurrent saves neither share the temp file nor land out of order
+  let saving = Promise.resolve()
+
+  function save() {
+    const write = saving.then(async () => {
+      // Write to a temp file first so a crash never leaves half a file
+      await fs.mkdir(path.dirname(file), { recursive: true })
+      const tmp = `${file}.${process.pid}.tmp`
+      await fs.writeFile(tmp, JSON.stringify(state))
+      await fs.rename(tmp, file)
+    })
+    // A failed write is reported to its caller and doesn't stop the next ones
+    saving = write.catch(() => {})
+    return write
+  }
+
+  async function addSubscription(subscription) {
+    state.subscriptions.push(subscription)
+    await save()
+    return subscription
+  }
+
+  async function removeSubscription(id) {
+    const before = state.subscriptions.length
+    state.subscriptions = state.subscriptions.filter(s => s.id !== id)
+    if (state.subscriptions.length === before) return false
+    await save()
+    return true
+  }
+
+  async function addDeadLetter(deadLetter) {
+    state.deadLetters.push(deadLetter)
+    await save()
+    return deadLetter
+  }
+
+  async function removeDeadLetter(id) {
+    const deadLetter = state.deadLetters.find(d => d.id === id) || null
+    if (!deadLetter) return null
+    state.deadLetters = state.deadLetters.filter(d => d.id !== id)
+    await save()
+    return deadLetter
+  }
+
+  return {
+    load,
+    listSubscriptions: async (actionId) =>
+      state.subscriptions.filter(s => actionId === undefined || s.actionId === actionId),
+    getSubscription: async (id) => state.subscriptions.find(s => s.id === id) || null,
+    addSubscription,
+    removeSubscription,
+    listDeadLetters: async () => state.deadLetters,
+    addDeadLetter,
+    removeDeadLetter
+  }
+}
+
+// ---------- Delivery ----------
+function createWebhookDispatcher({
+  store,
+  fetch = globalThis.fetch,
+  maxAttempts = 5,
+  retryBaseMs = 1000,
+  timeoutMs = 10 * 1000,
+  logger = console
+}) {
+  const retryDelay = (attempt) => retryBaseMs * 2 ** (attempt - 1)
+
+  // One POST; resolves to null when it was accepted, else why not
+  async function post(subscription, event) {
+    const body = JSON.stringify(event)
+    try {
+      const res = await fetch(subscription.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Webhook-Id': event.id,
+          'Webhook-Event': event.type,
+          'Webhook-Signature': sign(subscription.secret, body)
+        },
+        body,
+        signal: AbortSignal.timeout(timeoutMs)
+      })
+      return res.ok ? null : `HTTP ${res.status}`
+    } catch (err) {
+      return err.name === 'TimeoutError' ? `No answer within ${timeoutMs} ms` : err.message
+    }
+  }
+
+  async function attempt(subscription, event, number) {
+    const error = await post(subscription, event)
+    if (!error) return
+    if (number < maxAttempts) {
+      logger.warn({ webhook: subscription.id, event: event.id, error }, `Webhook attempt ${number} failed, retrying`)
+      setTimeout(() => deliver(subscription, event, number + 1), retryDelay(number)).unref()
+      return
+    }
+    logger.error({ webhook: subscription.id, event: event.id, error }, 'Webhook delivery failed, dead-lettered')
+    await store.addDeadLetter({
+      id: crypto.randomUUID(),
+      subscriptionId: subscription.id,
+      actionId: subscription.actionId,
+      url: subscription.url,
+      event,
+      attempts: number,
+      lastError: error,
+      failedAt: new Date().toISOString()
+    })
+  }
+
+  const deliver = (subscription, event, number = 1) =>
+    attempt(subscription, event, number).catch(err => logger.error(err, 'Webhook delivery failed'))
+
+  // Deliver `type` of `actionId` to its subscribers in the background; never rejects
+  async function dispatch(type, actionId, data) {
+    let subscriptions
+    try {
+      subscriptions = (await store.listSubscriptions(actionId)).filter(s => s.events.includes(type))
+    } catch (err) {
+      logger.error(err, `Could not dispatch ${type}`)
+      return
+    }
+    for (const subscription of subscriptions) {
+      const event = { id: crypto.randomUUID(), type, actionId, createdAt: new Date().toISOString(), data }
+      deliver(subscription, event)
+    }
+  }
+
+  // Take a dead letter off the list and deliver it again, with fresh attempts;
+  // false when it is unknown or its subscription is gone
+  async function redeliver(deadLetterId) {
+    const deadLetter = (await store.listDeadLetters()).find(d => d.id === deadLetterId)
+    const subscription = deadLetter && await store.getSubscription(deadLetter.subscriptionId)
+    if (!subscription) return false
+    await store.removeDeadLetter(deadLetterId)
+    deliver(subscription, deadLetter.event)
+    return true
+  }
+
+  return { dispatch, redeliver }
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  sign,
+  verifySignature,
+  newSubscription,
+  subscriptionProblem,
+  publicSubscription,
+  createFileWebhookStore,
+  createWebhookDispatcher
+}
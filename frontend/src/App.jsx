@@ -1,14 +1,162 @@
-import React, { useEffect, useState } from 'react'
+import React, { useEffect, useMemo, useState } from 'react'
 import { JsonForms } from '@jsonforms/react'
 import {
   vanillaCells,
   vanillaRenderers
 } from '@jsonforms/vanilla-renderers'
 import { useMachine } from '@xstate/react'
-import { createMachine, assign } from 'xstate'
+import { createMachine, assign, spawn, actions } from 'xstate'
 
 // Custom TailwindCSS renderers (we'll create these)
-import { tailwindRenderers, tailwindCells } from './renderers/tailwind'
+import { tailwindRenderers, tailwindCells, PresenceAvatars } from './renderers/tailwind'
+import { useFormRoom, CollaborationContext } from './hooks/useFormRoom'
+import { uploadFile, UploadContext } from './hooks/useUploads'
+import { OptionsContext } from './hooks/useFieldOptions'
+import { useSecondsUntil } from './hooks/useSecondsUntil'
+import { authHeaders } from './auth'
+import { watchJob } from './jobs'
+import { isTransientFailure, retryDelay } from '@shared/retry'
+
+const { stop } = actions
+
+// ---------- Wizard Steps ----------
+// A Categorization uiSchema (see formJsonToUiSchema) splits the form into steps.
+// Each step renders its Category as a VerticalLayout.
+// Top-level field of an element; object groups are Groups of nested controls
+const elementField = (el) => (el.scope ? el.scope.split('/')[2] : elementField(el.elements[0]))
+
+const stepsFromUiSchema = (uiSchema) => {
+  if (uiSchema?.type !== 'Categorization') return []
+  return uiSchema.elements.map((category) => ({
+    label: category.label,
+    fields: category.elements.map(elementField),
+    uiSchema: { type: 'VerticalLayout', elements: category.elements }
+  }))
+}
+
+// Top-level field names with a JSON Forms (AJV) error, also for nested values
+const fieldsWithErrors = (errors) =>
+  (Array.isArray(errors) ? errors : []).map(
+    (err) => err.instancePath.split('/')[1] || err.params?.missingProperty
+  )
+
+const isStepValid = (ctx, index) => {
+  const invalid = fieldsWithErrors(ctx.errors)
+  return !ctx.steps[index].fields.some((field) => invalid.includes(field))
+}
+
+// ---------- Server Errors ----------
+// /submit answers with an application/problem+json body; validation problems
+// (400, or 422 for handler FieldErrors) list field errors with JSON pointers.
+// serverErrors keeps them grouped by top-level field; `_form` is a message
+// for the whole form. Rate-limited submits (429) carry `retryAfter` seconds
+// instead and are not shown as errors.
+const problemToServerErrors = (problem) => {
+  const grouped = {}
+  for (const err of problem?.errors || []) {
+    if (!err.field) continue
+    grouped[err.field] = [...(grouped[err.field] || []), err]
+  }
+  if (Object.keys(grouped).length > 0) return grouped
+  return { _form: problem?.detail || problem?.title || 'Submission failed' }
+}
+
+// As JSON Forms additionalErrors, shown under the input each pointer names
+const serverErrorsToAjv = (serverErrors) =>
+  Object.entries(serverErrors)
+    .filter(([field]) => field !== '_form')
+    .flatMap(([, errors]) => errors)
+    .map((err) => ({
+      instancePath: err.pointer,
+      message: err.message,
+      schemaPath: '',
+      keyword: 'server',
+      params: {}
+    }))
+
+// Server errors of the fields whose value is unchanged
+const keepUnchangedErrors = (serverErrors, prev, next) =>
+  Object.fromEntries(
+    Object.entries(serverErrors).filter(
+      ([field]) => field === '_form' || JSON.stringify(prev[field]) === JSON.stringify(next[field])
+    )
+  )
+
+// ---------- Drafts ----------
+// Each form session autosaves to its own server-side draft
+const newDraftId = () => crypto.randomUUID()
+const AUTOSAVE_DELAY = 1500
+
+// ---------- Idempotent Submits ----------
+// Retries and double submits of one form session reuse its key, so the
+// server runs the action once; a new key is issued once the server has answered,
+// and for data edited since the key was sent (after a cancel or a lost answer),
+// which the server would refuse as the key reused with a different request
+const newIdempotencyKey = () => crypto.randomUUID()
+
+// ---------- Automatic Retries ----------
+// Transient submit failures (no answer, 5xx, 429) are retried in `retrying`, up to
+// the action's retry.maxAttempts, with the backoff and jitter of packages/shared/retry.js.
+// Retries keep the idempotency key, so a submit the server did finish is replayed.
+
+// ---------- File Uploads ----------
+// context.uploads holds the files still on their way, by key:
+//   { key, path, multiple, name, size, loaded, total, status: 'uploading' | 'failed', error, actor }
+// Once uploaded, the server's reference is written to the field and the entry dropped.
+const getIn = (data, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), data)
+
+const setIn = (data, path, value) => {
+  const [head, ...rest] = path.split('.')
+  const child = rest.length > 0 ? setIn(data?.[head], rest.join('.'), value) : value
+  if (Array.isArray(data)) {
+    const next = [...data]
+    next[Number(head)] = child
+    return next
+  }
+  return { ...data, [head]: child }
+}
+
+const withoutUpload = (uploads, key) => {
+  const { [key]: removed, ...rest } = uploads
+  return rest
+}
+
+const hasActiveUploads = (ctx) => Object.values(ctx.uploads).some((u) => u.status === 'uploading')
+
+// ---------- Dependent Selects ----------
+// A select with `optionsSource.dependsOn` is cleared when a field it depends on
+// changes, as clearDependentFields in packages/shared/optionsSources.js does.
+// Data without anything to clear is returned as is, so JSON Forms sees no change.
+const dependentSelectsOf = (formJson = []) =>
+  formJson
+    .filter((f) => f.optionsSource?.dependsOn?.length > 0)
+    .map((f) => ({ name: f.name, dependsOn: f.optionsSource.dependsOn }))
+
+const clearDependentSelects = (selects, data, prev) => {
+  const changed = new Set(
+    Object.keys({ ...data, ...prev }).filter((name) => JSON.stringify(data[name]) !== JSON.stringify(prev[name]))
+  )
+  let next = data
+  let cleared = true
+  while (cleared) {
+    cleared = false
+    for (const { name, dependsOn } of selects) {
+      if (next[name] === undefined || !dependsOn.some((field) => changed.has(field))) continue
+      const { [name]: removed, ...rest } = next
+      next = rest
+      changed.add(name)
+      cleared = true
+    }
+  }
+  return next
+}
+
+// ---------- Collaborative Rooms ----------
+// Open the app with ?room=<id>&name=<name> to fill a form together
+const roomParams = () => {
+  const params = new URLSearchParams(window.location.search)
+  return { roomId: params.get('room'), name: params.get('name') || 'Guest' }
+}
 
 // ---------- Client-side Machine ----------
 const createFormMachine = (actionId) =>
@@ -20,47 +168,181 @@ const createFormMachine = (actionId) =>
         actionId,
         jsonSchema: null,
         uiSchema: null,
+        dependentSelects: [],
+        steps: [],
+        currentStep: 0,
         formData: {},
         errors: {},
         serverErrors: {},
+        draftId: newDraftId(),
+        draftDirty: false,
+        draftSavedAt: null,
+        pendingDraft: null,
+        uploads: {},
+        idempotencyKey: newIdempotencyKey(),
+        // The JSON of the data the key was sent with, null until it is
+        idempotencyPayload: null,
+        retryAt: null,
+        retry: null,
+        retryCount: 0,
+        nextRetryAt: null,
         isSubmitting:  false,
+        submitController: null,
+        cancelled: false,
+        job: null,
         result: null
       },
       states: {
         loading: {
-          invoke: {
-            src: 'loadSchema',
-            onDone: {
-              target: 'editing',
-              actions:  ['setSchemas']
+          initial: 'schema',
+          states: {
+            schema: {
+              invoke: {
+                src: 'loadSchema',
+                onDone: {
+                  target: 'draft',
+                  actions:  ['setSchemas']
+                },
+                onError: {
+                  target: '#clientForm.error',
+                  actions: ['setLoadError']
+                }
+              }
             },
-            onError: {
-              target: 'error',
-              actions: ['setLoadError']
+            // Offer to resume the most recent draft, if there is one
+            draft: {
+              invoke: {
+                src: 'loadLatestDraft',
+                onDone: [
+                  { target: 'restorePrompt', cond: 'hasDraft', actions: ['setPendingDraft'] },
+                  { target: '#clientForm.editing' }
+                ],
+                onError: { target: '#clientForm.editing' }
+              }
+            },
+            restorePrompt: {
+              on: {
+                RESTORE_DRAFT: { target: '#clientForm.editing', actions: ['restoreDraft'] },
+                DISCARD_DRAFT: { target: '#clientForm.editing', actions: ['discardPendingDraft'] }
+              }
             }
           }
         },
         editing: {
+          type: 'parallel',
+          states: {
+            // Autosave: at most one draft save per AUTOSAVE_DELAY while the form changes
+            draft: {
+              initial: 'draftClean',
+              states: {
+                draftClean: {
+                  always: { target: 'draftDirty', cond: 'isDraftDirty' }
+                },
+                draftDirty: {
+                  after: { AUTOSAVE_DELAY: 'draftSaving' }
+                },
+                draftSaving: {
+                  entry: ['markDraftClean'],
+                  invoke: {
+                    src: 'saveDraft',
+                    onDone: { target: 'draftClean', actions: ['setDraftSaved'] },
+                    onError: { target: 'draftClean' }
+                  }
+                }
+              }
+            },
+            // One uploadFile actor per file; the form can't be submitted until all are done
+            uploads: {
+              initial: 'idle',
+              states: {
+                idle: {},
+                uploading: {
+                  always: { target: 'idle', cond: 'noActiveUploads' },
+                  on: {
+                    UPLOAD_PROGRESS: { cond: 'isUploading', actions: ['setUploadProgress'] },
+                    UPLOAD_DONE: { cond: 'isUploading', actions: [stop((ctx, ev) => ev.key), 'finishUpload'] },
+                    UPLOAD_FAILED: { cond: 'isUploading', actions: [stop((ctx, ev) => ev.key), 'failUpload'] }
+                  }
+                }
+              },
+              on: {
+                UPLOAD_FILES: { target: '.uploading', cond: 'hasFiles', actions: ['startUploads'] },
+                // Cancels a running upload, or dismisses a failed one
+                CANCEL_UPLOAD: { cond: 'hasUpload', actions: [stop((ctx, ev) => ev.key), 'dropUpload'] },
+                REMOVE_FILE: { actions: ['removeFile'] }
+              }
+            },
+            // After a 429 the form can't be submitted again until its Retry-After has passed
+            submit: {
+              initial: 'ready',
+              states: {
+                ready: {},
+                rateLimited: {
+                  after: { RETRY_AFTER: { target: 'ready', actions: ['clearRetryAt'] } }
+                }
+              }
+            }
+          },
           on: {
             CHANGE: { actions: ['updateFormData'] },
-            SUBMIT: { target: 'submitting' }
+            REMOTE_CHANGE: { actions: ['setRemoteData'] },
+            SUBMIT: { target: 'submitting', cond: 'canSubmit', actions: ['resetRetries'] },
+            NEXT: { cond: 'canGoNext', actions: ['nextStep'] },
+            BACK: { cond: 'canGoBack', actions: ['prevStep'] },
+            GOTO_STEP: { cond: 'canGotoStep', actions: ['gotoStep'] }
           }
         },
         submitting: {
-          entry: ['setSubmitting'],
+          entry: ['setSubmitting', 'keyPayload'],
+          // Aborts the request; the key is kept, as the server may have finished the
+          // submit already, in which case submitting the same data again replays its response
+          on: {
+            CANCEL: { target: 'editing', actions: ['abortSubmit', 'clearSubmitting', 'setCancelled'] }
+          },
           invoke: {
             src: 'submitForm',
-            onDone: {
-              target: 'success',
-              actions: ['setResult', 'clearSubmitting']
-            },
-            onError:  {
-              target:  'editing',
-              actions:  ['setServerErrors', 'clearSubmitting']
-            }
+            onDone: [
+              { target: 'processing', cond: 'isJob', actions: ['setJob', 'clearSubmitting'] },
+              { target: 'success', actions: ['setResult', 'clearSubmitting'] }
+            ],
+            // A rate-limited submit never ran, so it keeps its idempotency key
+            onError:  [
+              {
+                target: 'retrying',
+                cond: 'canRetry',
+                actions: ['setServerErrors', 'clearSubmitting', 'scheduleRetry']
+              },
+              {
+                target: 'editing.submit.rateLimited',
+                cond: 'isRateLimited',
+                actions: ['setRetryAt', 'clearSubmitting']
+              },
+              {
+                target:  'editing',
+                actions:  ['setServerErrors', 'clearSubmitting', 'renewIdempotencyKey']
+              }
+            ]
+          }
+        },
+        // Waiting to submit again after a transient failure; RETRY skips the wait
+        retrying: {
+          after: { RETRY_DELAY: { target: 'submitting', actions: ['clearRetry'] } },
+          on: {
+            RETRY: { target: 'submitting', actions: ['clearRetry'] },
+            CANCEL: { target: 'editing', actions: ['clearRetry', 'setCancelled'] }
+          }
+        },
+        // The handler runs as a background job: follow its progress until it finishes
+        processing: {
+          invoke: { src: 'watchJob' },
+          on: {
+            JOB_PROGRESS: { actions: ['setJob'] },
+            JOB_SUCCEEDED: { target: 'success', actions: ['setJob', 'setJobResult'] },
+            JOB_FAILED: { target: 'editing', actions: ['setJob', 'setServerErrors', 'renewIdempotencyKey'] }
           }
         },
         success: {
+          entry: ['deleteDraft'],
           on: {
             RESET: { target:  'editing', actions: ['resetForm'] },
             NEW:  { target: 'loading' }
@@ -76,46 +358,222 @@ const createFormMachine = (actionId) =>
         setSchemas: assign((ctx, ev) => ({
           jsonSchema: ev.data.jsonSchema,
           uiSchema:  ev.data.uiSchema,
+          dependentSelects: dependentSelectsOf(ev.data.formJson),
+          steps: stepsFromUiSchema(ev.data.uiSchema),
+          currentStep: 0,
+          retry: ev.data.retry,
           formData:  {} // reset
         })),
-        updateFormData: assign((ctx, ev) => ({
-          formData: ev.data,
-          errors: ev.errors || {}
+        updateFormData: assign((ctx, ev) => {
+          const data = clearDependentSelects(ctx.dependentSelects, ev.data, ctx.formData)
+          return {
+            formData: data,
+            errors: ev.errors || {},
+            serverErrors: keepUnchangedErrors(ctx.serverErrors, ctx.formData, data),
+            draftDirty: ctx.draftDirty || JSON.stringify(data) !== JSON.stringify(ctx.formData)
+          }
+        }),
+        // Room data from other members; JSON Forms re-validates and sends CHANGE
+        setRemoteData: assign((ctx, ev) => ({ formData: ev.data })),
+        startUploads: assign((ctx, ev) => {
+          const uploads = { ...ctx.uploads }
+          for (const file of ev.multiple ? ev.files : ev.files.slice(0, 1)) {
+            const key = crypto.randomUUID()
+            uploads[key] = {
+              key,
+              path: ev.path,
+              multiple: !!ev.multiple,
+              name: file.name,
+              size: file.size,
+              loaded: 0,
+              total: file.size,
+              status: 'uploading',
+              error: null,
+              actor: spawn(uploadFile({ actionId: ctx.actionId, key, path: ev.path, file }), key)
+            }
+          }
+          return { uploads }
+        }),
+        setUploadProgress: assign((ctx, ev) => ({
+          uploads: { ...ctx.uploads, [ev.key]: { ...ctx.uploads[ev.key], loaded: ev.loaded, total: ev.total } }
+        })),
+        // Single file fields are replaced, `multiple` ones get the file appended
+        finishUpload: assign((ctx, ev) => {
+          const { path, multiple } = ctx.uploads[ev.key]
+          const value = multiple ? [...(getIn(ctx.formData, path) || []), ev.upload] : ev.upload
+          const formData = setIn(ctx.formData, path, value)
+          return {
+            formData,
+            serverErrors: keepUnchangedErrors(ctx.serverErrors, ctx.formData, formData),
+            uploads: withoutUpload(ctx.uploads, ev.key),
+            draftDirty: true
+          }
+        }),
+        failUpload: assign((ctx, ev) => ({
+          uploads: { ...ctx.uploads, [ev.key]: { ...ctx.uploads[ev.key], status: 'failed', error: ev.error, actor: null } }
+        })),
+        dropUpload: assign((ctx, ev) => ({ uploads: withoutUpload(ctx.uploads, ev.key) })),
+        removeFile: assign((ctx, ev) => {
+          const current = getIn(ctx.formData, ev.path)
+          const value = Array.isArray(current) ? current.filter((ref) => ref.id !== ev.id) : undefined
+          return { formData: setIn(ctx.formData, ev.path, value), draftDirty: true }
+        }),
+        markDraftClean: assign({ draftDirty: false }),
+        setDraftSaved: assign((ctx, ev) => ({ draftSavedAt: ev.data.updatedAt })),
+        setPendingDraft: assign((ctx, ev) => ({ pendingDraft: ev.data })),
+        restoreDraft: assign((ctx) => ({
+          formData: ctx.pendingDraft.data,
+          draftId: ctx.pendingDraft.id,
+          draftSavedAt: ctx.pendingDraft.updatedAt,
+          pendingDraft: null
         })),
-        setSubmitting:  assign({ isSubmitting: true }),
+        discardPendingDraft: assign((ctx) => {
+          fetch(`http://localhost:3001/api/actions/${ctx.actionId}/drafts/${ctx.pendingDraft.id}`, {
+            method: 'DELETE',
+            headers: authHeaders()
+          }).catch(() => {})
+          return { pendingDraft: null }
+        }),
+        // A submitted form no longer needs its draft
+        deleteDraft: (ctx) => {
+          fetch(`http://localhost:3001/api/actions/${ctx.actionId}/drafts/${ctx.draftId}`, {
+            method: 'DELETE',
+            headers: authHeaders()
+          }).catch(() => {})
+        },
+        setSubmitting:  assign({
+          isSubmitting: true,
+          cancelled: false,
+          submitController: () => new AbortController()
+        }),
         clearSubmitting: assign({ isSubmitting: false }),
+        abortSubmit: (ctx) => ctx.submitController.abort(),
+        setCancelled: assign({ cancelled: true }),
         setResult: assign((ctx, ev) => ({ result: ev.data. data })),
-        setServerErrors: assign((ctx, ev) => ({
-          serverErrors: ev.data?. errors || { _form: 'Submission failed' }
+        setJob: assign((ctx, ev) => ({ job: ev.job || ev.data.job })),
+        setJobResult: assign((ctx, ev) => ({ result: ev.job.result })),
+        // Keep the key after network errors: the request may have reached the server
+        renewIdempotencyKey: assign((ctx, ev) => (ev.data instanceof Error
+          ? {}
+          : { idempotencyKey: newIdempotencyKey(), idempotencyPayload: null })),
+        keyPayload: assign((ctx) => {
+          const payload = JSON.stringify(ctx.formData)
+          const changed = ctx.idempotencyPayload !== null && ctx.idempotencyPayload !== payload
+          return {
+            idempotencyKey: changed ? newIdempotencyKey() : ctx.idempotencyKey,
+            idempotencyPayload: payload
+          }
+        }),
+        setRetryAt: assign((ctx, ev) => ({ retryAt: Date.now() + (ev.data.retryAfter ?? 1) * 1000 })),
+        clearRetryAt: assign({ retryAt: null }),
+        resetRetries: assign({ retryCount: 0 }),
+        scheduleRetry: assign((ctx, ev) => ({
+          retryCount: ctx.retryCount + 1,
+          nextRetryAt: Date.now() + retryDelay(ctx.retryCount + 1, ctx.retry, ev.data)
         })),
+        clearRetry: assign({ nextRetryAt: null }),
+        // Show the first step with a rejected field
+        setServerErrors: assign((ctx, ev) => {
+          const serverErrors = problemToServerErrors(ev.data)
+          const step = ctx.steps.findIndex((s) => s.fields.some((field) => field in serverErrors))
+          return { serverErrors, currentStep: step === -1 ? ctx.currentStep : step }
+        }),
         setLoadError: assign((ctx, ev) => ({
           serverErrors: { _form: ev. data?.message || 'Failed to load form' }
         })),
-        resetForm: assign({
+        nextStep: assign((ctx) => ({ currentStep: ctx.currentStep + 1 })),
+        prevStep: assign((ctx) => ({ currentStep: ctx.currentStep - 1 })),
+        gotoStep: assign((ctx, ev) => ({ currentStep: ev.step })),
+        resetForm: assign(() => ({
           formData: {},
           errors: {},
           serverErrors: {},
+          currentStep: 0,
+          draftId: newDraftId(),
+          draftDirty: false,
+          draftSavedAt: null,
+          uploads: {},
+          idempotencyKey: newIdempotencyKey(),
+          idempotencyPayload: null,
+          cancelled: false,
+          job: null,
           result: null
-        })
+        }))
+      },
+      delays: {
+        AUTOSAVE_DELAY,
+        RETRY_AFTER: (ctx) => Math.max(0, ctx.retryAt - Date.now()),
+        RETRY_DELAY: (ctx) => Math.max(0, ctx.nextRetryAt - Date.now())
+      },
+      guards: {
+        isDraftDirty: (ctx) => ctx.draftDirty,
+        hasFiles: (ctx, ev) => ev.files.length > 0,
+        hasUpload: (ctx, ev) => ev.key in ctx.uploads,
+        isUploading: (ctx, ev) => ctx.uploads[ev.key]?.status === 'uploading',
+        noActiveUploads: (ctx) => !hasActiveUploads(ctx),
+        canSubmit: (ctx) => !hasActiveUploads(ctx) && !ctx.retryAt,
+        isRateLimited: (ctx, ev) => ev.data?.status === 429,
+        canRetry: (ctx, ev) => isTransientFailure(ev.data) && ctx.retryCount + 1 < ctx.retry.maxAttempts,
+        // 202: the handler went on as a background job
+        isJob: (ctx, ev) => !!ev.data.job,
+        hasDraft: (ctx, ev) => !!ev.data && Object.keys(ev.data.data || {}).length > 0,
+        canGoNext: (ctx) =>
+          ctx.currentStep < ctx.steps.length - 1 && isStepValid(ctx, ctx.currentStep),
+        canGoBack: (ctx) => ctx.currentStep > 0,
+        // Going back is always allowed, going forward only past valid steps
+        canGotoStep: (ctx, ev) => {
+          if (ev.step < 0 || ev.step >= ctx.steps.length) return false
+          if (ev.step <= ctx.currentStep) return true
+          for (let i = 0; i < ev.step; i++) {
+            if (!isStepValid(ctx, i)) return false
+          }
+          return true
+        }
       },
       services: {
         loadSchema: async (ctx) => {
-          const res = await fetch(`http://localhost:3001/api/actions/${ctx.actionId}/schema`)
+          const res = await fetch(`http://localhost:3001/api/actions/${ctx.actionId}/schema`, { headers: authHeaders() })
           if (!res.ok) throw new Error('Failed to load schema')
           return res.json()
         },
+        loadLatestDraft: async (ctx) => {
+          const res = await fetch(`http://localhost:3001/api/actions/${ctx.actionId}/drafts`, { headers: authHeaders() })
+          if (!res.ok) return null
+          const [latest] = await res.json()
+          if (!latest) return null
+          const draft = await fetch(`http://localhost:3001/api/actions/${ctx.actionId}/drafts/${latest.id}`, {
+            headers: authHeaders()
+          })
+          return draft.ok ? draft.json() : null
+        },
+        saveDraft: async (ctx) => {
+          const res = await fetch(`http://localhost:3001/api/actions/${ctx.actionId}/drafts/${ctx.draftId}`, {
+            method: 'PUT',
+            headers: authHeaders({ 'Content-Type': 'application/json' }),
+            body: JSON.stringify({ data: ctx.formData })
+          })
+          if (!res.ok) throw new Error('Failed to save draft')
+          return res.json()
+        },
         submitForm: async (ctx) => {
           const res = await fetch(`http://localhost:3001/api/actions/${ctx.actionId}/submit`, {
             method: 'POST',
-            headers:  { 'Content-Type': 'application/json' },
-            body: JSON. stringify(ctx.formData)
+            headers: authHeaders({ 'Content-Type': 'application/json', 'Idempotency-Key': ctx.idempotencyKey }),
+            body: JSON. stringify(ctx.formData),
+            signal: ctx.submitController.signal
           })
           const data = await res. json()
           if (!res.ok || !data.success) {
             throw data
           }
           return data
-        }
+        },
+        watchJob: (ctx) => (sendBack) =>
+          watchJob(ctx.job.id, (job) => {
+            if (job.status === 'running') sendBack({ type: 'JOB_PROGRESS', job })
+            else if (job.status === 'succeeded') sendBack({ type: 'JOB_SUCCEEDED', job })
+            else sendBack({ type: 'JOB_FAILED', job, data: job.error })
+          })
       }
     }
   )
@@ -126,7 +584,7 @@ export default function App() {
   const [selectedAction, setSelectedAction] = useState(null)
 
   useEffect(() => {
-    fetch('http://localhost:3001/api/actions')
+    fetch('http://localhost:3001/api/actions', { headers: authHeaders() })
       .then((r) => r.json())
       .then(setActions)
   }, [])
@@ -173,15 +631,64 @@ export default function App() {
 // ---------- Dynamic Form Component ----------
 function DynamicForm({ actionId }) {
   const [state, send] = useMachine(() => createFormMachine(actionId))
-  const { jsonSchema, uiSchema, formData, errors, serverErrors, isSubmitting, result } = state. context
+  const [{ roomId, name }] = useState(roomParams)
+  const room = useFormRoom({ actionId, roomId, name })
+  const isEditing = state.matches('editing')
+  const isUploading = state.matches({ editing: { uploads: 'uploading' } })
+  const retryIn = useSecondsUntil(state.context.retryAt)
+  const roomRetryIn = useSecondsUntil(room.retryAt)
+  const isRetrying = state.matches('retrying')
+  const nextRetryIn = useSecondsUntil(state.context.nextRetryAt)
+  const { jsonSchema, uiSchema, steps, currentStep, formData, errors, serverErrors, isSubmitting, result, pendingDraft, draftSavedAt } = state. context
+  const isStepped = steps.length > 0
+  const isLastStep = !isStepped || currentStep === steps.length - 1
+  const isWaiting = isLastStep && (isUploading || retryIn > 0)
+
+  // The room's data wins: it replaces local edits, including ones that lost a conflict
+  useEffect(() => {
+    if (isEditing && room.formData) send({ type: 'REMOTE_CHANGE', data: room.formData })
+  }, [isEditing, room.formData, room.conflict])
 
   const handleChange = ({ data, errors }) => {
     send({ type: 'CHANGE', data, errors })
+    if (roomId) room.changeFields(data)
   }
 
+  const additionalErrors = useMemo(() => serverErrorsToAjv(serverErrors), [serverErrors])
+
+  const uploads = useMemo(() => ({ uploads: Object.values(state.context.uploads), send }), [state.context.uploads])
+
+  const conflictAuthor = room.conflict && room.members.find((m) => m.id === room.conflict.author)
+
   const handleSubmit = (e) => {
     e.preventDefault()
-    send({ type: 'SUBMIT' })
+    send({ type: isLastStep ? 'SUBMIT' : 'NEXT' })
+  }
+
+  // Draft found while loading
+  if (state.matches({ loading: 'restorePrompt' })) {
+    return (
+      <div className="bg-white rounded-lg shadow p-6">
+        <h3 className="text-gray-900 font-medium text-lg">Resume your draft?</h3>
+        <p className="text-gray-600 mt-1">
+          You have an unfinished form from {new Date(pendingDraft.updatedAt).toLocaleString()}.
+        </p>
+        <div className="mt-4 flex gap-3">
+          <button
+            onClick={() => send({ type: 'RESTORE_DRAFT' })}
+            className="px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700"
+          >
+            Restore draft
+          </button>
+          <button
+            onClick={() => send({ type: 'DISCARD_DRAFT' })}
+            className="px-4 py-2 bg-white text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50"
+          >
+            Start over
+          </button>
+        </div>
+      </div>
+    )
   }
 
   // Loading state
@@ -210,6 +717,23 @@ function DynamicForm({ actionId }) {
     )
   }
 
+  // Background job state
+  if (state.matches('processing')) {
+    const percent = state.context.job?.progress?.percent ?? 0
+    return (
+      <div className="bg-white rounded-lg shadow p-6">
+        <h3 className="text-gray-900 font-medium text-lg">Processing...</h3>
+        <p className="text-gray-600 mt-1">
+          {state.context.job?.progress?.message || 'Your submission is being processed.'}
+        </p>
+        <div className="mt-4 h-2 rounded-full bg-gray-200">
+          <div className="h-2 rounded-full bg-indigo-600 transition-all" style={{ width: `${percent}%` }} />
+        </div>
+        <p className="mt-1 text-xs text-gray-500">{percent}%</p>
+      </div>
+    )
+  }
+
   // Success state
   if (state.matches('success')) {
     return (
@@ -239,30 +763,100 @@ function DynamicForm({ actionId }) {
       <form onSubmit={handleSubmit}>
         <div className="p-6">
           {/* Server errors banner */}
-          {serverErrors._form && (
+          {isRetrying ? (
+            <div className="mb-6 bg-amber-50 border border-amber-200 rounded-lg p-4">
+              <p className="text-amber-800">
+                {serverErrors._form || 'Submission failed'}. Trying again in {nextRetryIn} s
+                (attempt {state.context.retryCount + 1} of {state.context.retry.maxAttempts}).
+              </p>
+            </div>
+          ) : serverErrors._form && (
             <div className="mb-6 bg-red-50 border border-red-200 rounded-lg p-4">
               <p className="text-red-600">{serverErrors._form}</p>
             </div>
           )}
 
+          {state.context.cancelled && (
+            <div className="mb-6 bg-amber-50 border border-amber-200 rounded-lg p-4">
+              <p className="text-amber-800">Submission cancelled. Your changes are still here.</p>
+            </div>
+          )}
+
+          {/* Room members */}
+          {roomId && (
+            <div className="mb-4 flex items-center justify-between">
+              <PresenceAvatars members={room.members} />
+              {room.status !== 'connected' && (
+                <span className="text-xs text-amber-600">
+                  {room.status === 'reconnecting' ? 'Reconnecting...' : 'Connecting...'}
+                </span>
+              )}
+            </div>
+          )}
+          {roomRetryIn > 0 && (
+            <div className="mb-4 bg-amber-50 border border-amber-200 rounded-lg p-3 text-sm text-amber-800">
+              You are editing too quickly; changes are ignored for {roomRetryIn} s.
+            </div>
+          )}
+          {room.conflict && (
+            <div className="mb-4 bg-amber-50 border border-amber-200 rounded-lg p-3 text-sm text-amber-800">
+              {conflictAuthor ? conflictAuthor.name : 'Someone'} changed "{room.conflict.field}" first, so your edit was replaced.
+            </div>
+          )}
+
+          {/* Autosave status */}
+          <p className="mb-4 text-xs text-gray-400 text-right">
+            {state.matches({ editing: { draft: 'draftSaving' } })
+              ? 'Saving draft...'
+              : draftSavedAt
+                ? `Draft saved ${new Date(draftSavedAt).toLocaleTimeString()}`
+                : '\u00a0'}
+          </p>
+
+          {/* Wizard progress */}
+          {isStepped && (
+            <StepProgress
+              steps={steps}
+              currentStep={currentStep}
+              onSelect={(step) => send({ type: 'GOTO_STEP', step })}
+            />
+          )}
+
           {/* JSON Forms */}
-          <JsonForms
-            schema={jsonSchema}
-            uischema={uiSchema}
-            data={formData}
-            renderers={tailwindRenderers}
-            cells={tailwindCells}
-            onChange={handleChange}
-          />
+          <CollaborationContext.Provider value={roomId ? room.collaboration : null}>
+            <UploadContext.Provider value={uploads}>
+              <OptionsContext.Provider value={actionId}>
+                <JsonForms
+                  schema={jsonSchema}
+                  uischema={isStepped ? steps[currentStep].uiSchema : uiSchema}
+                  data={formData}
+                  renderers={tailwindRenderers}
+                  cells={tailwindCells}
+                  onChange={handleChange}
+                  additionalErrors={additionalErrors}
+                />
+              </OptionsContext.Provider>
+            </UploadContext.Provider>
+          </CollaborationContext.Provider>
         </div>
 
         {/* Submit button */}
-        <div className="px-6 py-4 bg-gray-50 border-t rounded-b-lg">
+        <div className="px-6 py-4 bg-gray-50 border-t rounded-b-lg flex gap-3">
+          {isStepped && currentStep > 0 && (
+            <button
+              type="button"
+              onClick={() => send({ type: 'BACK' })}
+              disabled={isSubmitting || isRetrying}
+              className="px-4 py-3 rounded-lg font-medium text-gray-700 bg-white border border-gray-300 hover:bg-gray-50"
+            >
+              Back
+            </button>
+          )}
           <button
             type="submit"
-            disabled={isSubmitting}
+            disabled={isSubmitting || isRetrying || isWaiting}
             className={`w-full px-4 py-3 rounded-lg font-medium text-white transition-colors ${
-              isSubmitting
+              isSubmitting || isRetrying || isWaiting
                 ? 'bg-indigo-400 cursor-not-allowed'
                 :  'bg-indigo-600 hover:bg-indigo-700'
             }`}
@@ -275,10 +869,36 @@ function DynamicForm({ actionId }) {
                 </svg>
                 Submitting...
               </span>
-            ) : (
+            ) : isRetrying ? (
+              `Retrying in ${nextRetryIn} s...`
+            ) : isLastStep && isUploading ? (
+              'Uploading files...'
+            ) : isLastStep && retryIn > 0 ? (
+              `Too many attempts, try again in ${retryIn} s`
+            ) : isLastStep ? (
               'Submit'
+            ) : (
+              'Next'
             )}
           </button>
+          {isRetrying && (
+            <button
+              type="button"
+              onClick={() => send({ type: 'RETRY' })}
+              className="px-4 py-3 rounded-lg font-medium text-gray-700 bg-white border border-gray-300 hover:bg-gray-50 whitespace-nowrap"
+            >
+              Retry now
+            </button>
+          )}
+          {(isSubmitting || isRetrying) && (
+            <button
+              type="button"
+              onClick={() => send({ type: 'CANCEL' })}
+              className="px-4 py-3 rounded-lg font-medium text-gray-700 bg-white border border-gray-300 hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+          )}
         </div>
       </form>
 
@@ -293,4 +913,46 @@ function DynamicForm({ actionId }) {
       </details>
     </div>
   )
-}
\ No newline at end of file
+}
+
+// ---------- Wizard Progress Indicator ----------
+function StepProgress({ steps, currentStep, onSelect }) {
+  const percent = Math.round(((currentStep + 1) / steps.length) * 100)
+
+  return (
+    <div className="mb-6">
+      <ol className="flex items-center gap-2">
+        {steps.map((step, i) => (
+          <li key={step.label} className="flex-1">
+            <button
+              type="button"
+              onClick={() => onSelect(i)}
+              className={`w-full flex items-center gap-2 text-sm font-medium ${
+                i === currentStep ? 'text-indigo-600' : i < currentStep ? 'text-gray-700' : 'text-gray-400'
+              }`}
+            >
+              <span
+                className={`flex h-7 w-7 items-center justify-center rounded-full border-2 ${
+                  i < currentStep
+                    ? 'bg-indigo-600 border-indigo-600 text-white'
+                    : i === currentStep
+                      ? 'border-indigo-600'
+                      : 'border-gray-300'
+                }`}
+              >
+                {i + 1}
+              </span>
+              {step.label}
+            </button>
+          </li>
+        ))}
+      </ol>
+      <div className="mt-3 h-1.5 rounded-full bg-gray-200">
+        <div className="h-1.5 rounded-full bg-indigo-600 transition-all" style={{ width: `${percent}%` }} />
+      </div>
+      <p className="mt-1 text-xs text-gray-500">
+        Step {currentStep + 1} of {steps.length}
+      </p>
+    </div>
+  )
+}
@@ -0,0 +1,16 @@
+// ---------- Authentication ----------
+// Open the app with ?token=<jwt> (`npm run token` in backend/) to act with the
+// token's roles; it is kept for the browser session. Without one, requests are anonymous.
+const TOKEN_KEY = 'accessToken'
+
+export const accessToken = () => {
+  const fromUrl = new URLSearchParams(window.location.search).get('token')
+  if (fromUrl) sessionStorage.setItem(TOKEN_KEY, fromUrl)
+  return fromUrl || sessionStorage.getItem(TOKEN_KEY)
+}
+
+// Request headers with the caller's token
+export const authHeaders = (headers = {}) => {
+  const token = accessToken()
+  return token ? { ...headers, Authorization: `Bearer ${token}` } : headers
+}
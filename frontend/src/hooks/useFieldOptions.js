@@ -0,0 +1,92 @@
+import { createContext, useContext, useEffect, useRef, useState } from 'react'
+import { authHeaders } from '../auth'
+
+// ---------- Loaded Select Options ----------
+// Selects with `optionsSource` page through their options from
+// GET /api/actions/:id/fields/:name/options, searched by `q` and narrowed by
+// the values of the fields they depend on (see packages/shared/optionsSources.js).
+
+const API_URL = 'http://localhost:3001'
+const SEARCH_DELAY = 250
+
+// The action whose fields' options are loaded
+export const OptionsContext = createContext(null)
+
+// Loaded options, the option of the current `value`, and loadMore for the next page.
+// Nothing loads until `active`; a new search waits for typing to pause.
+export function useFieldOptions(name, { q, values, value, active }) {
+  const actionId = useContext(OptionsContext)
+  const valuesKey = JSON.stringify(values)
+  const [list, setList] = useState({ options: [], page: 0, hasMore: false })
+  const [status, setStatus] = useState({ loading: false, error: null })
+  const [selected, setSelected] = useState(null)
+  const controller = useRef(null)
+
+  const fetchOptions = async (params, signal) => {
+    const query = new URLSearchParams({ values: valuesKey, ...params })
+    const res = await fetch(`${API_URL}/api/actions/${actionId}/fields/${encodeURIComponent(name)}/options?${query}`, {
+      signal,
+      headers: authHeaders()
+    })
+    const body = await res.json()
+    if (!res.ok) throw new Error(body.detail || body.title || 'Could not load options')
+    return body
+  }
+
+  const load = (page) => {
+    controller.current?.abort()
+    const abort = new AbortController()
+    controller.current = abort
+    setStatus({ loading: true, error: null })
+    fetchOptions({ q, page: String(page) }, abort.signal)
+      .then((body) => {
+        setList((prev) => ({
+          options: page === 1 ? body.options : [...prev.options, ...body.options],
+          page,
+          hasMore: body.hasMore
+        }))
+        setStatus({ loading: false, error: null })
+      })
+      .catch((err) => {
+        if (err.name !== 'AbortError') setStatus({ loading: false, error: err.message })
+      })
+  }
+
+  // First page, once the search text settles
+  useEffect(() => {
+    if (!active || !actionId) return
+    const timer = setTimeout(() => load(1), SEARCH_DELAY)
+    return () => {
+      clearTimeout(timer)
+      controller.current?.abort()
+    }
+  }, [active, q, valuesKey, actionId])
+
+  // Option of the current value, looked up when it isn't among the loaded ones
+  // (e.g. a restored draft or a value set by another room member)
+  useEffect(() => {
+    if (value === undefined || value === null || value === '' || !actionId) {
+      setSelected(null)
+      return
+    }
+    const known = list.options.find((o) => o.value === value)
+    if (known) {
+      setSelected(known)
+      return
+    }
+    const abort = new AbortController()
+    fetchOptions({ value }, abort.signal)
+      .then((body) => setSelected(body.options[0] || null))
+      .catch(() => {})
+    return () => abort.abort()
+  }, [value, valuesKey, actionId])
+
+  return {
+    options: list.options,
+    selected,
+    loading: status.loading,
+    error: status.error,
+    hasMore: list.hasMore,
+    loadMore: () => load(list.page + 1)
+  }
+}
@@ -0,0 +1,200 @@
+import { createContext, useCallback, useContext, useEffect, useMemo, useRef, useState } from 'react'
+import { applyPatch } from 'fast-json-patch'
+import { accessToken } from '../auth'
+
+// ---------- Collaborative Rooms ----------
+// Joins a shared form room over the /ws/form protocol (see backend/formSessions.js).
+// Keeps the room's form data, members and soft field locks in sync and
+// reconnects with RESUME, re-sending events the server has not acked yet.
+
+const WS_URL = 'ws://localhost:3001'
+const PROTOCOL_VERSION = 1
+const RECONNECT_DELAY = 1000
+
+// Room machines with async checks are parallel: { form, checks }
+const isIdle = (state) => (state?.form ?? state) === 'idle'
+
+export function useFormRoom({ actionId, roomId, name }) {
+  const [room, setRoom] = useState({
+    status: 'connecting',
+    memberId: null,
+    members: [],
+    locks: {},
+    context: null,
+    conflict: null,
+    retryAt: null
+  })
+  const socketRef = useRef(null)
+  const outgoing = useRef({ seq: 0, pending: [] })
+  const contextRef = useRef(null)
+
+  // Events are kept until acked, so they survive a reconnect
+  const sendEvent = useCallback((event) => {
+    const message = { type: 'EVENT', seq: ++outgoing.current.seq, event }
+    outgoing.current.pending.push(message)
+    const ws = socketRef.current
+    if (ws && ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify(message))
+  }, [])
+
+  useEffect(() => {
+    if (!roomId) return undefined
+
+    let closed = false
+    let reconnectTimer = null
+    let sessionId = null
+    let lastSeq = 0
+    let resuming = false
+
+    const post = (message) => {
+      const ws = socketRef.current
+      if (ws && ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify(message))
+    }
+
+    const applyContext = (context) => {
+      contextRef.current = context
+      setRoom((r) => ({ ...r, context }))
+    }
+
+    const connect = () => {
+      // Browsers cannot send headers with the upgrade, so the token goes in the URL
+      const token = accessToken()
+      const params = new URLSearchParams({ protocol: PROTOCOL_VERSION, room: roomId, name, ...(token && { access_token: token }) })
+      const ws = new WebSocket(`${WS_URL}/ws/form/${actionId}?${params}`)
+      socketRef.current = ws
+
+      ws.onopen = () => {
+        if (sessionId) {
+          resuming = true
+          ws.send(JSON.stringify({ type: 'RESUME', sessionId, lastSeq }))
+        }
+      }
+
+      ws.onmessage = (e) => {
+        const msg = JSON.parse(e.data)
+        switch (msg.type) {
+          case 'HELLO':
+            if (!sessionId) {
+              sessionId = msg.sessionId
+              setRoom((r) => ({ ...r, status: 'connected', memberId: msg.sessionId }))
+            }
+            return
+          case 'RESUMED':
+            resuming = false
+            setRoom((r) => ({ ...r, status: 'connected' }))
+            outgoing.current.pending.forEach((m) => post(m))
+            return
+          case 'SNAPSHOT':
+          case 'PATCH':
+            // Until RESUMED, sequenced messages belong to the throwaway session
+            if (resuming) return
+            lastSeq = msg.seq
+            // The first member to arrive starts the shared form
+            if (msg.type === 'SNAPSHOT' && isIdle(msg.state)) sendEvent({ type: 'INIT' })
+            applyContext(
+              msg.type === 'SNAPSHOT'
+                ? msg.context
+                : applyPatch(structuredClone(contextRef.current), msg.patch).newDocument
+            )
+            post({ type: 'ACK', seq: msg.seq })
+            return
+          case 'ACK':
+            outgoing.current.pending = outgoing.current.pending.filter((m) => m.seq > msg.seq)
+            return
+          case 'PRESENCE':
+            setRoom((r) => ({ ...r, members: msg.members, locks: msg.locks }))
+            return
+          case 'ERROR':
+            if (msg.code === 'SESSION_NOT_FOUND' && resuming) {
+              // Grace period is over: start again as a new member
+              sessionId = null
+              lastSeq = 0
+              resuming = false
+              outgoing.current = { seq: 0, pending: [] }
+              ws.close()
+            } else if (msg.code === 'CONFLICT') {
+              setRoom((r) => ({ ...r, conflict: msg.current }))
+            } else if (msg.code === 'RATE_LIMITED') {
+              // The event was dropped (and acked); the field's next CHANGE carries its value again
+              setRoom((r) => ({ ...r, retryAt: Date.now() + msg.retryAfter * 1000 }))
+            } else {
+              console.warn('Form room error', msg.code, msg.message)
+            }
+            return
+          default:
+        }
+      }
+
+      ws.onclose = () => {
+        if (closed) return
+        setRoom((r) => ({ ...r, status: 'reconnecting' }))
+        reconnectTimer = setTimeout(connect, RECONNECT_DELAY)
+      }
+    }
+
+    connect()
+    return () => {
+      closed = true
+      clearTimeout(reconnectTimer)
+      socketRef.current?.close()
+    }
+  }, [actionId, roomId, name, sendEvent])
+
+  // Send CHANGEs for the fields that differ from the room's data
+  const changeFields = useCallback((data) => {
+    const context = contextRef.current
+    if (!context) return
+    // JSON Forms drops cleared fields, so compare the keys of both sides
+    const fields = new Set([...Object.keys(data), ...Object.keys(context.formData)])
+    for (const field of fields) {
+      const value = data[field]
+      if (JSON.stringify(value) === JSON.stringify(context.formData[field])) continue
+      sendEvent({
+        type: 'CHANGE',
+        field,
+        value,
+        baseVersion: context.fieldEdits?.[field]?.version || 0
+      })
+    }
+  }, [sendEvent])
+
+  const focusField = useCallback((field) => {
+    const ws = socketRef.current
+    if (ws && ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify({ type: 'FOCUS', field }))
+  }, [])
+
+  const collaboration = useMemo(
+    () => ({ memberId: room.memberId, members: room.members, locks: room.locks, focusField }),
+    [room.memberId, room.members, room.locks, focusField]
+  )
+
+  return {
+    status: roomId ? room.status : 'off',
+    memberId: room.memberId,
+    members: room.members,
+    formData: room.context?.formData ?? null,
+    conflict: room.conflict,
+    retryAt: room.retryAt,
+    changeFields,
+    sendEvent,
+    collaboration
+  }
+}
+
+// ---------- Renderer Access ----------
+// Provided by the form when it is in a room; renderers fall back to solo editing
+export const CollaborationContext = createContext(null)
+
+// Who else is on a field, who holds its lock, and focus handlers for the input
+export function useFieldCollaboration(field) {
+  const collab = useContext(CollaborationContext)
+  if (!collab) return { editors: [], lockedBy: null, onFocus: undefined, onBlur: undefined }
+
+  const editors = collab.members.filter((m) => m.focus === field && m.id !== collab.memberId)
+  const holder = collab.locks[field]
+  return {
+    editors,
+    lockedBy: holder && holder !== collab.memberId ? collab.members.find((m) => m.id === holder) || null : null,
+    onFocus: () => collab.focusField(field),
+    onBlur: () => collab.focusField(null)
+  }
+}
@@ -0,0 +1,23 @@
+import { useEffect, useState } from 'react'
+
+// ---------- Countdown ----------
+// Whole seconds left until `time` (ms since epoch), ticking down once a second;
+// 0 once it has passed or when there is no `time`
+const secondsUntil = (time) => (time ? Math.max(0, Math.ceil((time - Date.now()) / 1000)) : 0)
+
+export function useSecondsUntil(time) {
+  const [seconds, setSeconds] = useState(() => secondsUntil(time))
+
+  useEffect(() => {
+    setSeconds(secondsUntil(time))
+    if (!time) return undefined
+    const timer = setInterval(() => {
+      const left = secondsUntil(time)
+      setSeconds(left)
+      if (left === 0) clearInterval(timer)
+    }, 1000)
+    return () => clearInterval(timer)
+  }, [time])
+
+  return seconds
+}
@@ -0,0 +1,67 @@
+import { createContext, useContext } from 'react'
+import { authHeaders } from '../auth'
+
+// ---------- File Uploads ----------
+// Files of `type: 'file'` fields go to POST /api/actions/:id/uploads one request
+// per file, so each has its own progress and can be cancelled on its own.
+// The field then holds the reference the server answers with (see
+// packages/shared/uploads.js). The client machine spawns one uploadFile actor per
+// file and keeps its progress in context.uploads.
+
+const API_URL = 'http://localhost:3001'
+
+// JSON Forms path ('extraItems.0.invoice') -> JSON Pointer ('/extraItems/0/invoice')
+export const pathToPointer = (path) =>
+  '/' + path.split('.').map((s) => s.replace(/~/g, '~0').replace(/\//g, '~1')).join('/')
+
+// Callback actor: reports UPLOAD_PROGRESS, then UPLOAD_DONE or UPLOAD_FAILED.
+// Stopping it aborts the request.
+export const uploadFile = ({ actionId, key, path, file }) => (sendBack) => {
+  const xhr = new XMLHttpRequest()
+  const url = `${API_URL}/api/actions/${actionId}/uploads?field=${encodeURIComponent(pathToPointer(path))}`
+
+  xhr.upload.onprogress = (e) => {
+    if (e.lengthComputable) sendBack({ type: 'UPLOAD_PROGRESS', key, loaded: e.loaded, total: e.total })
+  }
+  xhr.onload = () => {
+    let body = null
+    try {
+      body = JSON.parse(xhr.responseText)
+    } catch {
+      // not JSON
+    }
+    if (xhr.status === 201) {
+      sendBack({ type: 'UPLOAD_DONE', key, upload: body.uploads[0] })
+    } else {
+      sendBack({ type: 'UPLOAD_FAILED', key, error: body?.errors?.[0]?.message || body?.detail || 'Upload failed' })
+    }
+  }
+  xhr.onerror = () => sendBack({ type: 'UPLOAD_FAILED', key, error: 'Upload failed' })
+
+  const body = new FormData()
+  body.append('file', file)
+  xhr.open('POST', url)
+  for (const [name, value] of Object.entries(authHeaders())) xhr.setRequestHeader(name, value)
+  xhr.send(body)
+
+  return () => {
+    xhr.onload = null
+    xhr.onerror = null
+    xhr.abort()
+  }
+}
+
+export const UploadContext = createContext(null)
+
+// Files on their way to a field, and handlers to add, cancel and remove files
+export function useFieldUploads(path) {
+  const ctx = useContext(UploadContext)
+  if (!ctx) return { pending: [], upload: () => {}, cancel: () => {}, remove: () => {} }
+
+  return {
+    pending: ctx.uploads.filter((u) => u.path === path),
+    upload: (files, multiple) => ctx.send({ type: 'UPLOAD_FILES', path, files: Array.from(files), multiple }),
+    cancel: (key) => ctx.send({ type: 'CANCEL_UPLOAD', key }),
+    remove: (id) => ctx.send({ type: 'REMOVE_FILE', path, id })
+  }
+}
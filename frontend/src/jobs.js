@@ -0,0 +1,53 @@
+import { accessToken, authHeaders } from './auth'
+
+// ---------- Background Jobs ----------
+// A submit whose handler runs as a background job is answered 202 { job }.
+// watchJob follows the job over /ws/jobs/:id and polls GET /api/jobs/:id
+// instead once the socket closes early, until the job has finished.
+
+const API_URL = 'http://localhost:3001'
+const WS_URL = 'ws://localhost:3001'
+const POLL_INTERVAL = 2000
+
+// Calls onUpdate(job) whenever the job changes; returns a function that stops watching
+export function watchJob(jobId, onUpdate) {
+  let stopped = false
+  let pollTimer = null
+
+  const stop = () => {
+    stopped = true
+    clearTimeout(pollTimer)
+    socket.close()
+  }
+
+  const report = (job) => {
+    if (stopped) return
+    onUpdate(job)
+    if (job.status !== 'running') stop()
+  }
+
+  // A job that can't be read (gone, or not ours) has failed as far as we can tell
+  const poll = async () => {
+    try {
+      const res = await fetch(`${API_URL}/api/jobs/${jobId}`, { headers: authHeaders() })
+      const body = await res.json()
+      report(res.ok ? body : { id: jobId, status: 'failed', error: body })
+    } catch {
+      // Try again on the next poll
+    }
+    if (!stopped) pollTimer = setTimeout(poll, POLL_INTERVAL)
+  }
+
+  const token = accessToken()
+  const params = token ? `?${new URLSearchParams({ access_token: token })}` : ''
+  const socket = new WebSocket(`${WS_URL}/ws/jobs/${jobId}${params}`)
+  socket.onmessage = (e) => {
+    const msg = JSON.parse(e.data)
+    if (msg.type === 'JOB') report(msg.job)
+  }
+  socket.onclose = () => {
+    if (!stopped) poll()
+  }
+
+  return stop
+}
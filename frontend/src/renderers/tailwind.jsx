@@ -1,9 +1,212 @@
-import React from 'react'
-import { withJsonFormsControlProps } from '@jsonforms/react'
-import { rankWith, isStringControl, isBooleanControl, isIntegerControl, isNumberControl, isEnumControl } from '@jsonforms/core'
+import React, { useRef, useState } from 'react'
+import {
+  withJsonFormsControlProps,
+  withJsonFormsLayoutProps,
+  withJsonFormsArrayLayoutProps,
+  JsonFormsDispatch,
+  useJsonForms
+} from '@jsonforms/react'
+import {
+  rankWith,
+  uiTypeIs,
+  schemaTypeIs,
+  and,
+  optionIs,
+  isControl,
+  isStringControl,
+  isBooleanControl,
+  isIntegerControl,
+  isNumberControl,
+  isEnumControl,
+  createDefaultValue,
+  findUISchema,
+  Paths
+} from '@jsonforms/core'
+import { useFieldCollaboration } from '../hooks/useFormRoom'
+import { useFieldUploads } from '../hooks/useUploads'
+import { useFieldOptions } from '../hooks/useFieldOptions'
+
+// ---------- Presence (collaborative rooms) ----------
+const initials = (name) =>
+  name.split(/\s+/).filter(Boolean).slice(0, 2).map((part) => part[0].toUpperCase()).join('') || '?'
+
+const Avatar = ({ member, size = 'h-6 w-6 text-[10px]' }) => (
+  <span
+    title={member.connected === false ? `${member.name} (reconnecting)` : member.name}
+    className={`inline-flex ${size} items-center justify-center rounded-full font-semibold text-white ring-2 ring-white ${
+      member.connected === false ? 'opacity-40' : ''
+    }`}
+    style={{ backgroundColor: member.color }}
+  >
+    {initials(member.name)}
+  </span>
+)
+
+// Everyone in the room, shown above the form
+export const PresenceAvatars = ({ members }) => (
+  <div className="flex items-center gap-2">
+    <div className="flex -space-x-2">
+      {members.map((member) => (
+        <Avatar key={member.id} member={member} size="h-8 w-8 text-xs" />
+      ))}
+    </div>
+    <span className="text-xs text-gray-500">
+      {members.length <= 1 ? 'Only you' : `${members.length - 1} other${members.length > 2 ? 's' : ''} editing`}
+    </span>
+  </div>
+)
+
+// Other members on this field, and who holds its lock
+const FieldPresence = ({ editors, lockedBy }) => {
+  if (editors.length === 0 && !lockedBy) return null
+
+  return (
+    <span className="ml-2 inline-flex items-center gap-1 align-middle">
+      <span className="flex -space-x-1">
+        {editors.map((member) => (
+          <Avatar key={member.id} member={member} size="h-5 w-5 text-[9px]" />
+        ))}
+      </span>
+      {lockedBy && (
+        <span className="text-xs font-normal" style={{ color: lockedBy.color }}>
+          {lockedBy.name} is editing
+        </span>
+      )}
+    </span>
+  )
+}
+
+const lockStyle = (lockedBy) => (lockedBy ? { borderColor: lockedBy.color } : undefined)
+
+// ---------- Vertical Layout Renderer ----------
+const VerticalLayoutRenderer = ({ uischema, schema, path, enabled, visible, renderers, cells }) => {
+  if (visible === false) return null
+
+  return (
+    <div>
+      {(uischema.elements || []).map((child, i) => (
+        <JsonFormsDispatch
+          key={`${path}-${i}`}
+          uischema={child}
+          schema={schema}
+          path={path}
+          enabled={enabled}
+          renderers={renderers}
+          cells={cells}
+        />
+      ))}
+    </div>
+  )
+}
+
+// ---------- Group Renderer (object fields) ----------
+const GroupRenderer = ({ uischema, schema, path, enabled, visible, label, renderers, cells }) => {
+  if (visible === false) return null
+
+  return (
+    <fieldset className="mb-4 rounded-lg border border-gray-200 px-4 pt-2">
+      {label && <legend className="px-1 text-sm font-semibold text-gray-800">{label}</legend>}
+      {(uischema.elements || []).map((child, i) => (
+        <JsonFormsDispatch
+          key={`${path}-${i}`}
+          uischema={child}
+          schema={schema}
+          path={path}
+          enabled={enabled}
+          renderers={renderers}
+          cells={cells}
+        />
+      ))}
+    </fieldset>
+  )
+}
+
+// ---------- Array Renderer (repeatable fields) ----------
+// Each item renders the control's `detail` layout (see formJsonToUiSchema),
+// or a generated one; minItems / maxItems limit removing and adding.
+const ArrayRenderer = ({
+  data,
+  path,
+  schema,
+  arraySchema,
+  rootSchema,
+  uischema,
+  uischemas,
+  label,
+  errors,
+  enabled,
+  visible,
+  renderers,
+  cells,
+  addItem,
+  removeItems,
+  moveUp,
+  moveDown
+}) => {
+  if (visible === false) return null
+
+  const detail =
+    uischema.options?.detail || findUISchema(uischemas, schema, uischema.scope, path, undefined, uischema, rootSchema)
+  const canAdd = enabled && (arraySchema.maxItems === undefined || data < arraySchema.maxItems)
+  const canRemove = enabled && data > (arraySchema.minItems || 0)
+  const itemLabel = schema.title || 'Item'
+  const buttonClass = 'text-xs text-gray-500 hover:text-indigo-600 disabled:opacity-30 disabled:cursor-not-allowed'
+
+  return (
+    <div className="mb-4">
+      <div className="mb-2 flex items-center justify-between">
+        <span className="text-sm font-medium text-gray-700">{label}</span>
+        <button
+          type="button"
+          onClick={addItem(path, createDefaultValue(schema, rootSchema))}
+          disabled={!canAdd}
+          className="rounded-md border border-indigo-200 px-2 py-1 text-xs font-medium text-indigo-600 hover:bg-indigo-50 disabled:opacity-40 disabled:cursor-not-allowed"
+        >
+          + Add {itemLabel}
+        </button>
+      </div>
+      {data === 0 && <p className="text-sm text-gray-400">No items yet</p>}
+      {Array.from({ length: data }, (_, index) => (
+        <div key={index} className="mb-2 rounded-lg border border-gray-200 px-4 pt-3">
+          <div className="mb-2 flex items-center justify-between">
+            <span className="text-xs font-semibold uppercase tracking-wide text-gray-400">
+              {itemLabel} {index + 1}
+            </span>
+            <span className="flex gap-2">
+              <button type="button" onClick={moveUp(path, index)} disabled={!enabled || index === 0} className={buttonClass}>
+                ↑
+              </button>
+              <button
+                type="button"
+                onClick={moveDown(path, index)}
+                disabled={!enabled || index === data - 1}
+                className={buttonClass}
+              >
+                ↓
+              </button>
+              <button type="button" onClick={removeItems(path, [index])} disabled={!canRemove} className={buttonClass}>
+                Remove
+              </button>
+            </span>
+          </div>
+          <JsonFormsDispatch
+            uischema={detail}
+            schema={schema}
+            path={Paths.compose(path, `${index}`)}
+            enabled={enabled}
+            renderers={renderers}
+            cells={cells}
+          />
+        </div>
+      ))}
+      {errors && <p className="mt-1 text-sm text-red-600">{errors}</p>}
+    </div>
+  )
+}
 
 // ---------- Text Input Renderer ----------
 const TextInputRenderer = ({ data, handleChange, path, label, errors, schema, enabled }) => {
+  const collab = useFieldCollaboration(path)
   const hasError = errors && errors. length > 0
   const placeholder = schema. description || ''
 
@@ -12,12 +215,16 @@ const TextInputRenderer = ({ data, handleChange, path, label, errors, schema, en
       <label className="block text-sm font-medium text-gray-700 mb-1">
         {label}
         {schema.minLength && <span className="text-red-500 ml-1">*</span>}
+        <FieldPresence {...collab} />
       </label>
       <input
         type={schema.format === 'email' ? 'email' : 'text'}
         value={data || ''}
         onChange={(e) => handleChange(path, e.target.value)}
-        disabled={!enabled}
+        disabled={!enabled || !!collab.lockedBy}
+        onFocus={collab.onFocus}
+        onBlur={collab.onBlur}
+        style={lockStyle(collab.lockedBy)}
         placeholder={placeholder}
         className={`
           w-full px-3 py-2 border rounded-lg shadow-sm transition-colors
@@ -33,16 +240,23 @@ const TextInputRenderer = ({ data, handleChange, path, label, errors, schema, en
 
 // ---------- Number Input Renderer ----------
 const NumberInputRenderer = ({ data, handleChange, path, label, errors, schema, enabled }) => {
+  const collab = useFieldCollaboration(path)
   const hasError = errors && errors.length > 0
 
   return (
     <div className="mb-4">
-      <label className="block text-sm font-medium text-gray-700 mb-1">{label}</label>
+      <label className="block text-sm font-medium text-gray-700 mb-1">
+        {label}
+        <FieldPresence {...collab} />
+      </label>
       <input
         type="number"
         value={data ??  ''}
         onChange={(e) => handleChange(path, e.target.value === '' ? undefined : Number(e.target. value))}
-        disabled={!enabled}
+        disabled={!enabled || !!collab.lockedBy}
+        onFocus={collab.onFocus}
+        onBlur={collab.onBlur}
+        style={lockStyle(collab.lockedBy)}
         min={schema.minimum}
         max={schema.maximum}
         className={`
@@ -59,16 +273,23 @@ const NumberInputRenderer = ({ data, handleChange, path, label, errors, schema,
 
 // ---------- Select Renderer ----------
 const SelectRenderer = ({ data, handleChange, path, label, errors, schema, enabled }) => {
+  const collab = useFieldCollaboration(path)
   const hasError = errors && errors.length > 0
   const options = schema.oneOf || schema.enum?. map((v) => ({ const: v, title: v })) || []
 
   return (
     <div className="mb-4">
-      <label className="block text-sm font-medium text-gray-700 mb-1">{label}</label>
+      <label className="block text-sm font-medium text-gray-700 mb-1">
+        {label}
+        <FieldPresence {...collab} />
+      </label>
       <select
         value={data || ''}
         onChange={(e) => handleChange(path, e. target.value)}
-        disabled={!enabled}
+        disabled={!enabled || !!collab.lockedBy}
+        onFocus={collab.onFocus}
+        onBlur={collab.onBlur}
+        style={lockStyle(collab.lockedBy)}
         className={`
           w-full px-3 py-2 border rounded-lg shadow-sm transition-colors
           focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500
@@ -88,8 +309,111 @@ const SelectRenderer = ({ data, handleChange, path, label, errors, schema, enabl
   )
 }
 
+// ---------- Async Select Renderer ----------
+// Selects with `optionsSource` search and page through options from the server.
+// They stay disabled until the fields they depend on have values.
+const AsyncSelectRenderer = ({ data, handleChange, path, label, errors, uischema, enabled }) => {
+  const collab = useFieldCollaboration(path)
+  const { core } = useJsonForms()
+  const [open, setOpen] = useState(false)
+  const [query, setQuery] = useState('')
+  const inputRef = useRef(null)
+  const { dependsOn } = uischema.options.optionsSource
+  const values = Object.fromEntries(dependsOn.map((name) => [name, core.data?.[name] ?? null]))
+  const missing = dependsOn.filter((name) => values[name] === null || values[name] === '')
+  const canEdit = enabled && !collab.lockedBy && missing.length === 0
+  const hasError = errors && errors.length > 0
+  const { options, selected, loading, error, hasMore, loadMore } = useFieldOptions(path, {
+    q: query,
+    values,
+    value: data,
+    active: open && canEdit
+  })
+
+  const choose = (option) => {
+    handleChange(path, option?.value)
+    setOpen(false)
+    inputRef.current?.blur()
+  }
+
+  return (
+    <div className="mb-4 relative">
+      <label className="block text-sm font-medium text-gray-700 mb-1">
+        {label}
+        <FieldPresence {...collab} />
+      </label>
+      <input
+        ref={inputRef}
+        type="text"
+        role="combobox"
+        aria-expanded={open}
+        value={open ? query : selected?.label ?? data ?? ''}
+        placeholder={missing.length > 0 ? `Select ${missing.join(', ')} first` : 'Search...'}
+        onChange={(e) => setQuery(e.target.value)}
+        onFocus={() => {
+          setQuery('')
+          setOpen(true)
+          collab.onFocus?.()
+        }}
+        onBlur={() => {
+          setOpen(false)
+          collab.onBlur?.()
+        }}
+        onKeyDown={(e) => e.key === 'Escape' && inputRef.current?.blur()}
+        disabled={!canEdit}
+        style={lockStyle(collab.lockedBy)}
+        className={`
+          w-full px-3 py-2 border rounded-lg shadow-sm transition-colors
+          focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500
+          disabled:bg-gray-100 disabled:cursor-not-allowed
+          ${hasError ? 'border-red-500' : 'border-gray-300'}
+        `}
+      />
+      {open && (
+        // mousedown would blur the input and close the list before the click
+        <ul
+          onMouseDown={(e) => e.preventDefault()}
+          className="absolute z-10 mt-1 w-full max-h-60 overflow-auto bg-white border border-gray-200 rounded-lg shadow-lg text-sm"
+        >
+          {data && (
+            <li>
+              <button type="button" onClick={() => choose(undefined)} className="w-full px-3 py-2 text-left text-gray-500 hover:bg-gray-50">
+                Clear selection
+              </button>
+            </li>
+          )}
+          {options.map((opt) => (
+            <li key={opt.value}>
+              <button
+                type="button"
+                onClick={() => choose(opt)}
+                className={`w-full px-3 py-2 text-left hover:bg-indigo-50 ${opt.value === data ? 'font-medium text-indigo-700' : 'text-gray-700'}`}
+              >
+                {opt.label}
+              </button>
+            </li>
+          ))}
+          {loading && <li className="px-3 py-2 text-gray-500">Loading...</li>}
+          {error && <li className="px-3 py-2 text-red-600">{error}</li>}
+          {!loading && !error && options.length === 0 && <li className="px-3 py-2 text-gray-500">No matches</li>}
+          {!loading && hasMore && (
+            <li>
+              <button type="button" onClick={loadMore} className="w-full px-3 py-2 text-left text-indigo-600 hover:bg-gray-50">
+                Load more
+              </button>
+            </li>
+          )}
+        </ul>
+      )}
+      {hasError && <p className="mt-1 text-sm text-red-600">{errors}</p>}
+    </div>
+  )
+}
+
 // ---------- Checkbox Renderer ----------
 const CheckboxRenderer = ({ data, handleChange, path, label, enabled }) => {
+  const collab = useFieldCollaboration(path)
+
   return (
     <div className="mb-4">
       <label className="flex items-center gap-3 cursor-pointer">
@@ -97,7 +421,9 @@ const CheckboxRenderer = ({ data, handleChange, path, label, enabled }) => {
           type="checkbox"
           checked={data || false}
           onChange={(e) => handleChange(path, e. target.checked)}
-          disabled={!enabled}
+          disabled={!enabled || !!collab.lockedBy}
+          onFocus={collab.onFocus}
+          onBlur={collab.onBlur}
           className="
             w-5 h-5 rounded border-gray-300 text-indigo-600
             focus:ring-indigo-500 focus:ring-2
@@ -105,6 +431,7 @@ const CheckboxRenderer = ({ data, handleChange, path, label, enabled }) => {
           "
         />
         <span className="text-sm font-medium text-gray-700">{label}</span>
+        <FieldPresence {...collab} />
       </label>
     </div>
   )
@@ -112,6 +439,7 @@ const CheckboxRenderer = ({ data, handleChange, path, label, enabled }) => {
 
 // ---------- Textarea Renderer ----------
 const TextareaRenderer = ({ data, handleChange, path, label, errors, schema, enabled, uischema }) => {
+  const collab = useFieldCollaboration(path)
   const hasError = errors && errors. length > 0
   const isMulti = uischema?. options?.multi
 
@@ -119,11 +447,17 @@ const TextareaRenderer = ({ data, handleChange, path, label, errors, schema, ena
 
   return (
     <div className="mb-4">
-      <label className="block text-sm font-medium text-gray-700 mb-1">{label}</label>
+      <label className="block text-sm font-medium text-gray-700 mb-1">
+        {label}
+        <FieldPresence {...collab} />
+      </label>
       <textarea
         value={data || ''}
         onChange={(e) => handleChange(path, e.target.value)}
-        disabled={! enabled}
+        disabled={!enabled || !!collab.lockedBy}
+        onFocus={collab.onFocus}
+        onBlur={collab.onBlur}
+        style={lockStyle(collab.lockedBy)}
         rows={4}
         maxLength={schema.maxLength}
         className={`
@@ -143,15 +477,154 @@ const TextareaRenderer = ({ data, handleChange, path, label, errors, schema, ena
   )
 }
 
+// ---------- File Renderer ----------
+// Drop zone for `type: 'file'` fields: uploaded files, and files still
+// uploading with their progress (see hooks/useUploads)
+const formatBytes = (bytes) => {
+  const units = ['B', 'KB', 'MB', 'GB']
+  let value = bytes
+  let unit = 0
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024
+    unit++
+  }
+  return `${Number(value.toFixed(1))} ${units[unit]}`
+}
+
+const FileRenderer = ({ data, path, label, errors, uischema, enabled }) => {
+  const collab = useFieldCollaboration(path)
+  const { pending, upload, cancel, remove } = useFieldUploads(path)
+  const [dragging, setDragging] = useState(false)
+  const inputRef = useRef(null)
+  const { accept, maxSize, multiple } = uischema.options || {}
+  const hasError = errors && errors.length > 0
+  const canEdit = enabled && !collab.lockedBy
+  const files = multiple ? data || [] : data ? [data] : []
+  const hint = [accept, maxSize && `up to ${formatBytes(maxSize)}`].filter(Boolean).join(', ')
+
+  const addFiles = (list) => {
+    if (canEdit && list.length > 0) upload(list, multiple)
+  }
+
+  const handleDrop = (e) => {
+    e.preventDefault()
+    setDragging(false)
+    addFiles(e.dataTransfer.files)
+  }
+
+  return (
+    <div className="mb-4">
+      <label className="block text-sm font-medium text-gray-700 mb-1">
+        {label}
+        <FieldPresence {...collab} />
+      </label>
+      <div
+        role="button"
+        tabIndex={canEdit ? 0 : -1}
+        onClick={() => canEdit && inputRef.current?.click()}
+        onKeyDown={(e) => (e.key === 'Enter' || e.key === ' ') && canEdit && inputRef.current?.click()}
+        onDragOver={(e) => {
+          e.preventDefault()
+          setDragging(canEdit)
+        }}
+        onDragLeave={() => setDragging(false)}
+        onDrop={handleDrop}
+        onFocus={collab.onFocus}
+        onBlur={collab.onBlur}
+        style={lockStyle(collab.lockedBy)}
+        className={`
+          px-4 py-6 border-2 border-dashed rounded-lg text-center transition-colors
+          ${canEdit ? 'cursor-pointer hover:border-indigo-400' : 'bg-gray-100 cursor-not-allowed'}
+          ${dragging ? 'border-indigo-500 bg-indigo-50' : hasError ? 'border-red-500' : 'border-gray-300'}
+        `}
+      >
+        <p className="text-sm text-gray-600">
+          Drop {multiple ? 'files' : 'a file'} here or <span className="text-indigo-600 font-medium">browse</span>
+        </p>
+        {hint && <p className="mt-1 text-xs text-gray-500">{hint}</p>}
+        <input
+          ref={inputRef}
+          type="file"
+          className="hidden"
+          accept={accept}
+          multiple={!!multiple}
+          onChange={(e) => {
+            addFiles(e.target.files)
+            e.target.value = ''
+          }}
+        />
+      </div>
+
+      {(files.length > 0 || pending.length > 0) && (
+        <ul className="mt-2 space-y-2">
+          {files.map((file) => (
+            <li key={file.id} className="flex items-center justify-between gap-3 px-3 py-2 bg-gray-50 rounded-lg text-sm">
+              <span className="truncate text-gray-700">{file.name}</span>
+              <span className="flex items-center gap-3 shrink-0">
+                <span className="text-xs text-gray-500">{formatBytes(file.size)}</span>
+                <button
+                  type="button"
+                  onClick={() => remove(file.id)}
+                  disabled={!canEdit}
+                  className="text-xs text-red-600 hover:text-red-700 disabled:text-gray-300"
+                >
+                  Remove
+                </button>
+              </span>
+            </li>
+          ))}
+          {pending.map((u) => (
+            <li key={u.key} className="px-3 py-2 bg-gray-50 rounded-lg text-sm">
+              <div className="flex items-center justify-between gap-3">
+                <span className="truncate text-gray-700">{u.name}</span>
+                <button
+                  type="button"
+                  onClick={() => cancel(u.key)}
+                  className="shrink-0 text-xs text-gray-500 hover:text-gray-700"
+                >
+                  {u.status === 'failed' ? 'Dismiss' : 'Cancel'}
+                </button>
+              </div>
+              {u.status === 'failed' ? (
+                <p className="mt-1 text-xs text-red-600">{u.error}</p>
+              ) : (
+                <div className="mt-2 h-1.5 rounded-full bg-gray-200">
+                  <div
+                    className="h-1.5 rounded-full bg-indigo-600 transition-all"
+                    style={{ width: `${Math.round((u.loaded / (u.total || 1)) * 100)}%` }}
+                  />
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+      {hasError && <p className="mt-1 text-sm text-red-600">{errors}</p>}
+    </div>
+  )
+}
+
 // Wrap with JSON Forms HOC
 const TailwindTextInput = withJsonFormsControlProps(TextInputRenderer)
 const TailwindNumberInput = withJsonFormsControlProps(NumberInputRenderer)
 const TailwindSelect = withJsonFormsControlProps(SelectRenderer)
+const TailwindAsyncSelect = withJsonFormsControlProps(AsyncSelectRenderer)
 const TailwindCheckbox = withJsonFormsControlProps(CheckboxRenderer)
 const TailwindTextarea = withJsonFormsControlProps(TextareaRenderer)
+const TailwindFile = withJsonFormsControlProps(FileRenderer)
+const TailwindVerticalLayout = withJsonFormsLayoutProps(VerticalLayoutRenderer)
+const TailwindGroup = withJsonFormsLayoutProps(GroupRenderer)
+const TailwindArray = withJsonFormsArrayLayoutProps(ArrayRenderer)
 
 // ---------- Renderer Registry ----------
 export const tailwindRenderers = [
+  // Layouts (wizard steps render each Category as a VerticalLayout)
+  { tester: rankWith(1, uiTypeIs('VerticalLayout')), renderer: TailwindVerticalLayout },
+  // Object groups and repeatable (array) fields
+  { tester: rankWith(2, uiTypeIs('Group')), renderer: TailwindGroup },
+  { tester: rankWith(4, and(isControl, schemaTypeIs('array'))), renderer: TailwindArray },
+  // File uploads (also `multiple` ones, which are arrays)
+  { tester: rankWith(6, and(isControl, optionIs('format', 'file'))), renderer: TailwindFile },
   // Textarea (higher priority for multi-line strings)
   {
     tester: rankWith(5, (uischema, schema) => {
@@ -159,6 +632,8 @@ export const tailwindRenderers = [
     }),
     renderer: TailwindTextarea
   },
+  // Select with options from the server (its schema has no enum)
+  { tester: rankWith(5, and(isControl, (uischema) => !!uischema.options?.optionsSource)), renderer: TailwindAsyncSelect },
   // Enum / Select
   { tester: rankWith(4, isEnumControl), renderer: TailwindSelect },
   // Boolean
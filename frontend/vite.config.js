@@ -1,8 +1,24 @@
+import { fileURLToPath } from 'node:url'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// packages/shared is CommonJS (the backend requires it); the client imports it
+// as @shared/<module>, pre-bundled in dev and converted by the build like a dependency
+const shared = fileURLToPath(new URL('../packages/shared', import.meta.url))
+
 export default defineConfig({
   plugins: [react()],
+  resolve: {
+    alias: { '@shared': shared }
+  },
+  optimizeDeps: {
+    include: ['@shared/retry']
+  },
+  build: {
+    commonjsOptions: {
+      include: [/node_modules/, /packages\/shared/]
+    }
+  },
   server: {
     port: 5173,
     proxy: {
@@ -16,4 +32,4 @@ export default defineConfig({
       }
     }
   }
-})
\ No newline at end of file
+})
@@ -3,13 +3,13 @@
  *
  * Example XState machine (interpreted) that is wired with:
  * - real assign/guard implementations
- * - a converter from action.formJson -> JSON Schema (for react-jsonschema-form)
+ * - the shared action.formJson -> JSON Schema compiler (for react-jsonschema-form)
  * - a uiSchema mapping (RJSF / Uniforms friendly)
  * - a small runtime test runner that emits events and collects context snapshots
  *
  * NOTE:
- * - This file is self-contained (no external deps). For production validation you should
- *   use a robust validator (AJV) and real widgets for UI frameworks.
+ * - Apart from the shared compiler this file has no external deps. For production
+ *   validation you should use a robust validator (AJV) and real widgets for UI frameworks.
  *
  * Usage:
  *   const { action, createFormMachine, buildSchemas, runExampleSequence } = require('./interpretedFormMachine')
@@ -19,6 +19,13 @@
  */
 
 const { createMachine, interpret, assign } = require('xstate')
+const { formJsonToJsonSchema } = require('./packages/shared/formJson')
+const { isFieldVisible, isFieldRequired } = require('./packages/shared/conditions')
+const formPaths = require('./packages/shared/formPaths')
+const { applyComputedFields } = require('./packages/shared/computed')
+const { clearDependentFields } = require('./packages/shared/optionsSources')
+const { DEFAULT_LOCALE, localize, localizeFormJson, translate, formatBytes } = require('./packages/shared/i18n')
+const { fileProblem } = require('./packages/shared/uploads')
 
 /* --------------------------
    Example "action" with formJson
@@ -74,117 +81,82 @@ const action = {
 
 /* --------------------------
    Utilities: convert action.formJson -> JSON Schema + uiSchema
-   - Produces a JSON Schema and a RJSF uiSchema
+   - The JSON Schema comes from the shared canonical compiler, so it matches
+     what the server validates
+   - The uiSchema is a RJSF uiSchema
    - The same JSON Schema can be used by Uniforms via a JSONSchemaBridge
    -------------------------- */
-function formJsonToJsonSchema(formJson) {
-  const schema = {
-    title: action.label || 'Form',
-    type: 'object',
-    properties: {},
-    required: []
-  }
+function buildFormSchemas(formJson, title = 'Form', locale = DEFAULT_LOCALE) {
+  const jsonSchema = formJsonToJsonSchema(formJson, title, locale)
+  return { jsonSchema, uiSchema: fieldsToUiSchema(localizeFormJson(formJson, locale)) }
+}
+
+function fieldsToUiSchema(fields) {
   const uiSchema = {}
+  for (const field of fields) uiSchema[field.name] = fieldToUiSchema(field)
+  return uiSchema
+}
 
-  for (const field of formJson) {
-    const {
-      name,
-      type,
-      label,
-      required,
-      minLength,
-      maximum,
-      minimum,
-      format,
-      options,
-      default: def,
-      placeholder
-    } = field
+function fieldToUiSchema(field) {
+  const { type, options, placeholder } = field
 
-    let prop = {}
-    switch (type) {
-      case 'string':
-      case 'email':
-      case 'password':
-      case 'textarea':
-        prop.type = 'string'
-        if (format) prop.format = format
-        if (minLength) prop.minLength = minLength
-        if (def !== undefined) prop.default = def
-        break
-      case 'number':
-      case 'integer':
-        prop.type = 'number'
-        if (minimum !== undefined) prop.minimum = minimum
-        if (maximum !== undefined) prop.maximum = maximum
-        if (def !== undefined) prop.default = def
-        break
-      case 'select':
-      case 'radio':
-        prop.type = 'string'
-        prop.enum = options ? options.map((o) => o.value) : []
-        if (def !== undefined) prop.default = def
-        break
-      case 'boolean':
-        prop.type = 'boolean'
-        if (def !== undefined) prop.default = !!def
-        break
-      default:
-        // fallback to string
-        prop.type = 'string'
-        if (def !== undefined) prop.default = def
-    }
+  // object groups and array items nest their uiSchema like their data
+  if (type === 'object') return fieldsToUiSchema(field.fields)
+  if (type === 'array') return { items: fieldToUiSchema(field.items) }
 
-    // human label
-    if (label) prop.title = label
-
-    schema.properties[name] = prop
-    if (required) schema.required.push(name)
-
-    // uiSchema hints for RJSF
-    uiSchema[name] = {}
-    if (type === 'password') uiSchema[name]['ui:widget'] = 'password'
-    if (type === 'textarea') uiSchema[name]['ui:widget'] = 'textarea'
-    if (placeholder) uiSchema[name]['ui:placeholder'] = placeholder
-    if (type === 'select' && options) {
-      // provide enumOptions used by react-jsonschema-form
-      uiSchema[name]['ui:options'] = {
-        enumOptions: options
-      }
+  // uiSchema hints for RJSF
+  const uiSchema = {}
+  if (type === 'password') uiSchema['ui:widget'] = 'password'
+  if (type === 'textarea') uiSchema['ui:widget'] = 'textarea'
+  if (type === 'radio') uiSchema['ui:widget'] = 'radio'
+  if (placeholder) uiSchema['ui:placeholder'] = placeholder
+  if (field.compute !== undefined) uiSchema['ui:readonly'] = true
+  if (type === 'file' && field.accept) uiSchema['ui:options'] = { accept: field.accept }
+  if (type === 'select' && options) {
+    // provide enumOptions used by react-jsonschema-form
+    uiSchema['ui:options'] = {
+      enumOptions: options
     }
   }
-
-  return { jsonSchema: schema, uiSchema }
+  return uiSchema
 }
 
 /* --------------------------
    Local validator based on action.formJson rules
    (simple; for production use AJV)
-   Returns a map: { fieldName: 'error message', ... }
+   Checks the same constraints as the shared compiler's JSON Schema
+   Returns a map: { fieldName: 'error message', ... }; nested values are keyed
+   by their dotted path, e.g. 'address.city' or 'lineItems.0.sku'
+   Messages come from the shared catalogs (packages/shared/i18n) in `locale`
    -------------------------- */
-function validateFormValues(formValues, formJson) {
-  const errors = {}
-
+function validateFormValues(formValues, formJson, locale = DEFAULT_LOCALE, errors = {}, prefix = '') {
   for (const field of formJson) {
     const {
       name,
-      label,
-      required,
       minLength,
+      maxLength,
+      pattern,
       maximum,
       minimum,
-      format,
+      options,
       type
     } = field
+    const format = type === 'email' ? 'email' : type === 'date' ? 'date' : field.format
+    const key = `${prefix}${name}`
+    const label = localize(field.label, locale) || name
+    const message = (code, params) => translate(code, { label, ...params }, locale)
     const value = formValues[name]
 
-    if (required) {
+    // hidden fields (visibleWhen / hiddenWhen) are not validated
+    if (!isFieldVisible(field, formValues)) continue
+
+    if (isFieldRequired(field, formValues)) {
       const missing =
         value === undefined ||
         value === null ||
         (typeof value === 'string' && value.trim() === '')
       if (missing) {
-        errors[name] = `${label || name} is required`
+        errors[key] = message('required')
         continue
       }
     }
@@ -193,25 +165,68 @@ function validateFormValues(formValues, formJson) {
       if (type === 'number' || type === 'integer') {
         const num = Number(value)
         if (Number.isNaN(num)) {
-          errors[name] = `${label || name} must be a number`
+          errors[key] = message('invalid_type', { type: 'number' })
+          continue
+        }
+        if (type === 'integer' && !Number.isInteger(num)) {
+          errors[key] = message('invalid_type_integer')
           continue
         }
         if (minimum !== undefined && num < minimum) {
-          errors[name] = `${label || name} must be ≥ ${minimum}`
+          errors[key] = message('too_small', { comparison: '≥', limit: minimum })
         }
         if (maximum !== undefined && num > maximum) {
-          errors[name] = `${label || name} must be ≤ ${maximum}`
+          errors[key] = message('too_large', { comparison: '≤', limit: maximum })
+        }
+      } else if (type === 'object') {
+        validateFormValues(value, field.fields, locale, errors, `${key}.`)
+      } else if (type === 'array') {
+        const count = Array.isArray(value) ? value.length : 0
+        if (field.minItems !== undefined && count < field.minItems) {
+          errors[key] = message('too_few_items', { limit: field.minItems, count: field.minItems })
+        }
+        if (field.maxItems !== undefined && count > field.maxItems) {
+          errors[key] = message('too_many_items', { limit: field.maxItems, count: field.maxItems })
+        }
+        // each item is checked like a field named by its index
+        if (Array.isArray(value)) {
+          value.forEach((item, i) => {
+            validateFormValues({ [i]: item }, [{ ...field.items, name: String(i) }], locale, errors, `${key}.`)
+          })
+        }
+      } else if (type === 'file') {
+        // upload references: { id, name, size, type }, an array of them with `multiple`
+        for (const ref of Array.isArray(value) ? value : [value]) {
+          const code = fileProblem(field, ref)
+          if (code) {
+            errors[key] = message(code, { maxSize: formatBytes(field.maxSize), accept: field.accept })
+            break
+          }
+        }
+      } else if (type === 'select' || type === 'radio') {
+        // loaded options (optionsSource) are only known to the server
+        if (options && !options.some((o) => o.value === value)) {
+          errors[key] = message('invalid_option')
         }
-      } else {
+      } else if (type !== 'boolean') {
         if (minLength !== undefined && String(value).length < minLength) {
-          errors[name] = `${label || name} must have at least ${minLength} characters`
+          errors[key] = message('too_short', { limit: minLength })
+        }
+        if (maxLength !== undefined && String(value).length > maxLength) {
+          errors[key] = message('too_long', { limit: maxLength })
+        }
+        if (pattern && !new RegExp(pattern, 'u').test(String(value))) {
+          errors[key] = message('pattern_mismatch')
         }
         if (format === 'email') {
           const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
           if (!emailRegex.test(String(value))) {
-            errors[name] = `${label || name} must be a valid email`
+            errors[key] = message('invalid_format', { format: 'email' })
           }
         }
+        if (format === 'date' && !/^\d{4}-\d{2}-\d{2}$/.test(String(value))) {
+          errors[key] = message('invalid_format', { format: 'date' })
+        }
       }
     }
   }
@@ -223,13 +238,23 @@ function validateFormValues(formValues, formJson) {
    XState machine factory wired to the action
    - guards, assigns, and a mock submitting service
    -------------------------- */
-function createFormMachine(action) {
+function createFormMachine(action, { locale = DEFAULT_LOCALE } = {}) {
   // initial form values
-  const initialForm = {}
-  for (const f of action.formJson) {
-    if (f.default !== undefined) initialForm[f.name] = f.default
-    else initialForm[f.name] = f.type === 'boolean' ? false : f.type === 'number' ? null : ''
+  const initialValues = (fields) => {
+    const values = {}
+    for (const f of fields) {
+      if (f.default !== undefined) values[f.name] = f.default
+      else if (f.type === 'object') values[f.name] = initialValues(f.fields)
+      else if (f.type === 'array') values[f.name] = []
+      else values[f.name] = f.type === 'boolean' ? false : f.type === 'number' ? null : ''
+    }
+    return values
   }
+  const initialForm = applyComputedFields(action.formJson, initialValues(action.formJson))
+  // computed fields (compute / computeDefault) follow every edit; dependent
+  // selects (optionsSource.dependsOn) are cleared when what they depend on changes
+  const applyEdit = (ctx, form) =>
+    applyComputedFields(action.formJson, clearDependentFields(action.formJson, form, ctx.form), ctx.form)
 
   const machine = createMachine(
     {
@@ -254,6 +279,9 @@ function createFormMachine(action) {
             CHANGE: {
               actions: ['assignField', 'clearFieldError']
             },
+            ADD_ITEM: { cond: 'canAddItem', actions: ['addItem', 'clearFieldError'] },
+            REMOVE_ITEM: { cond: 'canRemoveItem', actions: ['removeItem', 'clearFieldError'] },
+            MOVE_ITEM: { cond: 'canMoveItem', actions: ['moveItem', 'clearFieldError'] },
             SUBMIT: [
               {
                 target: 'validating',
@@ -296,6 +324,9 @@ function createFormMachine(action) {
             CHANGE: {
               actions: ['assignField', 'clearFieldError']
             },
+            ADD_ITEM: { cond: 'canAddItem', actions: ['addItem', 'clearFieldError'] },
+            REMOVE_ITEM: { cond: 'canRemoveItem', actions: ['removeItem', 'clearFieldError'] },
+            MOVE_ITEM: { cond: 'canMoveItem', actions: ['moveItem', 'clearFieldError'] },
             SUBMIT: [
               {
                 target: 'validating',
@@ -312,22 +343,31 @@ function createFormMachine(action) {
         assignField: assign((ctx, ev) => {
           if (!ev || !ev.name) return {}
           return {
-            form: {
+            form: applyEdit(ctx, {
               ...ctx.form,
               [ev.name]: ev.value
-            }
+            })
           }
         }),
-        // clear single field error on change
+        // array items: event = { type: 'ADD_ITEM', path, value?, index? } (see packages/shared/formPaths)
+        addItem: assign((ctx, ev) => ({
+          form: applyEdit(ctx, formPaths.addItem(action.formJson, ctx.form, ev.path, ev.value, ev.index))
+        })),
+        removeItem: assign((ctx, ev) => ({ form: applyEdit(ctx, formPaths.removeItem(ctx.form, ev.path, ev.index)) })),
+        moveItem: assign((ctx, ev) => ({ form: applyEdit(ctx, formPaths.moveItem(ctx.form, ev.path, ev.from, ev.to)) })),
+        // clear the errors of the changed field (and of values nested in it)
         clearFieldError: assign((ctx, ev) => {
-          if (!ev || !ev.name) return {}
+          const name = ev && (ev.name || formPaths.toSegments(ev.path)[0])
+          if (!name) return {}
           const nextErrors = { ...ctx.errors }
-          delete nextErrors[ev.name]
+          for (const key of Object.keys(nextErrors)) {
+            if (key === name || key.startsWith(`${name}.`)) delete nextErrors[key]
+          }
           return { errors: nextErrors }
         }),
         // run validation and store errors in context
         validateAssign: assign((ctx) => {
-          const errs = validateFormValues(ctx.form, action.formJson)
+          const errs = validateFormValues(ctx.form, action.formJson, locale)
           return { errors: errs }
         }),
         // mark submitting flag true
@@ -347,7 +387,10 @@ function createFormMachine(action) {
       guards: {
         noErrors: (ctx) => {
           return Object.keys(ctx.errors || {}).length === 0
-        }
+        },
+        canAddItem: (ctx, ev) => formPaths.canAddItem(action.formJson, ctx.form, ev.path),
+        canRemoveItem: (ctx, ev) => formPaths.canRemoveItem(action.formJson, ctx.form, ev.path, ev.index),
+        canMoveItem: (ctx, ev) => formPaths.canMoveItem(action.formJson, ctx.form, ev.path, ev.from, ev.to)
       },
       services: {
         // a mock submit that resolves after a short delay
@@ -441,13 +484,13 @@ async function runExampleSequence() {
 /* --------------------------
    Exported helpers & demonstration
    -------------------------- */
-const { jsonSchema, uiSchema } = formJsonToJsonSchema(action.formJson)
+const { jsonSchema, uiSchema } = buildFormSchemas(action.formJson, action.label)
 
 module.exports = {
   action,
-  buildSchemas: (a = action) => {
+  buildSchemas: (a = action, locale) => {
     // allow passing a different action; returns mapping produced from that action
-    return formJsonToJsonSchema(a.formJson)
+    return buildFormSchemas(a.formJson, a.label, locale)
   },
   createFormMachine,
   runExampleSequence,
@@ -0,0 +1,166 @@
+/**
+ * Computed fields: values derived from other fields (see ./expressions)
+ * Used by both frontend and backend
+ *
+ *   { name: 'total', type: 'number', compute: 'quantity * unitPrice' }
+ *     read-only, always the expression's value
+ *   { name: 'slug', type: 'string', computeDefault: 'slug(username)' }
+ *     starts as the expression's value and follows it until the user edits it
+ * Expressions read the other fields of the same group or item, like conditions,
+ * and may use other computed fields as long as none depends on itself.
+ *
+ * Machines re-apply them on every edit; the server re-applies them to submitted
+ * data, so client-sent values of `compute` fields are never trusted.
+ */
+
+const { compileExpression, ExpressionError } = require('./expressions')
+
+const expressionOf = (field) => field.compute ?? field.computeDefault
+const isComputedField = (field) => expressionOf(field) !== undefined
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value)
+const isEmpty = (value) => value === undefined || value === null || value === ''
+
+// ---------- Order ----------
+// Computed fields of a group, each after the computed fields it reads.
+// Dependency cycles are reported by computeProblems; here they are just broken.
+const orders = new WeakMap()
+
+function computeOrder(fields) {
+  if (orders.has(fields)) return orders.get(fields)
+
+  const computed = new Map(fields.filter(isComputedField).map(f => [f.name, f]))
+  const order = []
+  const visited = new Set()
+  const visit = (field) => {
+    if (visited.has(field.name)) return
+    visited.add(field.name)
+    for (const name of compileExpression(expressionOf(field)).fields) {
+      if (computed.has(name)) visit(computed.get(name))
+    }
+    order.push(field)
+  }
+  computed.forEach(visit)
+
+  orders.set(fields, order)
+  return order
+}
+
+// ---------- Applying ----------
+// The expression's value as a value of the field's type, or undefined
+function coerce(field, value) {
+  if (value === null || value === undefined) return undefined
+  switch (field.type) {
+    case 'number':
+    case 'integer':
+      return typeof value === 'number' && Number.isFinite(value) ? value : undefined
+    case 'boolean':
+      return !!value
+    case 'select':
+    case 'radio':
+      return value
+    default:
+      return typeof value === 'object' ? undefined : String(value)
+  }
+}
+
+// `data` with the computed fields of `fields` (re)applied, also inside object
+// groups and array items. `previous` is the data before the edit: a
+// `computeDefault` field still holding its old computed value wasn't edited.
+function applyComputedFields(fields, data = {}, previous = {}) {
+  if (!isPlainObject(data)) return data
+  const next = { ...data }
+
+  // groups and items first, so expressions read their computed values
+  for (const field of fields) {
+    if (field.name in next) next[field.name] = applyValue(field, next[field.name], previous?.[field.name])
+  }
+
+  for (const field of computeOrder(fields)) {
+    const { evaluate } = compileExpression(expressionOf(field))
+    if (field.compute === undefined) {
+      const current = next[field.name]
+      const untouched = isEmpty(current) || current === coerce(field, evaluate(previous || {}))
+      if (!untouched) continue
+    }
+    const value = coerce(field, evaluate(next))
+    if (value === undefined) {
+      delete next[field.name]
+    } else {
+      next[field.name] = value
+    }
+  }
+  return next
+}
+
+function applyValue(field, value, previous) {
+  if (field.type === 'object') return applyComputedFields(field.fields, value, previous)
+  if (field.type === 'array' && Array.isArray(value)) {
+    return value.map((item, i) => applyValue(field.items, item, Array.isArray(previous) ? previous[i] : undefined))
+  }
+  return value
+}
+
+// ---------- Definition checks ----------
+// Problems with a field's expression; `fieldNames` are the fields it may read,
+// `label` names it in the messages
+function computeProblems(field, fieldNames, label = field.name) {
+  if (!isComputedField(field)) return []
+  const key = field.compute !== undefined ? 'compute' : 'computeDefault'
+
+  let expression
+  try {
+    expression = compileExpression(expressionOf(field))
+  } catch (err) {
+    if (err instanceof ExpressionError) return [`${label}.${key}: ${err.message}`]
+    throw err
+  }
+
+  const problems = []
+  for (const name of expression.fields) {
+    if (name === field.name) {
+      problems.push(`${label}.${key} cannot depend on itself`)
+    } else if (!fieldNames.includes(name)) {
+      problems.push(`${label}.${key} references unknown field "${name}"`)
+    }
+  }
+  return problems
+}
+
+// Names of computed fields of a group that depend on each other, or null
+function computeCycle(fields) {
+  const computed = new Map(fields.filter(isComputedField).map(f => [f.name, f]))
+  const dependencies = (field) => {
+    try {
+      return compileExpression(expressionOf(field)).fields.filter(name => name !== field.name && computed.has(name))
+    } catch (err) {
+      return []
+    }
+  }
+
+  const done = new Set()
+  const visit = (field, chain) => {
+    if (chain.includes(field.name)) return chain.slice(chain.indexOf(field.name))
+    if (done.has(field.name)) return null
+    for (const name of dependencies(field)) {
+      const cycle = visit(computed.get(name), [...chain, field.name])
+      if (cycle) return cycle
+    }
+    done.add(field.name)
+    return null
+  }
+
+  for (const field of computed.values()) {
+    const cycle = visit(field, [])
+    if (cycle) return cycle
+  }
+  return null
+}
+
+module.exports = {
+  isComputedField,
+  computeOrder,
+  applyComputedFields,
+  computeProblems,
+  computeCycle
+}
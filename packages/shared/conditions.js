@@ -0,0 +1,191 @@
+/**
+ * Declarative field conditions for formJson
+ * Used by both frontend and backend
+ *
+ * A condition compares another field's value:
+ *   { field: 'priority', equals: 'high' }
+ *   { field: 'role', notEquals: 'user' }
+ *   { field: 'role', in: ['admin', 'owner'] }
+ * An array of conditions holds when all of them hold.
+ * Conditions of a sub-field (object group or array item) compare the other
+ * fields of the same group or item.
+ *
+ * Fields accept:
+ *   visibleWhen  - shown only while the condition holds (JSON Forms SHOW rule)
+ *   hiddenWhen   - hidden while the condition holds (JSON Forms HIDE rule)
+ *   enabledWhen  - editable only while the condition holds (JSON Forms ENABLE rule)
+ *   requiredWhen - required only while the condition holds
+ * Hidden fields are neither validated nor submitted.
+ */
+
+const OPERATORS = ['equals', 'notEquals', 'in']
+
+function toClauses(condition) {
+  return Array.isArray(condition) ? condition : [condition]
+}
+
+function operatorOf(clause) {
+  return OPERATORS.find(op => op in clause)
+}
+
+// ---------- Evaluation ----------
+function evaluateCondition(condition, data = {}) {
+  return toClauses(condition).every(clause => {
+    const value = data[clause.field]
+    switch (operatorOf(clause)) {
+      case 'equals':
+        return value === clause.equals
+      case 'notEquals':
+        return value !== clause.notEquals
+      case 'in':
+        return clause.in.includes(value)
+      default:
+        return false
+    }
+  })
+}
+
+function isFieldVisible(field, data) {
+  if (field.visibleWhen && !evaluateCondition(field.visibleWhen, data)) return false
+  if (field.hiddenWhen && evaluateCondition(field.hiddenWhen, data)) return false
+  return true
+}
+
+function isFieldRequired(field, data) {
+  if (!isFieldVisible(field, data)) return false
+  if (field.requiredWhen) return evaluateCondition(field.requiredWhen, data)
+  return !!field.required
+}
+
+// Drop the values of fields that are hidden for this data, also inside
+// object groups and array items
+function pruneHiddenFields(formJson, data = {}) {
+  // Anything but an object is left for the schema to reject
+  if (!isPlainObject(data)) return data
+  const pruned = { ...data }
+  for (const field of formJson) {
+    if (!isFieldVisible(field, data)) {
+      delete pruned[field.name]
+    } else if (field.name in pruned) {
+      pruned[field.name] = pruneValue(field, pruned[field.name])
+    }
+  }
+  return pruned
+}
+
+function pruneValue(field, value) {
+  if (field.type === 'object' && isPlainObject(value)) return pruneHiddenFields(field.fields, value)
+  if (field.type === 'array' && Array.isArray(value)) return value.map(item => pruneValue(field.items, item))
+  return value
+}
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value)
+
+// ---------- JSON Schema (if/then) ----------
+// Schema the controlling field's value must match
+function valueSchema(clause) {
+  switch (operatorOf(clause)) {
+    case 'equals':
+      return { const: clause.equals }
+    case 'notEquals':
+      return { not: { const: clause.notEquals } }
+    case 'in':
+      return { enum: clause.in }
+    default:
+      return { not: {} }
+  }
+}
+
+// A missing field never equals anything, so only `notEquals` holds for it
+function clauseToSchema(clause) {
+  if (operatorOf(clause) === 'notEquals') {
+    return { not: { properties: { [clause.field]: { const: clause.notEquals } }, required: [clause.field] } }
+  }
+  return { properties: { [clause.field]: valueSchema(clause) }, required: [clause.field] }
+}
+
+function conditionToSchema(condition) {
+  const clauses = toClauses(condition).map(clauseToSchema)
+  return clauses.length === 1 ? clauses[0] : { allOf: clauses }
+}
+
+function isConditionallyRequired(field) {
+  return !!(field.requiredWhen || (field.required && (field.visibleWhen || field.hiddenWhen)))
+}
+
+// `if/then` entries for fields whose requiredness depends on other values.
+// These fields must be left out of the schema's top-level `required`.
+function conditionalRequiredSchemas(formJson) {
+  const schemas = []
+  for (const field of formJson) {
+    if (!isConditionallyRequired(field)) continue
+
+    const conditions = []
+    if (field.visibleWhen) conditions.push(conditionToSchema(field.visibleWhen))
+    if (field.hiddenWhen) conditions.push({ not: conditionToSchema(field.hiddenWhen) })
+    if (field.requiredWhen) conditions.push(conditionToSchema(field.requiredWhen))
+
+    schemas.push({
+      if: conditions.length === 1 ? conditions[0] : { allOf: conditions },
+      then: { required: [field.name] }
+    })
+  }
+  return schemas
+}
+
+// ---------- JSON Forms rule ----------
+// `scope` is the group the field belongs to: "#" for top-level fields and array
+// items (whose rules JSON Forms resolves against the item)
+function clauseToRuleCondition(clause, scope) {
+  return {
+    scope: `${scope}/properties/${clause.field}`,
+    schema: valueSchema(clause)
+  }
+}
+
+function conditionToRuleCondition(condition, scope) {
+  const conditions = toClauses(condition).map(clause => clauseToRuleCondition(clause, scope))
+  return conditions.length === 1 ? conditions[0] : { type: 'AND', conditions }
+}
+
+// JSON Forms allows one rule per element: visibleWhen, then hiddenWhen, then enabledWhen
+function fieldToRule(field, scope = '#') {
+  if (field.visibleWhen) return { effect: 'SHOW', condition: conditionToRuleCondition(field.visibleWhen, scope) }
+  if (field.hiddenWhen) return { effect: 'HIDE', condition: conditionToRuleCondition(field.hiddenWhen, scope) }
+  if (field.enabledWhen) return { effect: 'ENABLE', condition: conditionToRuleCondition(field.enabledWhen, scope) }
+  return null
+}
+
+// ---------- Definition checks ----------
+// Returns human-readable problems with a field's conditions; `fieldNames` are
+// the fields it may depend on, `label` names it in the messages
+function conditionProblems(field, fieldNames, label = field.name) {
+  const problems = []
+  for (const key of ['visibleWhen', 'hiddenWhen', 'enabledWhen', 'requiredWhen']) {
+    if (field[key] === undefined) continue
+    for (const clause of toClauses(field[key])) {
+      if (!clause || !fieldNames.includes(clause.field)) {
+        problems.push(`${label}.${key} must reference another field`)
+      } else if (clause.field === field.name) {
+        problems.push(`${label}.${key} cannot depend on itself`)
+      } else if (!operatorOf(clause)) {
+        problems.push(`${label}.${key} needs one of ${OPERATORS.join(', ')}`)
+      } else if ('in' in clause && !Array.isArray(clause.in)) {
+        problems.push(`${label}.${key}.in must be an array`)
+      }
+    }
+  }
+  return problems
+}
+
+module.exports = {
+  evaluateCondition,
+  isFieldVisible,
+  isFieldRequired,
+  pruneHiddenFields,
+  conditionToSchema,
+  isConditionallyRequired,
+  conditionalRequiredSchemas,
+  fieldToRule,
+  conditionProblems
+}
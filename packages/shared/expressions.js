@@ -0,0 +1,360 @@
+/**
+ * Sandboxed expression language for computed fields
+ * Used by both frontend and backend
+ *
+ * Expressions are parsed, never passed to eval / Function:
+ *   quantity * unitPrice
+ *   round(subtotal * (1 + taxRate / 100), 2)
+ *   slug(username)
+ *   priority == 'high' ? 'express' : 'standard'
+ *   address.city + ', ' + address.postalCode
+ *
+ * Names refer to field values, `a.b` reads inside an object group. Only the
+ * operators below and the FUNCTIONS calls exist; there is no assignment, no
+ * property access beyond field values and no way to reach globals.
+ *   literals     12, 1.5, 'text', "text", true, false, null
+ *   arithmetic   + - * / %    (+ joins text when either side is text)
+ *   comparison   == != < <= > >=
+ *   logic        && || !      condition ? then : else
+ * Missing values are null; arithmetic with null, text or a division by zero
+ * gives null, so a computed field stays empty until its inputs are filled in.
+ */
+
+const MAX_LENGTH = 500
+const MAX_DEPTH = 32
+
+class ExpressionError extends Error {
+  constructor(message, position) {
+    super(position === undefined ? message : `${message} at position ${position}`)
+    this.name = 'ExpressionError'
+    this.position = position
+  }
+}
+
+// ---------- Values ----------
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value)
+const toText = (value) => (value === null || value === undefined ? '' : String(value))
+const finite = (value) => (isNumber(value) ? value : null)
+const numbers = (values) => values.flat().filter(isNumber)
+
+const FUNCTIONS = {
+  round: (value, digits = 0) => {
+    if (!isNumber(value) || !isNumber(digits)) return null
+    const factor = 10 ** Math.trunc(digits)
+    return Math.round(value * factor) / factor
+  },
+  floor: (value) => (isNumber(value) ? Math.floor(value) : null),
+  ceil: (value) => (isNumber(value) ? Math.ceil(value) : null),
+  abs: (value) => (isNumber(value) ? Math.abs(value) : null),
+  min: (...values) => (numbers(values).length > 0 ? Math.min(...numbers(values)) : null),
+  max: (...values) => (numbers(values).length > 0 ? Math.max(...numbers(values)) : null),
+  // sum(prices), or sum(lineItems, 'quantity') over a field of each item
+  sum: (list, key) => {
+    if (!Array.isArray(list)) return null
+    const values = typeof key === 'string' ? list.map(item => readField(item, [key])) : list
+    return values.filter(isNumber).reduce((total, value) => total + value, 0)
+  },
+  count: (list) => (Array.isArray(list) ? list.length : typeof list === 'string' ? list.length : 0),
+  lower: (text) => toText(text).toLowerCase(),
+  upper: (text) => toText(text).toUpperCase(),
+  trim: (text) => toText(text).trim(),
+  // 'Jane Doe!' -> 'jane-doe'
+  slug: (text) =>
+    toText(text)
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, ''),
+  concat: (...values) => values.map(toText).join(''),
+  // first value that is not null or empty text
+  coalesce: (...values) => values.find(value => value !== null && value !== undefined && value !== '') ?? null
+}
+
+// Own data properties only, so names like `constructor` never reach prototypes
+function readField(data, path) {
+  let value = data
+  for (const name of path) {
+    if (value === null || typeof value !== 'object' || !Object.prototype.hasOwnProperty.call(value, name)) return null
+    value = value[name]
+  }
+  return value === undefined ? null : value
+}
+
+// ---------- Tokenizer ----------
+const PUNCTUATORS = ['&&', '||', '==', '!=', '<=', '>=', '+', '-', '*', '/', '%', '<', '>', '!', '?', ':', '(', ')', ',', '.']
+
+function tokenize(source) {
+  const tokens = []
+  let i = 0
+  while (i < source.length) {
+    const rest = source.slice(i)
+    const space = /^\s+/.exec(rest)
+    if (space) {
+      i += space[0].length
+      continue
+    }
+
+    const number = /^(\d+(\.\d+)?|\.\d+)/.exec(rest)
+    const name = /^[A-Za-z_$][A-Za-z0-9_$]*/.exec(rest)
+    if (number) {
+      tokens.push({ type: 'number', value: Number(number[0]), position: i })
+      i += number[0].length
+    } else if (name) {
+      tokens.push({ type: 'name', value: name[0], position: i })
+      i += name[0].length
+    } else if (rest[0] === "'" || rest[0] === '"') {
+      const { value, length } = readString(source, i)
+      tokens.push({ type: 'string', value, position: i })
+      i += length
+    } else {
+      const punctuator = PUNCTUATORS.find(p => rest.startsWith(p))
+      if (!punctuator) throw new ExpressionError(`Unexpected character "${rest[0]}"`, i)
+      tokens.push({ type: 'punctuator', value: punctuator, position: i })
+      i += punctuator.length
+    }
+  }
+  tokens.push({ type: 'end', position: source.length })
+  return tokens
+}
+
+function readString(source, start) {
+  const quote = source[start]
+  let value = ''
+  for (let i = start + 1; i < source.length; i++) {
+    const char = source[i]
+    if (char === quote) return { value, length: i - start + 1 }
+    if (char === '\\' && i + 1 < source.length) {
+      value += source[++i]
+    } else {
+      value += char
+    }
+  }
+  throw new ExpressionError('Unterminated text', start)
+}
+
+// ---------- Parser ----------
+// Precedence climbs from `?:` through || && == < + * to unary operators
+const BINARY_LEVELS = [['||'], ['&&'], ['==', '!='], ['<', '<=', '>', '>='], ['+', '-'], ['*', '/', '%']]
+const CONSTANTS = { true: true, false: false, null: null }
+
+function parse(source) {
+  const tokens = tokenize(source)
+  let index = 0
+  let depth = 0
+
+  const peek = () => tokens[index]
+  const isPunctuator = (value) => peek().type === 'punctuator' && peek().value === value
+  const expect = (value) => {
+    if (!isPunctuator(value)) throw unexpected()
+    index++
+  }
+  const unexpected = () => {
+    const token = peek()
+    return token.type === 'end'
+      ? new ExpressionError('Unexpected end of expression', token.position)
+      : new ExpressionError(`Unexpected "${token.value}"`, token.position)
+  }
+  const nested = (parseNode) => {
+    if (++depth > MAX_DEPTH) throw new ExpressionError('Expression is nested too deeply', peek().position)
+    const node = parseNode()
+    depth--
+    return node
+  }
+
+  function parseExpression() {
+    return nested(() => {
+      const test = parseBinary(0)
+      if (!isPunctuator('?')) return test
+      index++
+      const then = parseExpression()
+      expect(':')
+      return { type: 'conditional', test, then, else: parseExpression() }
+    })
+  }
+
+  function parseBinary(level) {
+    if (level === BINARY_LEVELS.length) return parseUnary()
+    let left = parseBinary(level + 1)
+    while (peek().type === 'punctuator' && BINARY_LEVELS[level].includes(peek().value)) {
+      const op = tokens[index++].value
+      left = { type: 'binary', op, left, right: parseBinary(level + 1) }
+    }
+    return left
+  }
+
+  function parseUnary() {
+    if (isPunctuator('!') || isPunctuator('-')) {
+      const op = tokens[index++].value
+      return nested(() => ({ type: 'unary', op, argument: parseUnary() }))
+    }
+    return parsePrimary()
+  }
+
+  function parsePrimary() {
+    const token = peek()
+    if (token.type === 'number' || token.type === 'string') {
+      index++
+      return { type: 'literal', value: token.value }
+    }
+    if (isPunctuator('(')) {
+      index++
+      const node = parseExpression()
+      expect(')')
+      return node
+    }
+    if (token.type !== 'name') throw unexpected()
+    index++
+
+    if (Object.prototype.hasOwnProperty.call(CONSTANTS, token.value)) {
+      return { type: 'literal', value: CONSTANTS[token.value] }
+    }
+    if (isPunctuator('(')) {
+      if (!Object.prototype.hasOwnProperty.call(FUNCTIONS, token.value)) {
+        throw new ExpressionError(`Unknown function "${token.value}"`, token.position)
+      }
+      index++
+      const args = []
+      while (!isPunctuator(')')) {
+        if (args.length > 0) expect(',')
+        args.push(parseExpression())
+      }
+      index++
+      return { type: 'call', name: token.value, args }
+    }
+
+    const path = [token.value]
+    while (isPunctuator('.')) {
+      index++
+      if (peek().type !== 'name') throw unexpected()
+      path.push(tokens[index++].value)
+    }
+    return { type: 'field', path }
+  }
+
+  const ast = parseExpression()
+  if (peek().type !== 'end') throw unexpected()
+  return ast
+}
+
+// ---------- Evaluation ----------
+function evaluateNode(node, data) {
+  switch (node.type) {
+    case 'literal':
+      return node.value
+    case 'field':
+      return readField(data, node.path)
+    case 'call':
+      return FUNCTIONS[node.name](...node.args.map(arg => evaluateNode(arg, data)))
+    case 'conditional':
+      return evaluateNode(node.test, data) ? evaluateNode(node.then, data) : evaluateNode(node.else, data)
+    case 'unary': {
+      const value = evaluateNode(node.argument, data)
+      return node.op === '!' ? !value : isNumber(value) ? -value : null
+    }
+    case 'binary':
+      return evaluateBinary(node, data)
+    default:
+      return null
+  }
+}
+
+function evaluateBinary({ op, left, right }, data) {
+  // && and || only evaluate their right side when needed
+  if (op === '&&') {
+    const value = evaluateNode(left, data)
+    return value ? evaluateNode(right, data) : value
+  }
+  if (op === '||') {
+    const value = evaluateNode(left, data)
+    return value || evaluateNode(right, data)
+  }
+
+  const a = evaluateNode(left, data)
+  const b = evaluateNode(right, data)
+  switch (op) {
+    case '==':
+      return a === b
+    case '!=':
+      return a !== b
+    case '<':
+    case '<=':
+    case '>':
+    case '>=':
+      return compare(op, a, b)
+    case '+':
+      if (typeof a === 'string' || typeof b === 'string') return toText(a) + toText(b)
+      return isNumber(a) && isNumber(b) ? finite(a + b) : null
+    default:
+      return isNumber(a) && isNumber(b) ? finite(arithmetic(op, a, b)) : null
+  }
+}
+
+function arithmetic(op, a, b) {
+  switch (op) {
+    case '-':
+      return a - b
+    case '*':
+      return a * b
+    case '/':
+      return a / b
+    case '%':
+      return a % b
+    default:
+      return null
+  }
+}
+
+// Numbers compare with numbers and text with text; anything else is false
+function compare(op, a, b) {
+  const comparable = (isNumber(a) && isNumber(b)) || (typeof a === 'string' && typeof b === 'string')
+  if (!comparable) return false
+  if (op === '<') return a < b
+  if (op === '<=') return a <= b
+  if (op === '>') return a > b
+  return a >= b
+}
+
+// Top-level names an expression reads, e.g. ['quantity', 'address']
+function fieldsOf(node, names = new Set()) {
+  if (node.type === 'field') names.add(node.path[0])
+  for (const child of [node.argument, node.left, node.right, node.test, node.then, node.else, ...(node.args || [])]) {
+    if (child) fieldsOf(child, names)
+  }
+  return names
+}
+
+// ---------- Compiling ----------
+const compiled = new Map()
+
+// Parses `source` once, throwing an ExpressionError when it isn't valid:
+//   { source, fields, evaluate(data) }
+function compileExpression(source) {
+  if (typeof source !== 'string') throw new ExpressionError('Expression must be text')
+  if (source.length > MAX_LENGTH) throw new ExpressionError(`Expression is longer than ${MAX_LENGTH} characters`)
+  if (compiled.has(source)) return compiled.get(source)
+
+  const ast = parse(source)
+  const expression = {
+    source,
+    fields: [...fieldsOf(ast)],
+    evaluate: (data) => {
+      const value = evaluateNode(ast, data || {})
+      return value === undefined ? null : value
+    }
+  }
+  compiled.set(source, expression)
+  return expression
+}
+
+function evaluateExpression(source, data) {
+  return compileExpression(source).evaluate(data)
+}
+
+module.exports = {
+  MAX_LENGTH,
+  FUNCTIONS,
+  ExpressionError,
+  compileExpression,
+  evaluateExpression
+}
@@ -0,0 +1,409 @@
+/**
+ * Canonical formJson compiler + formJson meta-schema
+ * Used by both frontend and backend
+ *
+ * formJsonToJsonSchema is the only formJson -> JSON Schema converter, so the
+ * client and the server accept exactly the same payloads.
+ *
+ * formJsonMetaSchema describes formJson itself. It is plain JSON Schema
+ * (draft-07) so each side compiles it with its own AJV instance;
+ * formJsonProblems adds the checks JSON Schema cannot express.
+ *
+ * Besides value fields there are
+ *   { type: 'object', fields: [...] }              a group of named sub-fields
+ *   { type: 'array', items: {...}, minItems, maxItems }  repeated items; `items`
+ *     is a field definition without a name, e.g. { type: 'object', fields: [...] }
+ *   { type: 'file', accept, maxSize, multiple }     upload references, see ./uploads
+ * Sub-fields' conditions reference the other fields of the same group or item.
+ * `compute` / `computeDefault` derive a field's value from others, see ./computed
+ * Top-level selects may load their options with `optionsSource`, see ./optionsSources
+ * `readOnlyFor` / `hiddenFor` and option `allowedRoles` restrict fields by role,
+ * see ./permissions; `readOnly` marks a field read-only in a caller's view of them
+ * Password fields and `writeOnly: true` fields are never stored or returned, see ./writeOnly
+ *
+ * Texts (label, description, placeholder, option labels) may be locale maps,
+ * see ./i18n; the compiler takes the locale to produce titles in.
+ */
+
+const {
+  isConditionallyRequired,
+  conditionalRequiredSchemas,
+  conditionProblems
+} = require('./conditions')
+const { DEFAULT_LOCALE, LOCALE_PATTERN, localize } = require('./i18n')
+const { uploadRefSchema } = require('./uploads')
+const { MAX_LENGTH } = require('./expressions')
+const { computeProblems, computeCycle } = require('./computed')
+const { MAX_OPTIONS_PAGE_SIZE, optionsSourceProblems } = require('./optionsSources')
+const { permissionProblems } = require('./permissions')
+
+const FIELD_TYPES = [
+  'string',
+  'text',
+  'textarea',
+  'email',
+  'password',
+  'number',
+  'integer',
+  'select',
+  'radio',
+  'boolean',
+  'date',
+  'object',
+  'array',
+  'file'
+]
+
+// ---------- Schema Generator (action.formJson -> JSON Schema) ----------
+function fieldToJsonSchema(field, locale) {
+  const prop = {}
+
+  switch (field.type) {
+    case 'string':
+    case 'text':
+    case 'textarea':
+    case 'email':
+    case 'password':
+      prop.type = 'string'
+      if (field.type === 'email') prop.format = 'email'
+      if (field.format) prop.format = field.format
+      if (field.minLength !== undefined) prop.minLength = field.minLength
+      if (field.maxLength !== undefined) prop.maxLength = field.maxLength
+      if (field.pattern) prop.pattern = field.pattern
+      break
+    case 'number':
+    case 'integer':
+      prop.type = field.type
+      if (field.minimum !== undefined) prop.minimum = field.minimum
+      if (field.maximum !== undefined) prop.maximum = field.maximum
+      break
+    case 'select':
+    case 'radio': {
+      // Loaded options are checked by the server against their source
+      if (field.optionsSource) {
+        prop.type = 'string'
+        break
+      }
+      // Mixed option value types are left to `enum` alone
+      const types = new Set(field.options.map(o => typeof o.value))
+      if (types.size === 1) prop.type = [...types][0]
+      prop.enum = field.options.map(o => o.value)
+      prop.oneOf = field.options.map(o => ({ const: o.value, title: localize(o.label, locale) ?? String(o.value) }))
+      break
+    }
+    case 'boolean':
+      prop.type = 'boolean'
+      break
+    case 'date':
+      prop.type = 'string'
+      prop.format = 'date'
+      break
+    case 'object':
+      Object.assign(prop, fieldsToJsonSchema(field.fields, locale))
+      break
+    case 'array':
+      prop.type = 'array'
+      prop.items = fieldToJsonSchema(field.items, locale)
+      if (field.minItems !== undefined) prop.minItems = field.minItems
+      if (field.maxItems !== undefined) prop.maxItems = field.maxItems
+      break
+    case 'file':
+      Object.assign(prop, field.multiple ? { type: 'array', items: uploadRefSchema(field) } : uploadRefSchema(field))
+      break
+    default:
+      prop.type = 'string'
+  }
+
+  if (field.default !== undefined) prop.default = field.default
+  if (field.compute !== undefined || field.readOnly) prop.readOnly = true
+  if (field.label) prop.title = localize(field.label, locale)
+  if (field.description) prop.description = localize(field.description, locale)
+
+  return prop
+}
+
+// The form itself and every object group
+function fieldsToJsonSchema(fields, locale) {
+  const schema = {
+    type: 'object',
+    properties: {},
+    required: []
+  }
+
+  for (const field of fields) {
+    schema.properties[field.name] = fieldToJsonSchema(field, locale)
+    if (field.required && !isConditionallyRequired(field)) schema.required.push(field.name)
+  }
+
+  // visibleWhen / hiddenWhen / requiredWhen -> if/then
+  const conditional = conditionalRequiredSchemas(fields)
+  if (conditional.length > 0) schema.allOf = conditional
+
+  return schema
+}
+
+function formJsonToJsonSchema(formJson, title = 'Form', locale = DEFAULT_LOCALE) {
+  return { title, ...fieldsToJsonSchema(formJson, locale) }
+}
+
+// ---------- formJson Meta-Schema ----------
+const STRING_TYPES = ['string', 'text', 'textarea', 'email', 'password']
+
+// What a value of each type may be constrained with; shared by fields and array items
+const valueProperties = {
+  type: { enum: FIELD_TYPES },
+  label: { $ref: '#/definitions/text' },
+  description: { $ref: '#/definitions/text' },
+  placeholder: { $ref: '#/definitions/text' },
+  default: {},
+  format: { type: 'string' },
+  pattern: { type: 'string', format: 'regex' },
+  minLength: { type: 'integer', minimum: 0 },
+  maxLength: { type: 'integer', minimum: 0 },
+  minimum: { type: 'number' },
+  maximum: { type: 'number' },
+  options: { type: 'array', items: { $ref: '#/definitions/option' }, minItems: 1 },
+  fields: { type: 'array', items: { $ref: '#/definitions/nestedField' }, minItems: 1 },
+  items: { $ref: '#/definitions/item' },
+  minItems: { type: 'integer', minimum: 0 },
+  maxItems: { type: 'integer', minimum: 0 },
+  // ".pdf,image/*", like the HTML attribute
+  accept: { type: 'string', minLength: 1 },
+  maxSize: { type: 'integer', minimum: 1 },
+  multiple: { type: 'boolean' },
+  // Taken by the handler but never stored or returned, see ./writeOnly
+  writeOnly: { type: 'boolean' }
+}
+
+const namedFieldProperties = {
+  name: { type: 'string', pattern: '^[A-Za-z_$][\\w$-]*$' },
+  ...valueProperties,
+  required: { type: 'boolean' },
+  visibleWhen: { $ref: '#/definitions/condition' },
+  hiddenWhen: { $ref: '#/definitions/condition' },
+  enabledWhen: { $ref: '#/definitions/condition' },
+  requiredWhen: { $ref: '#/definitions/condition' },
+  compute: { $ref: '#/definitions/expression' },
+  computeDefault: { $ref: '#/definitions/expression' },
+  readOnlyFor: { $ref: '#/definitions/roles' },
+  hiddenFor: { $ref: '#/definitions/roles' }
+}
+
+const typeRules = [
+  {
+    if: { properties: { type: { enum: ['select', 'radio'] } } },
+    then: { anyOf: [{ required: ['options'] }, { required: ['optionsSource'] }] },
+    else: { not: { required: ['options'] } }
+  },
+  // Static or loaded options; only selects load them
+  {
+    if: { properties: { type: { const: 'select' } } },
+    then: { not: { required: ['options', 'optionsSource'] } },
+    else: { not: { required: ['optionsSource'] } }
+  },
+  {
+    if: { properties: { type: { enum: ['number', 'integer'] } } },
+    else: { not: { anyOf: [{ required: ['minimum'] }, { required: ['maximum'] }] } }
+  },
+  {
+    if: { properties: { type: { enum: STRING_TYPES } } },
+    else: {
+      not: {
+        anyOf: [
+          { required: ['minLength'] },
+          { required: ['maxLength'] },
+          { required: ['pattern'] },
+          { required: ['format'] }
+        ]
+      }
+    }
+  },
+  {
+    if: { properties: { type: { const: 'object' } } },
+    then: { required: ['fields'] },
+    else: { not: { required: ['fields'] } }
+  },
+  {
+    if: { properties: { type: { const: 'array' } } },
+    then: { required: ['items'] },
+    else: { not: { anyOf: [{ required: ['items'] }, { required: ['minItems'] }, { required: ['maxItems'] }] } }
+  },
+  {
+    if: { properties: { type: { const: 'file' } } },
+    else: { not: { anyOf: [{ required: ['accept'] }, { required: ['maxSize'] }, { required: ['multiple'] }] } }
+  },
+  // Groups, items and uploads aren't computed; a field is computed one way at most
+  {
+    if: { properties: { type: { enum: ['object', 'array', 'file'] } } },
+    then: { not: { anyOf: [{ required: ['compute'] }, { required: ['computeDefault'] }] } },
+    else: { not: { required: ['compute', 'computeDefault'] } }
+  }
+]
+
+const formJsonMetaSchema = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  $id: 'https://forms.local/schemas/formJson.json',
+  title: 'formJson',
+  description: 'Field definitions of a dynamic form action',
+  type: 'array',
+  items: { $ref: '#/definitions/field' },
+  definitions: {
+    // A string, or translations keyed by locale: { en: 'Email', de: 'E-Mail' }
+    text: {
+      oneOf: [
+        { type: 'string' },
+        {
+          type: 'object',
+          propertyNames: { pattern: LOCALE_PATTERN },
+          additionalProperties: { type: 'string' },
+          minProperties: 1
+        }
+      ]
+    },
+    // See ./expressions
+    expression: { type: 'string', minLength: 1, maxLength: MAX_LENGTH },
+    clause: {
+      type: 'object',
+      required: ['field'],
+      properties: {
+        field: { type: 'string' },
+        equals: {},
+        notEquals: {},
+        in: { type: 'array' }
+      },
+      additionalProperties: false,
+      minProperties: 2,
+      maxProperties: 2
+    },
+    condition: {
+      oneOf: [
+        { $ref: '#/definitions/clause' },
+        { type: 'array', items: { $ref: '#/definitions/clause' }, minItems: 1 }
+      ]
+    },
+    option: {
+      type: 'object',
+      required: ['value'],
+      properties: {
+        value: { anyOf: [{ type: 'string' }, { type: 'number' }, { type: 'boolean' }] },
+        label: { $ref: '#/definitions/text' },
+        allowedRoles: { $ref: '#/definitions/roles' }
+      },
+      additionalProperties: false
+    },
+    roles: { type: 'array', items: { type: 'string', minLength: 1 }, minItems: 1, uniqueItems: true },
+    // A top-level field
+    field: {
+      type: 'object',
+      required: ['name', 'type'],
+      properties: {
+        ...namedFieldProperties,
+        // Step names become machine state keys ("hist" is the history state)
+        step: { type: 'string', pattern: '^[\\w-]+$', not: { const: 'hist' } },
+        // Options from the action's `optionSources[name]`
+        optionsSource: {
+          oneOf: [
+            { const: true },
+            {
+              type: 'object',
+              properties: {
+                dependsOn: { type: 'array', items: { type: 'string' }, minItems: 1, uniqueItems: true },
+                pageSize: { type: 'integer', minimum: 1, maximum: MAX_OPTIONS_PAGE_SIZE }
+              },
+              additionalProperties: false
+            }
+          ]
+        },
+        // Server-side check through the action's `asyncValidators[name]`
+        asyncValidate: {
+          oneOf: [
+            { const: true },
+            {
+              type: 'object',
+              properties: { debounceMs: { type: 'integer', minimum: 0 } },
+              additionalProperties: false
+            }
+          ]
+        }
+      },
+      additionalProperties: false,
+      allOf: typeRules
+    },
+    // A field of an object group; steps and async checks are for top-level fields only
+    nestedField: {
+      type: 'object',
+      required: ['name', 'type'],
+      properties: namedFieldProperties,
+      additionalProperties: false,
+      allOf: typeRules
+    },
+    // The unnamed definition of each item of an array field
+    item: {
+      type: 'object',
+      required: ['type'],
+      properties: valueProperties,
+      additionalProperties: false,
+      allOf: typeRules
+    }
+  }
+}
+
+// ---------- Semantic Checks ----------
+// Problems the meta-schema cannot express; expects formJson that passed it.
+// Nested fields are named by their path: "address.street", "lineItems[].sku"
+function formJsonProblems(formJson) {
+  const problems = []
+  fieldsProblems(formJson, '', problems)
+  return problems
+}
+
+function fieldsProblems(fields, prefix, problems) {
+  const names = fields.map(f => f.name)
+
+  fields.forEach((field, i) => {
+    const path = `${prefix}${field.name}`
+    if (names.indexOf(field.name) !== i) {
+      problems.push(`duplicate field "${path}"`)
+    }
+    valueProblems(field, path, problems)
+    problems.push(...conditionProblems(field, names, path))
+    problems.push(...computeProblems(field, names, path))
+    problems.push(...optionsSourceProblems(field, names, path))
+    problems.push(...permissionProblems(field, path))
+  })
+
+  const cycle = computeCycle(fields)
+  if (cycle) {
+    problems.push(`computed fields ${cycle.map(name => `"${prefix}${name}"`).join(', ')} depend on each other`)
+  }
+}
+
+function valueProblems(field, path, problems) {
+  if (field.minimum !== undefined && field.maximum !== undefined && field.minimum > field.maximum) {
+    problems.push(`${path}: minimum is greater than maximum`)
+  }
+  if (field.minLength !== undefined && field.maxLength !== undefined && field.minLength > field.maxLength) {
+    problems.push(`${path}: minLength is greater than maxLength`)
+  }
+  if (field.minItems !== undefined && field.maxItems !== undefined && field.minItems > field.maxItems) {
+    problems.push(`${path}: minItems is greater than maxItems`)
+  }
+  if (field.options) {
+    const values = field.options.map(o => o.value)
+    if (new Set(values).size !== values.length) {
+      problems.push(`${path}: option values must be unique`)
+    }
+    if (field.default !== undefined && !values.includes(field.default)) {
+      problems.push(`${path}: default is not one of the options`)
+    }
+  }
+  if (field.type === 'object') fieldsProblems(field.fields, `${path}.`, problems)
+  if (field.type === 'array') valueProblems(field.items, `${path}[]`, problems)
+}
+
+module.exports = {
+  FIELD_TYPES,
+  formJsonMetaSchema,
+  formJsonProblems,
+  formJsonToJsonSchema
+}
@@ -1,90 +1,138 @@
 /**
  * Shared XState machine definition + schema generator
  * Used by both frontend and backend
+ *
+ * formJsonToJsonSchema lives in ./formJson and is re-exported here.
  */
 
-// ---------- Schema Generator (action.formJson -> JSON Schema) ----------
-function formJsonToJsonSchema(formJson, title = 'Form') {
-  const schema = {
-    type: 'object',
-    properties: {},
-    required: []
-  }
+const { fieldToRule } = require('./conditions')
+const { formJsonToJsonSchema } = require('./formJson')
+const { DEFAULT_LOCALE, localize } = require('./i18n')
+const { optionsSourceOf } = require('./optionsSources')
+
+// ---------- Wizard Steps ----------
+// Fields are grouped into steps with `step: 'name'`. A field without a `step`
+// stays on the same step as the field before it. Steps keep the order in
+// which they first appear; forms without any `step` have no steps.
+function getFormSteps(formJson) {
+  if (!formJson.some(field => field.step)) return []
 
+  const steps = []
+  let current = null
   for (const field of formJson) {
-    const prop = {}
-    
-    switch (field.type) {
-      case 'string':
-      case 'text': 
-        prop.type = 'string'
-        if (field.minLength) prop.minLength = field.minLength
-        if (field.maxLength) prop.maxLength = field.maxLength
-        if (field. pattern) prop.pattern = field.pattern
-        break
-      case 'email':
-        prop. type = 'string'
-        prop. format = 'email'
-        break
-      case 'number':
-      case 'integer': 
-        prop.type = field.type
-        if (field.minimum !== undefined) prop.minimum = field.minimum
-        if (field. maximum !== undefined) prop.maximum = field. maximum
-        break
-      case 'select':
-        prop. type = 'string'
-        prop. enum = field.options. map(o => o.value)
-        prop.oneOf = field.options.map(o => ({ const: o.value, title: o.label }))
-        break
-      case 'boolean':
-        prop. type = 'boolean'
-        break
-      case 'date':
-        prop. type = 'string'
-        prop. format = 'date'
-        break
-      default:
-        prop. type = 'string'
+    const name = field.step || (current ? current.name : formJson.find(f => f.step).step)
+    current = steps.find(s => s.name === name)
+    if (!current) {
+      current = { name, label: name, fields: [] }
+      steps.push(current)
     }
-
-    if (field.default !== undefined) prop.default = field. default
-    if (field.label) prop.title = field.label
-    if (field.description) prop.description = field.description
-
-    schema.properties[field.name] = prop
-    if (field.required) schema.required.push(field.name)
+    current.fields.push(field.name)
   }
 
-  return schema
+  return steps
 }
 
 // ---------- UI Schema for JSON Forms ----------
-function formJsonToUiSchema(formJson) {
-  const elements = formJson.map(field => {
-    const element = {
-      type: 'Control',
-      scope: `#/properties/${field.name}`
+// `scope` is the scope of the group the field belongs to; array items get a
+// `detail` layout whose scopes start over at the item. Texts are in `locale`.
+function fieldToControl(field, locale, scope = '#') {
+  const fieldScope = `${scope}/properties/${field.name}`
+
+  // Object groups are a labelled Group of their fields
+  if (field.type === 'object') {
+    const group = {
+      type: 'Group',
+      label: localize(field.label, locale) || field.name,
+      elements: field.fields.map(sub => fieldToControl(sub, locale, fieldScope))
     }
+    const rule = fieldToRule(field, scope)
+    if (rule) group.rule = rule
+    return group
+  }
+
+  const element = {
+    type: 'Control',
+    scope: fieldScope
+  }
 
-    // JSON Forms options
-    if (field.placeholder) {
-      element.options = { placeholder: field.placeholder }
+  // JSON Forms options
+  if (field.placeholder) {
+    element.options = { placeholder: localize(field.placeholder, locale) }
+  }
+  if (field. type === 'textarea') {
+    element.options = { ... element.options, multi: true }
+  }
+  if (field.type === 'file') {
+    element.options = {
+      ...element.options,
+      format: 'file',
+      accept: field.accept,
+      maxSize: field.maxSize,
+      multiple: !!field.multiple
     }
-    if (field. type === 'textarea') {
-      element.options = { ... element.options, multi: true }
+  }
+  // Loaded from GET /api/actions/:id/fields/:name/options
+  if (field.optionsSource) {
+    element.options = { ...element.options, optionsSource: optionsSourceOf(field) }
+  }
+  // `compute` fields are derived, never typed in; `readOnly` ones are so for the caller
+  if (field.compute !== undefined || field.readOnly) {
+    element.options = { ...element.options, readonly: true }
+  }
+  if (field.type === 'array' && field.items.type === 'object') {
+    element.options = {
+      ...element.options,
+      detail: { type: 'VerticalLayout', elements: field.items.fields.map(sub => fieldToControl(sub, locale)) }
     }
+  }
 
-    return element
-  })
+  // visibleWhen / hiddenWhen / enabledWhen
+  const rule = fieldToRule(field, scope)
+  if (rule) element.rule = rule
+
+  return element
+}
+
+function formJsonToUiSchema(formJson, locale = DEFAULT_LOCALE) {
+  const steps = getFormSteps(formJson)
+
+  // Stepped forms become a JSON Forms Categorization rendered as a stepper
+  if (steps.length > 0) {
+    return {
+      type: 'Categorization',
+      options: { variant: 'stepper', showNavButtons: true },
+      elements: steps.map(step => ({
+        type: 'Category',
+        label: step.label,
+        elements: step.fields.map(name => fieldToControl(formJson.find(f => f.name === name), locale))
+      }))
+    }
+  }
 
   return {
     type: 'VerticalLayout',
-    elements
+    elements: formJson.map(field => fieldToControl(field, locale))
   }
 }
 
 // ---------- Machine Definition (serializable) ----------
+// Array field items are edited with path events (see ./formPaths):
+// ADD_ITEM { path, value?, index? }, REMOVE_ITEM { path, index }, MOVE_ITEM { path, from, to }
+// A submit whose handler returned a background job (`isJob`) waits in `processing`;
+// the `watchJob` service reports JOB_PROGRESS { job }, then JOB_SUCCEEDED { job, data }
+// or JOB_FAILED { job, data } with the same `data` as the submit's done / error event.
+// CANCEL while submitting stops the submit (`cancelSubmit` aborts its request) and
+// returns to editing with `context.cancelled` set, until the next submit.
+// A transient failure (see ./retry) that `canRetry` allows waits in `retrying`:
+// `scheduleRetry` counts it in `context.retryCount` and sets `nextRetryAt`, and
+// the RETRY_DELAY delay submits again then. RETRY submits right away, CANCEL
+// stops retrying. A new SUBMIT, or RETRY after `error`, starts counting over.
+const ITEM_EVENTS = {
+  ADD_ITEM: { cond: 'canAddItem', actions: ['addItem', 'clearFieldError'] },
+  REMOVE_ITEM: { cond: 'canRemoveItem', actions: ['removeItem', 'clearFieldError'] },
+  MOVE_ITEM: { cond: 'canMoveItem', actions: ['moveItem', 'clearFieldError'] }
+}
+
 const formMachineDefinition = {
   id: 'dynamicForm',
   initial: 'idle',
@@ -94,6 +142,10 @@ const formMachineDefinition = {
     errors: {},
     serverErrors: {},
     isSubmitting: false,
+    cancelled: false,
+    retryCount: 0,
+    nextRetryAt: null,
+    job: null,
     result: null
   },
   states: {
@@ -110,8 +162,10 @@ const formMachineDefinition = {
         CHANGE: {
           actions: ['updateField', 'clearFieldError']
         },
+        ...ITEM_EVENTS,
         SUBMIT:  {
-          target:  'validating'
+          target:  'validating',
+          actions: ['resetRetries']
         }
       }
     },
@@ -122,17 +176,37 @@ const formMachineDefinition = {
       ]
     },
     submitting: {
-      entry: ['setSubmitting'],
+      entry: ['setSubmitting', 'clearCancelled'],
+      on: {
+        CANCEL: { target: 'editing', actions: ['cancelSubmit', 'clearSubmitting', 'setCancelled'] }
+      },
       invoke: {
         src: 'submitForm',
-        onDone: {
-          target: 'success',
-          actions: ['setResult', 'clearSubmitting']
-        },
-        onError:  {
-          target:  'error',
-          actions: ['setServerErrors', 'clearSubmitting']
-        }
+        onDone: [
+          { target: 'processing', cond: 'isJob', actions: ['setJob', 'clearSubmitting'] },
+          { target: 'success', actions: ['setResult', 'clearSubmitting'] }
+        ],
+        onError: [
+          { target: 'retrying', cond: 'canRetry', actions: ['setServerErrors', 'clearSubmitting', 'scheduleRetry'] },
+          { target: 'error', actions: ['setServerErrors', 'clearSubmitting'] }
+        ]
+      }
+    },
+    retrying: {
+      after: {
+        RETRY_DELAY: { target: 'submitting', actions: ['clearRetry'] }
+      },
+      on: {
+        RETRY: { target: 'submitting', actions: ['clearRetry'] },
+        CANCEL: { target: 'editing', actions: ['clearRetry', 'setCancelled'] }
+      }
+    },
+    processing: {
+      invoke: { src: 'watchJob' },
+      on: {
+        JOB_PROGRESS: { actions: ['updateJob'] },
+        JOB_SUCCEEDED: { target: 'success', actions: ['updateJob', 'setResult'] },
+        JOB_FAILED: { target: 'error', actions: ['updateJob', 'setServerErrors'] }
       }
     },
     success:  {
@@ -146,14 +220,180 @@ const formMachineDefinition = {
           target: 'editing',
           actions:  ['updateField', 'clearFieldError']
         },
-        RETRY: { target: 'validating' }
+        ADD_ITEM: { ...ITEM_EVENTS.ADD_ITEM, target: 'editing' },
+        REMOVE_ITEM: { ...ITEM_EVENTS.REMOVE_ITEM, target: 'editing' },
+        MOVE_ITEM: { ...ITEM_EVENTS.MOVE_ITEM, target: 'editing' },
+        RETRY: { target: 'validating', actions: ['resetRetries'] }
       }
     }
   }
 }
 
+// ---------- Stepped Machine Definition ----------
+// Replaces `editing` with one substate per step:
+// - NEXT moves forward once the current step's fields are valid (`isStepValid`),
+//   otherwise `setStepErrors` stores that step's errors
+// - BACK moves to the previous step
+// - GOTO_STEP { step } jumps to a step if `canGotoStep` allows it
+// Guards and actions receive the step name as `cond.step` / `action.step`.
+// A failed or cancelled SUBMIT returns to the step the user was on.
+
+// Transitions to `editing` as transitions to the step it was left on
+const backToStep = (on) => Object.fromEntries(Object.entries(on).map(([type, transition]) =>
+  [type, transition.target === 'editing' ? { ...transition, target: 'editing.hist' } : transition]
+))
+
+function withSteps(definition, steps) {
+  const stepStates = {}
+  steps.forEach((step, i) => {
+    const on = {}
+    const next = steps[i + 1]
+    const prev = steps[i - 1]
+    if (next) {
+      on.NEXT = [
+        { target: next.name, cond: { type: 'isStepValid', step: step.name } },
+        { actions: [{ type: 'setStepErrors', step: step.name }] }
+      ]
+    }
+    if (prev) on.BACK = { target: prev.name }
+
+    stepStates[step.name] = {
+      entry: [{ type: 'setCurrentStep', step: step.name }],
+      on
+    }
+  })
+
+  const { states } = definition
+  return {
+    ...definition,
+    context: {
+      ...definition.context,
+      steps,
+      currentStep: steps[0].name
+    },
+    states: {
+      ...states,
+      editing: {
+        ...states.editing,
+        initial: steps[0].name,
+        on: {
+          ...states.editing.on,
+          GOTO_STEP: steps.map(step => ({
+            target: `.${step.name}`,
+            cond: { type: 'canGotoStep', step: step.name }
+          }))
+        },
+        states: {
+          ...stepStates,
+          hist: { type: 'history' }
+        }
+      },
+      validating: {
+        always: [
+          { target: 'submitting', cond: 'isValid' },
+          { target: 'editing.hist' }
+        ]
+      },
+      // Cancelling, and edits after a failed submit, go back to the step the user was on
+      submitting: { ...states.submitting, on: backToStep(states.submitting.on) },
+      retrying: { ...states.retrying, on: backToStep(states.retrying.on) },
+      error: { on: backToStep(states.error.on) }
+    }
+  }
+}
+
+// ---------- Async Field Checks ----------
+// Fields with `asyncValidate: true | { debounceMs }` are checked on the server
+// while the user types. Each gets a region in `checks`:
+//   idle -> debouncing -> checking -> checked | failed
+// A CHANGE of that field (`isChangeOf`) starts over from `debouncing`, which
+// cancels a stale `asyncValidateField` invoke. SUBMIT skips the rest of the debounce.
+// The invoked service reports back with FIELD_CHECKED { field, error } (error is
+// null when valid) or FIELD_CHECK_FAILED { field }; `setFieldCheck` stores the
+// outcome in `context.fieldChecks[field]` as { status, error }.
+const DEFAULT_CHECK_DEBOUNCE_MS = 300
+
+function getAsyncFields(formJson) {
+  return formJson.filter(field => field.asyncValidate)
+}
+
+function asyncCheckStates(formJson) {
+  const states = {}
+  for (const field of getAsyncFields(formJson)) {
+    const { name } = field
+    const debounceMs = field.asyncValidate.debounceMs ?? DEFAULT_CHECK_DEBOUNCE_MS
+    const isCheckOf = { type: 'isCheckOf', field: name }
+
+    states[name] = {
+      initial: 'idle',
+      on: {
+        CHANGE: { target: '.debouncing', internal: false, cond: { type: 'isChangeOf', field: name } }
+      },
+      states: {
+        idle: {},
+        debouncing: {
+          entry: [{ type: 'markFieldPending', field: name }],
+          after: { [debounceMs]: 'checking' },
+          on: { SUBMIT: 'checking' }
+        },
+        checking: {
+          invoke: { src: { type: 'asyncValidateField', field: name } },
+          on: {
+            FIELD_CHECKED: { target: 'checked', cond: isCheckOf, actions: [{ type: 'setFieldCheck', field: name }] },
+            FIELD_CHECK_FAILED: { target: 'failed', cond: isCheckOf, actions: [{ type: 'setFieldCheck', field: name }] }
+          }
+        },
+        checked: {},
+        failed: {}
+      }
+    }
+  }
+  return states
+}
+
+// Runs the form in a `form` region next to the `checks` region. `validating`
+// waits until every check has settled (`areFieldChecksSettled`); `isValid`
+// must also be false while checks are pending or any check reported an error.
+function withAsyncChecks(definition, formJson) {
+  if (getAsyncFields(formJson).length === 0) return definition
+
+  const { id, initial, context, states } = definition
+  const [toSubmitting, toEditing] = states.validating.always
+  return {
+    id,
+    type: 'parallel',
+    context: { ...context, fieldChecks: {} },
+    states: {
+      form: {
+        initial,
+        states: {
+          ...states,
+          validating: {
+            always: [toSubmitting, { ...toEditing, cond: 'areFieldChecksSettled' }]
+          }
+        }
+      },
+      checks: {
+        type: 'parallel',
+        states: asyncCheckStates(formJson)
+      }
+    }
+  }
+}
+
+// ---------- Definition for an action ----------
+function createFormMachineDefinition(formJson = []) {
+  const steps = getFormSteps(formJson)
+  const definition = steps.length > 0 ? withSteps(formMachineDefinition, steps) : formMachineDefinition
+  return withAsyncChecks(definition, formJson)
+}
+
 module.exports = {
   formMachineDefinition,
+  createFormMachineDefinition,
+  getFormSteps,
+  getAsyncFields,
+  withAsyncChecks,
   formJsonToJsonSchema,
   formJsonToUiSchema
-}
\ No newline at end of file
+}
@@ -0,0 +1,149 @@
+/**
+ * Paths into nested form data: object groups and repeatable array fields
+ * Used by both frontend and backend
+ *
+ * A path is a JSON Pointer ("/lineItems/0/sku") or an array of segments
+ * (['lineItems', 0, 'sku']). Updates never mutate, they return new data.
+ *
+ * The ADD_ITEM / REMOVE_ITEM / MOVE_ITEM machine events take the path of an
+ * array field:
+ *   { type: 'ADD_ITEM', path, value?, index? }   value defaults to emptyValue(items)
+ *   { type: 'REMOVE_ITEM', path, index }
+ *   { type: 'MOVE_ITEM', path, from, to }
+ */
+
+const unescapeSegment = (segment) => segment.replace(/~1/g, '/').replace(/~0/g, '~')
+
+function toSegments(path) {
+  if (Array.isArray(path)) return path.map(String)
+  if (typeof path !== 'string' || path === '') return []
+  return path.split('/').slice(1).map(unescapeSegment)
+}
+
+// ---------- Field Definitions ----------
+// Definition of the value at `path`: a field, or the `items` of an array field
+function fieldAtPath(formJson, path) {
+  let fields = formJson
+  let current = null
+  for (const segment of toSegments(path)) {
+    if (current?.type === 'array') {
+      if (!/^\d+$/.test(segment)) return null
+      current = current.items
+    } else {
+      current = (fields || []).find(f => f.name === segment) || null
+    }
+    if (!current) return null
+    fields = current.fields
+  }
+  return current
+}
+
+// Value of a new, untouched field: its default, else an empty value of its type.
+// Object groups get the values of their fields, arrays start with `minItems` items.
+function emptyValue(field) {
+  if (field.default !== undefined) return field.default
+  switch (field.type) {
+    case 'object': {
+      const value = {}
+      for (const sub of field.fields) {
+        const subValue = emptyValue(sub)
+        if (subValue !== undefined) value[sub.name] = subValue
+      }
+      return value
+    }
+    case 'array':
+      return Array.from({ length: field.minItems || 0 }, () => emptyValue(field.items) ?? null)
+    case 'boolean':
+      return false
+    case 'string':
+    case 'text':
+    case 'textarea':
+    case 'email':
+    case 'password':
+      return ''
+    default:
+      return undefined
+  }
+}
+
+// ---------- Reading / Writing ----------
+function getAtPath(data, path) {
+  return toSegments(path).reduce((value, segment) => (value == null ? undefined : value[segment]), data)
+}
+
+function setAtPath(data, path, value) {
+  const [head, ...rest] = toSegments(path)
+  if (head === undefined) return value
+  const child = setAtPath(data?.[head], rest, value)
+  if (Array.isArray(data)) {
+    const next = [...data]
+    next[Number(head)] = child
+    return next
+  }
+  return { ...data, [head]: child }
+}
+
+// ---------- Array Items ----------
+function itemsAt(data, path) {
+  const items = getAtPath(data, path)
+  return Array.isArray(items) ? items : []
+}
+
+function isIndex(index, length) {
+  return Number.isInteger(index) && index >= 0 && index < length
+}
+
+// An item can be added while the array has fewer than `maxItems`
+function canAddItem(formJson, data, path) {
+  const field = fieldAtPath(formJson, path)
+  if (field?.type !== 'array') return false
+  return field.maxItems === undefined || itemsAt(data, path).length < field.maxItems
+}
+
+// An existing item can be removed while the array has more than `minItems`
+function canRemoveItem(formJson, data, path, index) {
+  const field = fieldAtPath(formJson, path)
+  if (field?.type !== 'array') return false
+  const items = itemsAt(data, path)
+  return isIndex(index, items.length) && items.length > (field.minItems || 0)
+}
+
+function canMoveItem(formJson, data, path, from, to) {
+  if (fieldAtPath(formJson, path)?.type !== 'array') return false
+  const { length } = itemsAt(data, path)
+  return isIndex(from, length) && isIndex(to, length)
+}
+
+// Inserts at `index`, or appends
+function addItem(formJson, data, path, value, index) {
+  const items = [...itemsAt(data, path)]
+  const item = value !== undefined ? value : emptyValue(fieldAtPath(formJson, path).items) ?? null
+  items.splice(isIndex(index, items.length) ? index : items.length, 0, item)
+  return setAtPath(data, path, items)
+}
+
+function removeItem(data, path, index) {
+  const items = itemsAt(data, path).filter((_, i) => i !== index)
+  return setAtPath(data, path, items)
+}
+
+function moveItem(data, path, from, to) {
+  const items = [...itemsAt(data, path)]
+  const [item] = items.splice(from, 1)
+  items.splice(to, 0, item)
+  return setAtPath(data, path, items)
+}
+
+module.exports = {
+  toSegments,
+  fieldAtPath,
+  emptyValue,
+  getAtPath,
+  setAtPath,
+  canAddItem,
+  canRemoveItem,
+  canMoveItem,
+  addItem,
+  removeItem,
+  moveItem
+}
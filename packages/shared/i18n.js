@@ -0,0 +1,238 @@
+/**
+ * Locales: translatable formJson texts and validation message catalogs
+ * Used by both frontend and backend
+ *
+ * `label`, `description`, `placeholder` and option labels are either a string
+ * or a locale map:
+ *   { name: 'email', type: 'email', label: { en: 'Email', de: 'E-Mail' } }
+ * A locale map is read through a fallback chain, e.g. de-AT -> de -> en, and
+ * falls back to its first entry when none of those are translated.
+ *
+ * Validation messages come from CATALOGS, keyed by field error code (see
+ * ./problems). Messages interpolate `{name}` params; a `<key>_one` entry is
+ * used instead of `<key>` when `count` is 1.
+ */
+
+const { fieldAtPath } = require('./formPaths')
+
+const DEFAULT_LOCALE = 'en'
+
+const CATALOGS = {
+  en: {
+    value: 'Value',
+    required: '{label} is required',
+    too_short: '{label} must have at least {limit} characters',
+    too_long: '{label} must have at most {limit} characters',
+    too_small: '{label} must be {comparison} {limit}',
+    too_large: '{label} must be {comparison} {limit}',
+    too_few_items_one: '{label} needs at least {limit} item',
+    too_few_items: '{label} needs at least {limit} items',
+    too_many_items_one: '{label} allows at most {limit} item',
+    too_many_items: '{label} allows at most {limit} items',
+    pattern_mismatch: '{label} has an invalid format',
+    invalid_format: '{label} must be a valid {format}',
+    invalid_type: '{label} must be a {type}',
+    invalid_type_integer: '{label} must be a whole number',
+    invalid_option: '{label} must be one of the allowed values',
+    unknown_field: '{label} is not a known field',
+    unknown_upload: '{label} refers to a file that was not uploaded',
+    file_too_large: '{label} must be at most {maxSize}',
+    file_type_not_accepted: '{label} must be a file of type {accept}',
+    mismatch: '{label} must match {other}',
+    not_different: '{label} must differ from {other}',
+    out_of_order: '{label} must be {comparison} {other}',
+    at_least_one: 'Fill in at least one of {fields}',
+    not_permitted: 'You may not change {label}',
+    option_not_permitted: 'You may not choose this value for {label}',
+    invalid: '{label} is invalid'
+  },
+  de: {
+    value: 'Wert',
+    required: '{label} ist erforderlich',
+    too_short: '{label} muss mindestens {limit} Zeichen lang sein',
+    too_long: '{label} darf höchstens {limit} Zeichen lang sein',
+    too_small: '{label} muss {comparison} {limit} sein',
+    too_large: '{label} muss {comparison} {limit} sein',
+    too_few_items_one: '{label} braucht mindestens {limit} Eintrag',
+    too_few_items: '{label} braucht mindestens {limit} Einträge',
+    too_many_items_one: '{label} erlaubt höchstens {limit} Eintrag',
+    too_many_items: '{label} erlaubt höchstens {limit} Einträge',
+    pattern_mismatch: '{label} hat ein ungültiges Format',
+    invalid_format: '{label} muss ein gültiges {format}-Format haben',
+    invalid_type: '{label} muss vom Typ {type} sein',
+    invalid_type_integer: '{label} muss eine ganze Zahl sein',
+    invalid_option: '{label} muss einer der erlaubten Werte sein',
+    unknown_field: '{label} ist kein bekanntes Feld',
+    unknown_upload: '{label} verweist auf eine Datei, die nicht hochgeladen wurde',
+    file_too_large: '{label} darf höchstens {maxSize} groß sein',
+    file_type_not_accepted: '{label} muss eine Datei vom Typ {accept} sein',
+    mismatch: '{label} muss mit {other} übereinstimmen',
+    not_different: '{label} muss sich von {other} unterscheiden',
+    out_of_order: '{label} muss {comparison} {other} sein',
+    at_least_one: 'Mindestens eines von {fields} muss ausgefüllt sein',
+    not_permitted: 'Sie dürfen {label} nicht ändern',
+    option_not_permitted: 'Diesen Wert dürfen Sie für {label} nicht wählen',
+    invalid: '{label} ist ungültig'
+  }
+}
+
+const LOCALE_PATTERN = '^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$'
+
+// ---------- Locale Negotiation ----------
+// 'de-AT' -> ['de-AT', 'de', 'en']
+function localeChain(locale = DEFAULT_LOCALE) {
+  const chain = []
+  const parts = String(locale).split('-')
+  for (let i = parts.length; i > 0; i--) chain.push(parts.slice(0, i).join('-'))
+  if (!chain.includes(DEFAULT_LOCALE)) chain.push(DEFAULT_LOCALE)
+  return chain
+}
+
+// Best of `available` for an Accept-Language header, by quality and then order;
+// a language range also matches its more specific and less specific locales
+function negotiateLocale(acceptLanguage, available = Object.keys(CATALOGS)) {
+  const ranges = String(acceptLanguage || '')
+    .split(',')
+    .map((part, index) => {
+      const [range, ...params] = part.trim().split(';')
+      const q = params.map(p => p.trim()).find(p => p.startsWith('q='))
+      return { range: range.trim().toLowerCase(), q: q ? Number(q.slice(2)) : 1, index }
+    })
+    .filter(r => r.range && r.range !== '*' && r.q > 0)
+    .sort((a, b) => b.q - a.q || a.index - b.index)
+
+  const lower = available.map(locale => locale.toLowerCase())
+  for (const { range } of ranges) {
+    for (const candidate of localeChain(range).slice(0, -1)) {
+      const i = lower.indexOf(candidate)
+      if (i !== -1) return available[i]
+    }
+    const i = lower.findIndex(locale => locale.startsWith(`${range}-`))
+    if (i !== -1) return available[i]
+  }
+  return DEFAULT_LOCALE
+}
+
+// ---------- formJson Texts ----------
+function localize(text, locale) {
+  if (text == null || typeof text === 'string') return text
+  const found = localeChain(locale).find(l => typeof text[l] === 'string')
+  return found ? text[found] : Object.values(text)[0]
+}
+
+// The formJson with every text in one locale, as the pre-i18n string form
+function localizeFormJson(formJson, locale) {
+  return formJson.map(field => localizeField(field, locale))
+}
+
+function localizeField(field, locale) {
+  const localized = { ...field }
+  for (const key of ['label', 'description', 'placeholder']) {
+    if (field[key] !== undefined) localized[key] = localize(field[key], locale)
+  }
+  if (field.options) {
+    localized.options = field.options.map(o => (o.label === undefined ? o : { ...o, label: localize(o.label, locale) }))
+  }
+  if (field.fields) localized.fields = localizeFormJson(field.fields, locale)
+  if (field.items) localized.items = localizeField(field.items, locale)
+  return localized
+}
+
+// Every locale some text of the formJson is translated to
+function formJsonLocales(formJson) {
+  const locales = new Set()
+  const collect = (text) => {
+    if (text && typeof text === 'object') Object.keys(text).forEach(l => locales.add(l))
+  }
+  const visit = (field) => {
+    collect(field.label)
+    collect(field.description)
+    collect(field.placeholder)
+    for (const option of field.options || []) collect(option.label)
+    for (const sub of field.fields || []) visit(sub)
+    if (field.items) visit(field.items)
+  }
+  formJson.forEach(visit)
+  return [...locales]
+}
+
+// ---------- Messages ----------
+function translate(key, params = {}, locale = DEFAULT_LOCALE) {
+  const keys = params.count === 1 ? [`${key}_one`, key] : [key]
+  for (const l of localeChain(locale)) {
+    const catalog = CATALOGS[l]
+    const found = catalog && keys.find(k => k in catalog)
+    if (found) {
+      return catalog[found].replace(/\{(\w+)\}/g, (match, name) => (params[name] === undefined ? match : String(params[name])))
+    }
+  }
+  return key
+}
+
+const COMPARISONS = { '>=': '≥', '<=': '≤', '>': '>', '<': '<' }
+
+// 1536 -> "1.5 KB"
+function formatBytes(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB']
+  let value = bytes
+  let unit = 0
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024
+    unit++
+  }
+  return `${Number(value.toFixed(1))} ${units[unit]}`
+}
+
+// Message of a field error (see ./problems) in `locale`, labelled with the field
+// it points at. Codes without a catalog entry (server checks) keep their message.
+function formatFieldError(err, formJson, locale = DEFAULT_LOCALE) {
+  const labelOf = (pointer) => {
+    const fieldDef = fieldAtPath(formJson, pointer)
+    return localize(fieldDef?.label, locale) || fieldDef?.name
+  }
+  const label = labelOf(err.pointer || '') || err.field || translate('value', {}, locale)
+  const params = err.params || {}
+
+  // Cross-field rules (see ./rules) may bring their own message
+  if (err.keyword === 'rule' && params.message !== undefined) return localize(params.message, locale)
+
+  switch (err.code) {
+    case 'too_small':
+    case 'too_large':
+      return translate(err.code, { label, limit: params.limit, comparison: COMPARISONS[params.comparison] || '' }, locale)
+    case 'too_few_items':
+    case 'too_many_items':
+      return translate(err.code, { label, limit: params.limit, count: params.limit }, locale)
+    case 'file_too_large':
+      return translate(err.code, { label, maxSize: formatBytes(params.maxSize) }, locale)
+    case 'mismatch':
+    case 'not_different':
+    case 'out_of_order':
+      return translate(err.code, {
+        label,
+        other: labelOf(`/${params.other}`) || params.other,
+        comparison: COMPARISONS[params.comparison] || ''
+      }, locale)
+    case 'at_least_one':
+      return translate(err.code, { fields: params.fields.map(f => labelOf(`/${f}`) || f).join(', ') }, locale)
+    case 'invalid_type':
+      return translate(params.type === 'integer' ? 'invalid_type_integer' : 'invalid_type', { label, type: params.type }, locale)
+    default:
+      if (err.code in CATALOGS[DEFAULT_LOCALE]) return translate(err.code, { label, ...params }, locale)
+      return err.message || translate('invalid', { label }, locale)
+  }
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  CATALOGS,
+  LOCALE_PATTERN,
+  localeChain,
+  negotiateLocale,
+  localize,
+  localizeFormJson,
+  formJsonLocales,
+  translate,
+  formatBytes,
+  formatFieldError
+}
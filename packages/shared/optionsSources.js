@@ -0,0 +1,104 @@
+/**
+ * Select options loaded from the server instead of a static `options` list
+ * Used by both frontend and backend
+ *
+ *   { name: 'country', type: 'select', optionsSource: true }
+ *   { name: 'region', type: 'select', optionsSource: { dependsOn: ['country'], pageSize: 10 } }
+ * Options come from the action's `optionSources[name]`:
+ *   ({ q, page, pageSize, values, value }) => { options: [{ value, label }], total? }
+ * `q` is the search text and `page` starts at 1. `values` holds the form's values
+ * of the `dependsOn` fields. With `value` it is a lookup: answer the option with
+ * that value, if it exists for these `values` (optionsPage does all of this for
+ * an in-memory list).
+ *
+ * Sourced selects are top-level fields with text values. A field is cleared
+ * whenever one it depends on changes (clearDependentFields), and the server
+ * checks submitted values with a lookup.
+ */
+
+const OPTIONS_PAGE_SIZE = 20
+const MAX_OPTIONS_PAGE_SIZE = 100
+
+// { dependsOn, pageSize } of a sourced select, or null
+function optionsSourceOf(field) {
+  if (!field.optionsSource) return null
+  const source = field.optionsSource === true ? {} : field.optionsSource
+  return { dependsOn: source.dependsOn || [], pageSize: source.pageSize || OPTIONS_PAGE_SIZE }
+}
+
+const sourcedFields = (formJson) => formJson.filter(f => f.optionsSource)
+
+// Values of the fields a sourced select depends on
+function dependencyValues(field, data = {}) {
+  const values = {}
+  for (const name of optionsSourceOf(field).dependsOn) values[name] = data[name] ?? null
+  return values
+}
+
+// `data` without the values of sourced selects whose dependencies changed
+// since `previous`; clearing one may clear the selects depending on it in turn
+function clearDependentFields(formJson, data = {}, previous = {}) {
+  const fields = sourcedFields(formJson).filter(f => optionsSourceOf(f).dependsOn.length > 0)
+  if (fields.length === 0) return data
+
+  const changed = new Set(Object.keys({ ...data, ...previous }).filter(
+    name => JSON.stringify(data[name]) !== JSON.stringify(previous[name])
+  ))
+  const next = { ...data }
+  let cleared = true
+  while (cleared) {
+    cleared = false
+    for (const field of fields) {
+      if (next[field.name] === undefined) continue
+      if (optionsSourceOf(field).dependsOn.some(name => changed.has(name))) {
+        delete next[field.name]
+        changed.add(field.name)
+        cleared = true
+      }
+    }
+  }
+  return next
+}
+
+// Texts an option is found by: its value and its label in every locale
+const searchTexts = (option) => [
+  option.value,
+  ...(option.label && typeof option.label === 'object' ? Object.values(option.label) : [option.label ?? ''])
+].map(text => String(text).toLowerCase())
+
+// One page of an in-memory option list, searched by label and value
+function optionsPage(options, { q = '', page = 1, pageSize = OPTIONS_PAGE_SIZE, value } = {}) {
+  if (value !== undefined) {
+    return { options: options.filter(o => o.value === value), total: undefined }
+  }
+  const query = q.trim().toLowerCase()
+  const matches = query
+    ? options.filter(o => searchTexts(o).some(text => text.includes(query)))
+    : options
+  const start = (page - 1) * pageSize
+  return { options: matches.slice(start, start + pageSize), total: matches.length }
+}
+
+// ---------- Definition checks ----------
+function optionsSourceProblems(field, fieldNames, label = field.name) {
+  const problems = []
+  for (const name of optionsSourceOf(field)?.dependsOn || []) {
+    if (name === field.name) {
+      problems.push(`${label}.optionsSource cannot depend on itself`)
+    } else if (!fieldNames.includes(name)) {
+      problems.push(`${label}.optionsSource depends on unknown field "${name}"`)
+    }
+  }
+  return problems
+}
+
+module.exports = {
+  OPTIONS_PAGE_SIZE,
+  MAX_OPTIONS_PAGE_SIZE,
+  optionsSourceOf,
+  sourcedFields,
+  dependencyValues,
+  clearDependentFields,
+  optionsPage,
+  optionsSourceProblems
+}
@@ -0,0 +1,153 @@
+/**
+ * Role-based permissions of actions, fields and options
+ * Used by both frontend and backend
+ *
+ *   { id: 'createUser', allowedRoles: ['admin'], formJson: [...] }
+ *     only callers with one of these roles see and submit the action
+ *   { name: 'role', type: 'select', readOnlyFor: ['support'], hiddenFor: ['guest'], options: [
+ *     { value: 'admin', label: 'Admin', allowedRoles: ['admin'] }
+ *   ] }
+ * A caller has the roles of their token, or ANONYMOUS_ROLE alone without one.
+ * Actions and options without `allowedRoles` are open to every caller.
+ *
+ * formJsonForRoles is the form as a caller sees it: fields hidden for them are
+ * left out, read-only ones get `readOnly` and options they may not choose are
+ * dropped. Submitted data is checked against the full form: restrictedFieldErrors
+ * rejects values the caller may not set and withRestrictedDefaults puts the
+ * defaults back into the fields they cannot see or edit.
+ */
+
+const { escapePointerSegment, fieldError, NOT_PERMITTED, OPTION_NOT_PERMITTED } = require('./problems')
+
+const ANONYMOUS_ROLE = 'anonymous'
+
+const hasAnyRole = (allowed, roles) => allowed.some(role => roles.includes(role))
+
+const canUseAction = (action, roles) => !action.allowedRoles || hasAnyRole(action.allowedRoles, roles)
+const canChooseOption = (option, roles) => !option.allowedRoles || hasAnyRole(option.allowedRoles, roles)
+const isHiddenFor = (field, roles) => !!field.hiddenFor && hasAnyRole(field.hiddenFor, roles)
+const isReadOnlyFor = (field, roles) => !!field.readOnlyFor && hasAnyRole(field.readOnlyFor, roles)
+const isRestrictedFor = (field, roles) => isHiddenFor(field, roles) || isReadOnlyFor(field, roles)
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value)
+const isEmpty = (value) => value === undefined || value === null || value === ''
+const sameValue = (a, b) => a === b || JSON.stringify(a) === JSON.stringify(b)
+
+// ---------- Views ----------
+// The fields of a form or group as a caller with `roles` sees them; the fields
+// of a read-only group are read-only as well
+function formJsonForRoles(fields, roles, readOnly = false) {
+  return fields.filter(field => !isHiddenFor(field, roles)).map(field => fieldForRoles(field, roles, readOnly))
+}
+
+function fieldForRoles(field, roles, inheritedReadOnly = false) {
+  const { readOnlyFor, hiddenFor, ...view } = field
+  const readOnly = inheritedReadOnly || isReadOnlyFor(field, roles)
+  if (readOnly) view.readOnly = true
+  // A read-only field still shows whichever option it holds
+  if (field.options) {
+    view.options = field.options
+      .filter(option => readOnly || canChooseOption(option, roles))
+      .map(({ allowedRoles, ...option }) => option)
+  }
+  if (field.type === 'object') view.fields = formJsonForRoles(field.fields, roles, readOnly)
+  if (field.type === 'array') view.items = fieldForRoles(field.items, roles, readOnly)
+  return view
+}
+
+// `data` without the values of fields hidden for the caller
+function dataForRoles(fields, data, roles) {
+  if (!isPlainObject(data)) return data
+  const next = {}
+  for (const field of fields) {
+    if (!(field.name in data) || isHiddenFor(field, roles)) continue
+    next[field.name] = valueForRoles(field, data[field.name], roles)
+  }
+  return next
+}
+
+function valueForRoles(field, value, roles) {
+  if (field.type === 'object') return dataForRoles(field.fields, value, roles)
+  if (field.type === 'array' && Array.isArray(value)) return value.map(item => valueForRoles(field.items, item, roles))
+  return value
+}
+
+// ---------- Submitted Data ----------
+// Field errors for the values of `data` the caller may not set: anything but
+// the default (or nothing) in a field hidden from or read-only for them, and
+// options they may not choose
+function restrictedFieldErrors(fields, data, roles, pointer = '') {
+  if (!isPlainObject(data)) return []
+  const errors = []
+  for (const field of fields) {
+    if (!(field.name in data)) continue
+    errors.push(...valueErrors(field, data[field.name], roles, `${pointer}/${escapePointerSegment(field.name)}`))
+  }
+  return errors
+}
+
+function valueErrors(field, value, roles, pointer) {
+  if (isRestrictedFor(field, roles)) {
+    return isEmpty(value) || sameValue(value, field.default)
+      ? []
+      : [fieldError(pointer, NOT_PERMITTED, 'may not be set by you')]
+  }
+  const option = field.options?.find(o => o.value === value)
+  if (option && !canChooseOption(option, roles)) {
+    return [fieldError(pointer, OPTION_NOT_PERMITTED, 'may not be chosen by you')]
+  }
+  if (field.type === 'object') return restrictedFieldErrors(field.fields, value, roles, pointer)
+  if (field.type === 'array' && Array.isArray(value)) {
+    return value.flatMap((item, i) => valueErrors(field.items, item, roles, `${pointer}/${i}`))
+  }
+  return []
+}
+
+// `data` with the fields hidden from or read-only for the caller set to their
+// default, or left out when they have none
+function withRestrictedDefaults(fields, data, roles) {
+  if (!isPlainObject(data)) return data
+  const next = { ...data }
+  for (const field of fields) {
+    if (isRestrictedFor(field, roles)) {
+      if (field.default === undefined) {
+        delete next[field.name]
+      } else {
+        next[field.name] = field.default
+      }
+    } else if (field.name in next) {
+      next[field.name] = valueWithRestrictedDefaults(field, next[field.name], roles)
+    }
+  }
+  return next
+}
+
+function valueWithRestrictedDefaults(field, value, roles) {
+  if (field.type === 'object') return withRestrictedDefaults(field.fields, value, roles)
+  if (field.type === 'array' && Array.isArray(value)) {
+    return value.map(item => valueWithRestrictedDefaults(field.items, item, roles))
+  }
+  return value
+}
+
+// ---------- Definition checks ----------
+// A required field some roles cannot fill in needs a default, or they could never submit
+function permissionProblems(field, label = field.name) {
+  if ((field.hiddenFor || field.readOnlyFor) && field.required && field.default === undefined) {
+    return [`${label} is required but hidden or read-only for some roles, so it needs a default`]
+  }
+  return []
+}
+
+module.exports = {
+  ANONYMOUS_ROLE,
+  canUseAction,
+  canChooseOption,
+  isHiddenFor,
+  isReadOnlyFor,
+  formJsonForRoles,
+  dataForRoles,
+  restrictedFieldErrors,
+  withRestrictedDefaults,
+  permissionProblems
+}
@@ -0,0 +1,168 @@
+/**
+ * Error model: RFC 7807 problem details with structured field errors
+ * Used by both frontend and backend
+ *
+ * A field error is
+ *   { pointer, field, code, message, keyword, params }
+ * pointer        JSON Pointer (RFC 6901) to the value, e.g. "/address/street"
+ * field          top-level form field the pointer starts with ("address"), or null
+ * code           stable machine-readable code, see FIELD_ERROR_CODES
+ * keyword/params the AJV keyword and params; null for server checks. Cross-field
+ *                rules (see ./rules) have keyword 'rule' and their code in params.
+ *
+ * A validation problem (application/problem+json) lists every field error:
+ *   { type, title, status, detail, errors: [fieldError, ...] }
+ */
+
+const PROBLEM_TYPE_BASE = 'https://forms.local/problems/'
+const PROBLEM_CONTENT_TYPE = 'application/problem+json'
+
+const FIELD_ERROR_CODES = {
+  required: 'required',
+  minLength: 'too_short',
+  maxLength: 'too_long',
+  minimum: 'too_small',
+  exclusiveMinimum: 'too_small',
+  maximum: 'too_large',
+  exclusiveMaximum: 'too_large',
+  minItems: 'too_few_items',
+  maxItems: 'too_many_items',
+  pattern: 'pattern_mismatch',
+  format: 'invalid_format',
+  type: 'invalid_type',
+  enum: 'invalid_option',
+  const: 'invalid_option',
+  oneOf: 'invalid_option',
+  additionalProperties: 'unknown_field'
+}
+
+// Codes of errors that do not come from the JSON Schema
+const CHECK_FAILED = 'check_failed' // asyncValidators
+const REJECTED = 'rejected' // handler FieldErrors
+// File fields (see ./uploads)
+const UNKNOWN_UPLOAD = 'unknown_upload'
+const FILE_TOO_LARGE = 'file_too_large'
+const FILE_TYPE_NOT_ACCEPTED = 'file_type_not_accepted'
+// Cross-field rules (see ./rules)
+const MISMATCH = 'mismatch'
+const NOT_DIFFERENT = 'not_different'
+const OUT_OF_ORDER = 'out_of_order'
+const AT_LEAST_ONE = 'at_least_one'
+const RULE_FAILED = 'rule_failed'
+// Role-based field permissions (see ./permissions)
+const NOT_PERMITTED = 'not_permitted'
+const OPTION_NOT_PERMITTED = 'option_not_permitted'
+
+// ---------- JSON Pointers ----------
+const escapePointerSegment = (segment) => String(segment).replace(/~/g, '~0').replace(/\//g, '~1')
+const unescapePointerSegment = (segment) => segment.replace(/~1/g, '/').replace(/~0/g, '~')
+
+// Top-level field of a pointer: "/address/street" -> "address"
+function pointerField(pointer) {
+  const [, first] = pointer.split('/')
+  return first === undefined ? null : unescapePointerSegment(first)
+}
+
+function fieldError(pointer, code, message, keyword = null, params = null) {
+  return { pointer, field: pointerField(pointer), code, message, keyword, params }
+}
+
+// ---------- AJV Errors ----------
+// `required` and `additionalProperties` point at the missing / extra property
+function ajvErrorPointer(err) {
+  if (err.keyword === 'required') return `${err.instancePath}/${escapePointerSegment(err.params.missingProperty)}`
+  if (err.keyword === 'additionalProperties') {
+    return `${err.instancePath}/${escapePointerSegment(err.params.additionalProperty)}`
+  }
+  return err.instancePath
+}
+
+function ajvErrorMessage(err) {
+  if (err.keyword === 'required') return 'is required'
+  if (err.keyword === 'additionalProperties') return 'is not a known field'
+  return err.message || 'is invalid'
+}
+
+// All AJV errors as field errors, without the noise of composite keywords:
+// `if` only reports that a `then` failed, and the branches of a select's
+// oneOf each report a `const` mismatch, both next to the error that matters.
+function ajvToFieldErrors(ajvErrors = []) {
+  const seen = new Set()
+  const errors = []
+  for (const err of ajvErrors || []) {
+    if (err.keyword === 'if') continue
+    if (/\/(oneOf|anyOf)\/\d+\//.test(err.schemaPath)) continue
+    const pointer = ajvErrorPointer(err)
+    const code = err.keyword === 'rule' ? err.params.code : FIELD_ERROR_CODES[err.keyword] || 'invalid'
+    if (seen.has(`${pointer} ${code}`)) continue
+    seen.add(`${pointer} ${code}`)
+    errors.push(fieldError(pointer, code, ajvErrorMessage(err), err.keyword, err.params))
+  }
+  return errors
+}
+
+// { field: message } from asyncValidators or handlers -> field errors
+function messagesToFieldErrors(messages, code) {
+  return Object.entries(messages).map(([field, message]) =>
+    fieldError(`/${escapePointerSegment(field)}`, code, message)
+  )
+}
+
+// { [field]: [fieldError, ...] }; errors about the whole form are under ""
+function groupErrorsByField(errors) {
+  const grouped = {}
+  for (const err of errors) {
+    const key = err.field ?? ''
+    if (!grouped[key]) grouped[key] = []
+    grouped[key].push(err)
+  }
+  return grouped
+}
+
+// ---------- Problem Details ----------
+function problem(type, status, title, detail, extensions = {}) {
+  return {
+    type: `${PROBLEM_TYPE_BASE}${type}`,
+    title,
+    status,
+    ...(detail && { detail }),
+    ...extensions
+  }
+}
+
+function validationProblem(errors, { status = 400, detail, ...extensions } = {}) {
+  const count = new Set(errors.map((err) => err.pointer)).size
+  return problem(
+    'validation-error',
+    status,
+    'Invalid form data',
+    detail || `${count} field${count === 1 ? '' : 's'} failed validation`,
+    { ...extensions, errors }
+  )
+}
+
+module.exports = {
+  PROBLEM_TYPE_BASE,
+  PROBLEM_CONTENT_TYPE,
+  FIELD_ERROR_CODES,
+  CHECK_FAILED,
+  REJECTED,
+  UNKNOWN_UPLOAD,
+  FILE_TOO_LARGE,
+  FILE_TYPE_NOT_ACCEPTED,
+  MISMATCH,
+  NOT_DIFFERENT,
+  OUT_OF_ORDER,
+  AT_LEAST_ONE,
+  RULE_FAILED,
+  NOT_PERMITTED,
+  OPTION_NOT_PERMITTED,
+  escapePointerSegment,
+  pointerField,
+  fieldError,
+  ajvToFieldErrors,
+  messagesToFieldErrors,
+  groupErrorsByField,
+  problem,
+  validationProblem
+}
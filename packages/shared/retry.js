@@ -0,0 +1,61 @@
+/**
+ * Automatic retries of submits that failed for a transient reason
+ * Used by both frontend and backend
+ *
+ * A failure is transient when another attempt may well succeed: no answer
+ * arrived (fetch rejects with a TypeError), the server failed (5xx) or it
+ * rate limited the caller (429). Other answers, like 400 / 422 validation
+ * problems or 403, are permanent. Retrying is safe with an Idempotency-Key:
+ * the store does not keep 5xx responses, so a retry with the same key runs
+ * the handler again, or replays the response of an attempt whose answer was lost.
+ *
+ * Actions set `retry: { maxAttempts, baseMs, maxMs }`; maxAttempts counts the
+ * first attempt, so 1 turns automatic retries off. Retry n waits between half
+ * and all of min(maxMs, baseMs * 2^(n-1)), chosen at random so clients that
+ * failed together don't retry together, and at least a 429's `retryAfter`.
+ */
+
+const DEFAULT_RETRY = { maxAttempts: 3, baseMs: 1000, maxMs: 30 * 1000 }
+
+// The action's retry settings with the defaults filled in
+const retryOptions = (retry) => ({ ...DEFAULT_RETRY, ...retry })
+
+// `error` is what a failed attempt rejected with: a problem (or an error
+// carrying `status` / `statusCode`), or a TypeError when no answer arrived
+function isTransientFailure(error) {
+  const status = error?.status ?? error?.statusCode
+  if (typeof status === 'number') return status === 429 || status >= 500
+  return error instanceof TypeError || error?.name === 'TypeError'
+}
+
+// Milliseconds to wait before retry number `retry` (1 for the first)
+function retryDelay(retry, { baseMs, maxMs } = DEFAULT_RETRY, error = null, random = Math.random) {
+  const ceiling = Math.min(maxMs, baseMs * 2 ** (retry - 1))
+  const backoff = Math.round(ceiling / 2 + random() * (ceiling / 2))
+  return Math.max(backoff, (error?.retryAfter ?? 0) * 1000)
+}
+
+// What is wrong with an action's `retry`, as a list of messages
+function retryProblems(retry) {
+  if (retry === undefined) return []
+  if (!retry || typeof retry !== 'object' || Array.isArray(retry)) {
+    return ['`retry` must be an object']
+  }
+  const problems = []
+  for (const [name, value] of Object.entries(retry)) {
+    if (!(name in DEFAULT_RETRY)) {
+      problems.push(`\`retry.${name}\` is not one of ${Object.keys(DEFAULT_RETRY).join(', ')}`)
+    } else if (!Number.isInteger(value) || value < (name === 'maxAttempts' ? 1 : 0)) {
+      problems.push(`\`retry.${name}\` must be a ${name === 'maxAttempts' ? 'positive' : 'non-negative'} integer`)
+    }
+  }
+  return problems
+}
+
+module.exports = {
+  DEFAULT_RETRY,
+  retryOptions,
+  isTransientFailure,
+  retryDelay,
+  retryProblems
+}
@@ -0,0 +1,203 @@
+/**
+ * Cross-field validation rules of an action
+ * Used by both frontend and backend
+ *
+ * Field keywords validate one value; an action's `rules` relate several:
+ *   rules: [
+ *     { field: 'confirmPassword', equals: 'password' },
+ *     { field: 'endDate', greaterThan: 'startDate' },
+ *     { atLeastOne: ['phone', 'email'] },
+ *     { validator: 'passwordNotUsername', fields: ['password'] }
+ *   ]
+ * A comparison checks `field` against another field with one of COMPARISONS
+ * (numbers by value, text and ISO dates in order) and is reported on `field`.
+ * It is skipped while either value is empty; `required` covers that.
+ * `atLeastOne` is reported on each of its fields.
+ * `validator` names a function of the action's `ruleValidators`,
+ * (data, rule) => error message or null, reported on each of `fields`.
+ * Every rule may override its message with `message` (text or locale map).
+ *
+ * Rules only relate top-level fields and see the data without hidden fields.
+ * withRules adds them to a compiled AJV validator, as errors with keyword
+ * 'rule', so they are handled like the schema's own errors.
+ */
+
+const { formJsonMetaSchema } = require('./formJson')
+const { escapePointerSegment, MISMATCH, NOT_DIFFERENT, OUT_OF_ORDER, AT_LEAST_ONE, RULE_FAILED } = require('./problems')
+
+// operator -> AJV-style comparison of `field` to the other field
+const COMPARISONS = {
+  equals: '==',
+  notEquals: '!=',
+  greaterThan: '>',
+  greaterThanOrEqual: '>=',
+  lessThan: '<',
+  lessThanOrEqual: '<='
+}
+const OPERATORS = Object.keys(COMPARISONS)
+
+const operatorOf = (rule) => OPERATORS.find(op => op in rule)
+const isEmpty = (value) => value === undefined || value === null || value === ''
+
+// Fields a rule reads, and the ones its errors are reported on
+function ruleFields(rule) {
+  if (rule.atLeastOne) return { reads: rule.atLeastOne, reports: rule.atLeastOne }
+  if (rule.validator) return { reads: rule.fields, reports: rule.fields }
+  return { reads: [rule.field, rule[operatorOf(rule)]], reports: [rule.field] }
+}
+
+// ---------- Evaluation ----------
+const sameValue = (a, b) => a === b || JSON.stringify(a) === JSON.stringify(b)
+
+// Whether `a <op> b` holds; values of different types are left to the schema
+function compare(op, a, b) {
+  if (op === '==') return sameValue(a, b)
+  if (op === '!=') return !sameValue(a, b)
+  const comparable = (typeof a === 'number' && typeof b === 'number') || (typeof a === 'string' && typeof b === 'string')
+  if (!comparable) return true
+  if (op === '>') return a > b
+  if (op === '>=') return a >= b
+  if (op === '<') return a < b
+  return a <= b
+}
+
+function ruleError(field, index, params, message) {
+  return {
+    instancePath: `/${escapePointerSegment(field)}`,
+    schemaPath: `#/rules/${index}`,
+    keyword: 'rule',
+    params,
+    message
+  }
+}
+
+// AJV-style errors of the rules that `data` breaks
+function ruleErrors(rules = [], data = {}, validators = {}) {
+  // Rules compare fields; data that is no object is the schema's to reject
+  if (!data || typeof data !== 'object' || Array.isArray(data)) return []
+  const errors = []
+  rules.forEach((rule, index) => {
+    const custom = rule.message === undefined ? {} : { message: rule.message }
+
+    if (rule.atLeastOne) {
+      if (rule.atLeastOne.every(field => isEmpty(data[field]))) {
+        for (const field of rule.atLeastOne) {
+          errors.push(ruleError(field, index, { code: AT_LEAST_ONE, fields: rule.atLeastOne, ...custom },
+            `needs a value when ${rule.atLeastOne.filter(f => f !== field).join(', ')} is empty`))
+        }
+      }
+      return
+    }
+
+    if (rule.validator) {
+      const message = validators[rule.validator](data, rule)
+      if (message) {
+        for (const field of rule.fields) {
+          errors.push(ruleError(field, index, { code: RULE_FAILED, validator: rule.validator, ...custom }, message))
+        }
+      }
+      return
+    }
+
+    const op = operatorOf(rule)
+    const other = rule[op]
+    const a = data[rule.field]
+    const b = data[other]
+    if (isEmpty(a) || isEmpty(b) || compare(COMPARISONS[op], a, b)) return
+
+    const comparison = COMPARISONS[op]
+    const code = op === 'equals' ? MISMATCH : op === 'notEquals' ? NOT_DIFFERENT : OUT_OF_ORDER
+    const message = op === 'equals' ? `must match ${other}` : op === 'notEquals' ? `must differ from ${other}` : `must be ${comparison} ${other}`
+    errors.push(ruleError(rule.field, index, { code, other, comparison, ...custom }, message))
+  })
+  return errors
+}
+
+// A compiled AJV validator that also checks `rules`; its `errors` hold both
+function withRules(validate, rules = [], validators = {}) {
+  if (rules.length === 0) return validate
+
+  const validateWithRules = (data) => {
+    const valid = validate(data)
+    const errors = [...(valid ? [] : validate.errors), ...ruleErrors(rules, data, validators)]
+    validateWithRules.errors = errors.length > 0 ? errors : null
+    return errors.length === 0
+  }
+  validateWithRules.schema = validate.schema
+  validateWithRules.errors = null
+  return validateWithRules
+}
+
+// ---------- Definition checks ----------
+const fieldName = { type: 'string', minLength: 1 }
+const message = formJsonMetaSchema.definitions.text
+
+const rulesMetaSchema = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  $id: 'https://forms.local/schemas/rules.json',
+  title: 'rules',
+  description: 'Cross-field validation rules of a dynamic form action',
+  type: 'array',
+  items: {
+    oneOf: [
+      {
+        type: 'object',
+        required: ['field'],
+        properties: {
+          field: fieldName,
+          ...Object.fromEntries(OPERATORS.map(op => [op, fieldName])),
+          message
+        },
+        additionalProperties: false,
+        oneOf: OPERATORS.map(op => ({ required: [op] }))
+      },
+      {
+        type: 'object',
+        required: ['atLeastOne'],
+        properties: {
+          atLeastOne: { type: 'array', items: fieldName, minItems: 2, uniqueItems: true },
+          message
+        },
+        additionalProperties: false
+      },
+      {
+        type: 'object',
+        required: ['validator', 'fields'],
+        properties: {
+          validator: fieldName,
+          fields: { type: 'array', items: fieldName, minItems: 1, uniqueItems: true },
+          message
+        },
+        additionalProperties: false
+      }
+    ]
+  }
+}
+
+// Problems the meta-schema cannot express; expects rules that passed it
+function rulesProblems(rules, formJson, validators = {}) {
+  const names = formJson.map(f => f.name)
+  const problems = []
+  rules.forEach((rule, i) => {
+    const label = `rules[${i}]`
+    for (const field of ruleFields(rule).reads) {
+      if (!names.includes(field)) problems.push(`${label} references unknown field "${field}"`)
+    }
+    if (rule.field !== undefined && rule.field === rule[operatorOf(rule)]) {
+      problems.push(`${label} compares "${rule.field}" with itself`)
+    }
+    if (rule.validator && typeof validators[rule.validator] !== 'function') {
+      problems.push(`\`ruleValidators.${rule.validator}\` must be a function`)
+    }
+  })
+  return problems
+}
+
+module.exports = {
+  COMPARISONS,
+  ruleFields,
+  ruleErrors,
+  withRules,
+  rulesMetaSchema,
+  rulesProblems
+}
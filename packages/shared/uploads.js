@@ -0,0 +1,84 @@
+/**
+ * File fields: upload references and their checks
+ * Used by both frontend and backend
+ *
+ * A `type: 'file'` field never holds bytes. Files are first sent to
+ * POST /api/actions/:id/uploads?field=<pointer>, and the field holds the
+ * reference the server answers with (an array of them with `multiple: true`):
+ *   { id, name, size, type }
+ * `accept` lists extensions and MIME types like the HTML attribute
+ * (".pdf,image/*"); `maxSize` is in bytes.
+ */
+
+const UPLOAD_ID_PATTERN = '^[0-9a-f-]{36}$'
+
+function uploadRefSchema(field) {
+  const size = { type: 'integer', minimum: 0 }
+  if (field.maxSize !== undefined) size.maximum = field.maxSize
+  return {
+    type: 'object',
+    required: ['id', 'name', 'size', 'type'],
+    properties: {
+      id: { type: 'string', pattern: UPLOAD_ID_PATTERN },
+      name: { type: 'string', minLength: 1 },
+      size,
+      type: { type: 'string' }
+    },
+    additionalProperties: false
+  }
+}
+
+// Whether a file's name or MIME type matches an `accept` list
+function matchesAccept(accept, { name = '', type = '' }) {
+  if (!accept) return true
+  const mime = type.toLowerCase()
+  return accept.split(',').map(token => token.trim().toLowerCase()).filter(Boolean).some(token => {
+    if (token.startsWith('.')) return name.toLowerCase().endsWith(token)
+    if (token.endsWith('/*')) return mime.startsWith(token.slice(0, -1))
+    return mime === token
+  })
+}
+
+// Field error code for a file that does not fit the field, or null
+function fileProblem(field, file) {
+  if (field.maxSize !== undefined && file.size > field.maxSize) return 'file_too_large'
+  if (!matchesAccept(field.accept, file)) return 'file_type_not_accepted'
+  return null
+}
+
+// Every upload reference in `data`, with the JSON Pointer of its file field:
+// [{ pointer, field, refs: [ref, ...] }]
+function collectUploads(fields, data, pointer = '') {
+  const found = []
+  if (!data || typeof data !== 'object') return found
+  for (const field of fields) {
+    const value = data[field.name]
+    if (value === undefined || value === null) continue
+    const fieldPointer = `${pointer}/${field.name}`
+    found.push(...collectValueUploads(field, value, fieldPointer))
+  }
+  return found
+}
+
+function collectValueUploads(field, value, pointer) {
+  switch (field.type) {
+    case 'file':
+      return [{ pointer, field, refs: Array.isArray(value) ? value : [value] }]
+    case 'object':
+      return collectUploads(field.fields, value, pointer)
+    case 'array':
+      return Array.isArray(value)
+        ? value.flatMap((item, i) => (item == null ? [] : collectValueUploads(field.items, item, `${pointer}/${i}`)))
+        : []
+    default:
+      return []
+  }
+}
+
+module.exports = {
+  UPLOAD_ID_PATTERN,
+  uploadRefSchema,
+  matchesAccept,
+  fileProblem,
+  collectUploads
+}
@@ -0,0 +1,42 @@
+/**
+ * Write-only fields: values the server takes but never keeps or gives back
+ * Used by both frontend and backend
+ *
+ * Password fields (`type: 'password'` or `format: 'password'`) and fields with
+ * `writeOnly: true` reach the action's handler, but are left out of everything
+ * else: stored submissions and their results, drafts, and webhook bodies.
+ */
+
+// An array of write-only items is write-only as a whole
+const isWriteOnly = (field) =>
+  field.writeOnly === true || field.type === 'password' || field.format === 'password' ||
+  (field.type === 'array' && !!field.items && isWriteOnly(field.items))
+
+const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value)
+
+// `data` without the values of write-only fields, at any depth; keys that are
+// no field (like the ids a handler adds to its result) are kept
+function withoutWriteOnly(fields, data) {
+  if (!isPlainObject(data)) return data
+  const next = { ...data }
+  for (const field of fields) {
+    if (!(field.name in next)) continue
+    if (isWriteOnly(field)) {
+      delete next[field.name]
+    } else {
+      next[field.name] = valueWithoutWriteOnly(field, next[field.name])
+    }
+  }
+  return next
+}
+
+function valueWithoutWriteOnly(field, value) {
+  if (field.type === 'object') return withoutWriteOnly(field.fields, value)
+  if (field.type === 'array' && Array.isArray(value)) return value.map(item => valueWithoutWriteOnly(field.items, item))
+  return value
+}
+
+module.exports = {
+  isWriteOnly,
+  withoutWriteOnly
+}
@@ -9,15 +9,18 @@ import { buildSchemas } from '../schemas/schemaBuilder'
  * - JSON Schema + uiSchema for rendering
  * - Helpers for common operations
  */
-export function useFormMachine(action, submitFn) {
+export function useFormMachine(action, submitFn, options) {
   // Build machine once per action
   const machine = useMemo(
-    () => createFormMachine(action, submitFn),
-    [action, submitFn]
+    () => createFormMachine(action, submitFn, options),
+    [action, submitFn, options]
   )
 
   const [state, send] = useMachine(machine)
 
+  // Forms with asyncValidate fields run in a `form` region next to `checks`
+  const inState = (value) => state.matches(value) || state.matches({ form: value })
+
   // Build schemas for the UI library
   const { jsonSchema, uiSchema } = useMemo(
     () => buildSchemas(action),
@@ -28,15 +31,22 @@ export function useFormMachine(action, submitFn) {
     // Machine state
     currentState: state. value,
     context: state.context,
-    isSubmitting: state. matches('submitting'),
-    isSuccess: state.matches('success'),
-    isFailure: state.matches('failure'),
+    isSubmitting: inState('submitting'),
+    isProcessing: inState('processing'),
+    isCancelled: state.context.cancelled,
+    isRetrying: inState('retrying'),
+    job: state.context.job,
+    isSuccess: inState('success'),
+    isFailure: inState('failure'),
+    isCheckingFields: inState('validating'),
     errors: state.context.errors,
 
     // Actions
     open: () => send({ type: 'OPEN' }),
     change: (name, value) => send({ type: 'CHANGE', name, value }),
     submit: () => send({ type: 'SUBMIT' }),
+    cancel: () => send({ type: 'CANCEL' }),
+    retry: () => send({ type: 'RETRY' }),
     reset: () => send({ type: 'RESET' }),
 
     // Schemas for UI
@@ -1,22 +1,66 @@
 import { createMachine, assign } from 'xstate'
 import { validateWithAJV } from './validators'
+import { pruneHiddenFields } from '../../packages/shared/conditions'
+import { applyComputedFields } from '../../packages/shared/computed'
+import { clearDependentFields } from '../../packages/shared/optionsSources'
+import { getAsyncFields, withAsyncChecks } from '../../packages/shared/formMachine'
+import { CHECK_FAILED, groupErrorsByField, messagesToFieldErrors } from '../../packages/shared/problems'
+import { retryOptions, isTransientFailure, retryDelay } from '../../packages/shared/retry'
+import {
+  toSegments,
+  canAddItem,
+  canRemoveItem,
+  canMoveItem,
+  addItem,
+  removeItem,
+  moveItem
+} from '../../packages/shared/formPaths'
 
 /**
  * Factory that creates a form machine for any action. 
+ * Fields with `asyncValidate` get a debounced server check (see withAsyncChecks).
+ * Array field items are edited with ADD_ITEM / REMOVE_ITEM / MOVE_ITEM, whose
+ * `path` points at the array (see packages/shared/formPaths).
+ * Computed fields (`compute` / `computeDefault`) are re-applied on every edit, and
+ * selects with `optionsSource.dependsOn` are cleared when a field they depend on changes.
+ * A submitFn that resolves to { job } started a background job; with `watchJob`
+ * the machine waits in `processing` until the job has finished.
+ * CANCEL while submitting aborts the submitFn's `signal` and returns to editing
+ * with `context.cancelled` set.
+ * A submitFn that rejects with a transient failure (a TypeError, or an error whose
+ * `status` is 5xx or 429) is retried from `retrying` with backoff, up to
+ * `action.retry.maxAttempts` (see packages/shared/retry); RETRY skips the wait.
  * @param {Object} action - The action definition with formJson
- * @param {Function} submitFn - Real async function to call on submit
+ * @param {Function} submitFn - (data, { signal }) => Promise, the real submit
+ * @param {Object} [options]
+ * @param {Function} [options.validateField] - (name, value, form, { signal }) => Promise<error message | null>,
+ *   required when a field has `asyncValidate`
+ * @param {Function} [options.watchJob] - (jobId, onUpdate(job)) => stop function, reporting
+ *   every change of a background job (see backend/jobs.js)
+ * @param {string} [options.locale] - Locale of validation messages (see packages/shared/i18n)
  */
-export function createFormMachine(action, submitFn) {
-  const initialForm = buildInitialValues(action. formJson)
+export function createFormMachine(action, submitFn, { validateField, watchJob, locale } = {}) {
+  const retry = retryOptions(action.retry)
+  const initialForm = applyComputedFields(action.formJson, buildInitialValues(action. formJson))
+  const applyEdit = (ctx, form) =>
+    applyComputedFields(action.formJson, clearDependentFields(action.formJson, form, ctx.form), ctx.form)
+  if (getAsyncFields(action.formJson).length > 0 && !validateField) {
+    throw new Error(`Action "${action.id}" has asyncValidate fields but no validateField was given`)
+  }
 
   return createMachine(
-    {
+    withAsyncChecks({
       id: `form. ${action.id}`,
       initial: 'idle',
       context:  {
         form:  initialForm,
         errors: {},
         submitting: false,
+        submitController: null,
+        cancelled: false,
+        retryCount: 0,
+        nextRetryAt: null,
+        job: null,
         result: null,
         serverError: null
       },
@@ -35,7 +79,12 @@ export function createFormMachine(action, submitFn) {
           entry: ['clearServerError'],
           on: {
             CHANGE: { actions: ['assignField', 'clearFieldError'] },
-            SUBMIT: { target: 'validating', actions: ['runValidation'] },
+            ADD_ITEM: { cond: 'canAddItem', actions: ['addItem', 'clearFieldError'] },
+            REMOVE_ITEM: { cond: 'canRemoveItem', actions: ['removeItem', 'clearFieldError'] },
+            MOVE_ITEM: { cond: 'canMoveItem', actions: ['moveItem', 'clearFieldError'] },
+            // Rehydrate from a saved draft after the form was opened
+            PREFILL: { actions: ['prefillForm'] },
+            SUBMIT: { target: 'validating', actions: ['runValidation', 'resetRetries'] },
             RESET:  { target: 'idle', actions: ['resetForm'] }
           }
         },
@@ -47,17 +96,39 @@ export function createFormMachine(action, submitFn) {
         },
         submitting: {
           entry: ['markSubmitting'],
+          on: {
+            CANCEL: { target: 'editing', actions: ['abortSubmit', 'clearSubmitting', 'markCancelled'] }
+          },
           invoke: {
             id: 'submitService',
             src: 'callSubmitFn',
-            onDone: {
-              target: 'success',
-              actions:  ['assignResult', 'clearSubmitting']
-            },
-            onError:  {
-              target:  'editing',
-              actions:  ['assignServerError', 'clearSubmitting']
-            }
+            onDone: [
+              { cond: 'isJob', target: 'processing', actions: ['assignJob', 'clearSubmitting'] },
+              { target: 'success', actions:  ['assignResult', 'clearSubmitting'] }
+            ],
+            onError: [
+              {
+                cond: 'canRetry',
+                target: 'retrying',
+                actions: ['assignServerError', 'clearSubmitting', 'scheduleRetry']
+              },
+              { target:  'editing', actions:  ['assignServerError', 'clearSubmitting'] }
+            ]
+          }
+        },
+        retrying: {
+          after: { RETRY_DELAY: { target: 'submitting', actions: ['clearRetry'] } },
+          on: {
+            RETRY: { target: 'submitting', actions: ['clearRetry'] },
+            CANCEL: { target: 'editing', actions: ['clearRetry', 'markCancelled'] }
+          }
+        },
+        processing: {
+          invoke: { src: 'watchJob' },
+          on: {
+            JOB_PROGRESS: { actions: ['assignJob'] },
+            JOB_SUCCEEDED: { target: 'success', actions: ['assignJob', 'assignResult'] },
+            JOB_FAILED: { target: 'editing', actions: ['assignJob', 'assignServerError'] }
           }
         },
         success:  {
@@ -67,53 +138,149 @@ export function createFormMachine(action, submitFn) {
           }
         }
       }
-    },
+    }, action.formJson),
     {
       actions: {
         assignField: assign((ctx, ev) => ({
-          form: { ...ctx.form, [ev.name]:  ev.value }
+          form: applyEdit(ctx, { ...ctx.form, [ev.name]:  ev.value })
+        })),
+        addItem: assign((ctx, ev) => ({
+          form: applyEdit(ctx, addItem(action.formJson, ctx.form, ev.path, ev.value, ev.index))
         })),
+        removeItem: assign((ctx, ev) => ({ form: applyEdit(ctx, removeItem(ctx.form, ev.path, ev.index)) })),
+        moveItem: assign((ctx, ev) => ({ form: applyEdit(ctx, moveItem(ctx.form, ev.path, ev.from, ev.to)) })),
+        // Errors are grouped by top-level field, so an item event clears its array's errors
         clearFieldError:  assign((ctx, ev) => {
           const next = { ...ctx. errors }
-          delete next[ev.name]
+          delete next[ev.name ?? toSegments(ev.path)[0]]
           return { errors: next }
         }),
         runValidation: assign((ctx) => ({
-          errors: validateWithAJV(ctx.form, action.formJson)
+          errors: mergeErrors(
+            validateWithAJV(ctx.form, action.formJson, locale, { rules: action.rules, validators: action.ruleValidators }),
+            asyncErrors(ctx)
+          )
         })),
+        markFieldPending: assign((ctx, ev, { action }) => ({
+          fieldChecks: { ...ctx.fieldChecks, [action.field]: { status: 'pending', error: null } }
+        })),
+        setFieldCheck: assign((ctx, ev, { action }) => {
+          const status = ev.type === 'FIELD_CHECK_FAILED' ? 'failed' : ev.error ? 'invalid' : 'valid'
+          return {
+            fieldChecks: { ...ctx.fieldChecks, [action.field]: { status, error: ev.error || null } },
+            errors: ev.error ? mergeErrors(ctx.errors, checkErrors({ [action.field]: ev.error })) : ctx.errors
+          }
+        }),
         prefillForm: assign((ctx, ev) => ({
-          form:  { ...ctx.form, ... ev.data }
+          form: applyEdit(ctx, { ...ctx.form, ... ev.data })
         })),
         resetForm: assign(() => ({
           form: initialForm,
           errors: {},
+          fieldChecks: {},
+          cancelled: false,
+          job: null,
           result: null,
           serverError: null
         })),
-        markSubmitting: assign({ submitting: true }),
+        markSubmitting: assign({
+          submitting: true,
+          cancelled: false,
+          submitController: () => new AbortController()
+        }),
         clearSubmitting: assign({ submitting: false }),
+        abortSubmit: (ctx) => ctx.submitController.abort(),
+        markCancelled: assign({ cancelled: true }),
+        resetRetries: assign({ retryCount: 0 }),
+        scheduleRetry: assign((ctx, ev) => ({
+          retryCount: ctx.retryCount + 1,
+          nextRetryAt: Date.now() + retryDelay(ctx.retryCount + 1, retry, ev.data)
+        })),
+        clearRetry: assign({ nextRetryAt: null }),
         assignResult:  assign((ctx, ev) => ({ result: ev.data })),
+        assignJob: assign((ctx, ev) => ({ job: ev.job || ev.data.job })),
         assignServerError: assign((ctx, ev) => ({
           serverError: ev.data?. message || 'Submission failed'
         })),
         clearServerError: assign({ serverError: null })
       },
       guards: {
-        isValid: (ctx) => Object.keys(ctx. errors).length === 0
+        // Async check errors only reach ctx.errors once the checks settle
+        isValid: (ctx) =>
+          areFieldChecksSettled(ctx) &&
+          Object.keys({ ...ctx.errors, ...asyncErrors(ctx) }).length === 0,
+        areFieldChecksSettled,
+        isJob: (ctx, ev) => !!watchJob && !!ev.data?.job,
+        canRetry: (ctx, ev) => isTransientFailure(ev.data) && ctx.retryCount + 1 < retry.maxAttempts,
+        canAddItem: (ctx, ev) => canAddItem(action.formJson, ctx.form, ev.path),
+        canRemoveItem: (ctx, ev) => canRemoveItem(action.formJson, ctx.form, ev.path, ev.index),
+        canMoveItem: (ctx, ev) => canMoveItem(action.formJson, ctx.form, ev.path, ev.from, ev.to),
+        isChangeOf: (ctx, ev, { cond }) => ev.name === cond.field,
+        isCheckOf: (ctx, ev, { cond }) => ev.field === cond.field
+      },
+      delays: {
+        RETRY_DELAY: (ctx) => Math.max(0, ctx.nextRetryAt - Date.now())
       },
       services: {
-        // Wire the real submit function here
-        callSubmitFn:  (ctx) => submitFn(ctx.form)
+        // Wire the real submit function here (hidden fields are not submitted)
+        callSubmitFn:  (ctx) =>
+          submitFn(pruneHiddenFields(action.formJson, ctx.form), { signal: ctx.submitController.signal }),
+        // Job events carry `data` like the submit's done / error events
+        watchJob: (ctx) => (sendBack) =>
+          watchJob(ctx.job.id, (job) => {
+            if (job.status === 'running') sendBack({ type: 'JOB_PROGRESS', job })
+            else if (job.status === 'succeeded') sendBack({ type: 'JOB_SUCCEEDED', job, data: job.result })
+            else sendBack({ type: 'JOB_FAILED', job, data: { message: job.error?.detail || job.error?.title } })
+          }),
+        // Callback service, so leaving `checking` aborts the stale request
+        asyncValidateField: (ctx, ev, { src }) => (sendBack) => {
+          const controller = new AbortController()
+          validateField(src.field, ctx.form[src.field], ctx.form, { signal: controller.signal })
+            .then((error) => sendBack({ type: 'FIELD_CHECKED', field: src.field, error: error || null }))
+            .catch(() => sendBack({ type: 'FIELD_CHECK_FAILED', field: src.field }))
+          return () => controller.abort()
+        }
       }
     }
   )
 }
 
+// Grouped errors of both, keeping every error of a field
+function mergeErrors(a, b) {
+  return groupErrorsByField([...Object.values(a).flat(), ...Object.values(b).flat()])
+}
+
+// { field: message } of asyncValidate checks -> field errors, grouped by field
+function checkErrors(messages) {
+  return groupErrorsByField(messagesToFieldErrors(messages, CHECK_FAILED))
+}
+
+// Errors reported by finished asyncValidate checks
+function asyncErrors(ctx) {
+  const messages = {}
+  for (const [field, check] of Object.entries(ctx.fieldChecks || {})) {
+    if (check.error) messages[field] = check.error
+  }
+  return checkErrors(messages)
+}
+
+function areFieldChecksSettled(ctx) {
+  return !Object.values(ctx.fieldChecks || {}).some((check) => check.status === 'pending')
+}
+
+// Object groups get their fields' initial values; arrays start empty and
+// file fields unset, until they hold upload references
 function buildInitialValues(formJson) {
   const values = {}
   for (const field of formJson) {
     if (field.default !== undefined) {
       values[field. name] = field. default
+    } else if (field.type === 'object') {
+      values[field.name] = buildInitialValues(field.fields)
+    } else if (field.type === 'array') {
+      values[field.name] = []
+    } else if (field.type === 'file') {
+      continue
     } else {
       values[field.name] = field.type === 'boolean' ? false : ''
     }
@@ -1,94 +1,45 @@
 import Ajv from 'ajv'
 import addFormats from 'ajv-formats'
+import { pruneHiddenFields } from '../../packages/shared/conditions'
+import { formJsonToJsonSchema } from '../../packages/shared/formJson'
+import { DEFAULT_LOCALE, formatFieldError } from '../../packages/shared/i18n'
+import { ajvToFieldErrors, groupErrorsByField } from '../../packages/shared/problems'
+import { withRules } from '../../packages/shared/rules'
 
 const ajv = new Ajv({ allErrors: true, messages: true })
 addFormats(ajv) // adds 'email', 'uri', 'date', etc.
 
 /**
  * Validate form values against formJson spec using AJV. 
- * Returns an object:  { fieldName: 'error message', ...  }
+ * Fields hidden by visibleWhen / hiddenWhen are skipped.
+ * The action's cross-field `rules` (with its `ruleValidators` for named
+ * validators) are checked too, as on the server (packages/shared/rules).
+ * Returns the field errors of the shared error model (packages/shared/problems),
+ * grouped by field, with readable messages in `locale`:
+ *   { fieldName: [{ pointer, field, code, message, keyword, params }, ...], ... }
  */
-export function validateWithAJV(formValues, formJson) {
+export function validateWithAJV(formValues, formJson, locale = DEFAULT_LOCALE, { rules, validators } = {}) {
   // Convert formJson to JSON Schema on the fly (or cache it)
-  const schema = formJsonToValidationSchema(formJson)
-  const validate = ajv.compile(schema)
-  const valid = validate(formValues)
+  // with the same compiler the server uses
+  const schema = formJsonToJsonSchema(formJson, 'Form', locale)
+  const validate = withRules(ajv.compile(schema), rules, validators)
+  const valid = validate(pruneHiddenFields(formJson, formValues))
 
   if (valid) return {}
 
-  // Map AJV errors to { fieldName: message }
-  const errors = {}
-  for (const err of validate.errors || []) {
-    // err.instancePath is like '/username'
-    const field = err.instancePath.replace(/^\//, '') || err.params?. missingProperty
-    if (field && ! errors[field]) {
-      errors[field] = formatErrorMessage(err, formJson)
-    }
-  }
-  return errors
+  const errors = ajvToFieldErrors(validate.errors).map((err) => ({
+    ...err,
+    message: formatErrorMessage(err, formJson, locale)
+  }))
+  return groupErrorsByField(errors)
 }
 
-function formJsonToValidationSchema(formJson) {
-  const properties = {}
-  const required = []
-
-  for (const f of formJson) {
-    const prop = { title: f.label }
-
-    switch (f.type) {
-      case 'string':
-      case 'email':
-      case 'password':
-        prop. type = 'string'
-        if (f.format) prop.format = f. format
-        if (f.minLength) prop.minLength = f.minLength
-        if (f.maxLength) prop.maxLength = f.maxLength
-        if (f.pattern) prop.pattern = f.pattern
-        break
-      case 'number':
-      case 'integer': 
-        prop.type = f.type
-        if (f.minimum !== undefined) prop.minimum = f.minimum
-        if (f. maximum !== undefined) prop.maximum = f. maximum
-        break
-      case 'select':
-        prop. type = 'string'
-        prop.enum = f. options. map((o) => o.value)
-        break
-      case 'boolean':
-        prop. type = 'boolean'
-        break
-      default:
-        prop.type = 'string'
-    }
-
-    properties[f.name] = prop
-    if (f.required) required.push(f.name)
-  }
-
-  return { type: 'object', properties, required }
+/**
+ * Readable message for a field error (see packages/shared/problems), from the
+ * shared message catalogs the server uses too (packages/shared/i18n).
+ * Server checks (no catalog entry) already carry their own message.
+ * Errors inside object groups and array items use the nested field's label.
+ */
+export function formatErrorMessage(err, formJson, locale = DEFAULT_LOCALE) {
+  return formatFieldError(err, formJson, locale)
 }
-
-function formatErrorMessage(err, formJson) {
-  const fieldDef = formJson. find(
-    (f) => f.name === err.instancePath.replace(/^\//, '')
-  )
-  const label = fieldDef?. label || err.instancePath
-
-  switch (err.keyword) {
-    case 'required': 
-      return `${err.params.missingProperty} is required`
-    case 'minLength':
-      return `${label} must have at least ${err. params.limit} characters`
-    case 'format':
-      return `${label} must be a valid ${err.params.format}`
-    case 'minimum':
-      return `${label} must be ≥ ${err. params.limit}`
-    case 'maximum':
-      return `${label} must be ≤ ${err.params.limit}`
-    case 'enum': 
-      return `${label} must be one of the allowed values`
-    default:
-      return err.message || 'Invalid value'
-  }
-}
\ No newline at end of file